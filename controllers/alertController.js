@@ -0,0 +1,99 @@
+// controllers/alertController.js
+// Stock alert controller - the feed of low stock and out of stock alerts
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { STOCK_ALERT_SELECT, describeAlert } = require('../utils/inventory');
+
+/**
+ * Get stock alerts, newest first
+ * Open alerts are those whose stock is still at or below the threshold (or at zero)
+ * GET /alerts
+ * Query params: status (open | resolved | all, default open), type, acknowledged, page, limit
+ */
+const getAlerts = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { status = 'open', type, acknowledged, page = 1, limit = 20 } = req.query;
+
+  let query = supabase
+    .from('stock_alerts')
+    .select(STOCK_ALERT_SELECT, { count: 'exact' })
+    .eq('retailer_id', retailerId);
+
+  if (status === 'open') {
+    query = query.is('resolved_at', null);
+  } else if (status === 'resolved') {
+    query = query.not('resolved_at', 'is', null);
+  }
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  if (acknowledged !== undefined) {
+    query = acknowledged === 'true'
+      ? query.not('acknowledged_at', 'is', null)
+      : query.is('acknowledged_at', null);
+  }
+
+  // Apply pagination
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: data.map(describeAlert),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * Mark an alert as seen
+ * It stays open (and is not raised again) until the stock recovers
+ * PATCH /alerts/:id/acknowledge
+ */
+const acknowledgeAlert = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('stock_alerts')
+    .update({ acknowledged_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select(STOCK_ALERT_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Alert acknowledged',
+    data: describeAlert(data)
+  });
+});
+
+module.exports = {
+  getAlerts,
+  acknowledgeAlert
+};
@@ -0,0 +1,217 @@
+// controllers/barcodeController.js
+// Barcode controller - finding a product by a scanned barcode or SKU, and printing barcode labels
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { barcodeCandidates, inStoreBarcode } = require('../utils/barcodes');
+const { renderLabelsPdf, renderLabelsSvg } = require('../utils/labelSheets');
+const { withEffectivePrice } = require('../utils/pricing');
+const { variantLabel } = require('../utils/variants');
+
+const LOOKUP_PRODUCT_SELECT = `
+  id, name, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price,
+  stock, image_url, is_active, archived_at, options
+`;
+
+const LOOKUP_VARIANT_SELECT = `
+  id, product_id, option_values, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at,
+  compare_at_price, stock, image_url, is_active
+`;
+
+// Tries at giving an item a fresh in-store barcode before giving up (codes are random)
+const BARCODE_ATTEMPTS = 5;
+
+/**
+ * The retailer's first product or variant whose column holds one of the codes, or null
+ */
+const findByCode = async (table, select, column, codes, retailerId) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select(select)
+    .eq('retailer_id', retailerId)
+    .in(column, codes)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+};
+
+/**
+ * Find the product (and variant) a scanned barcode or a typed SKU belongs to
+ * Barcodes are looked up first; a UPC-A also matches its EAN-13 form with a leading 0.
+ * Inactive products are found too, so staff can see why an item isn't for sale.
+ * GET /products/lookup
+ * Query params: code
+ */
+const lookupProduct = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { code } = req.query;
+  const barcodes = barcodeCandidates(code);
+
+  const [productByBarcode, variantByBarcode, productBySku, variantBySku] = await Promise.all([
+    findByCode('products', LOOKUP_PRODUCT_SELECT, 'barcode', barcodes, retailerId),
+    findByCode('product_variants', LOOKUP_VARIANT_SELECT, 'barcode', barcodes, retailerId),
+    findByCode('products', LOOKUP_PRODUCT_SELECT, 'sku', [code], retailerId),
+    findByCode('product_variants', LOOKUP_VARIANT_SELECT, 'sku', [code], retailerId)
+  ]);
+
+  const matchedBy = productByBarcode || variantByBarcode ? 'barcode' : 'sku';
+  let product = productByBarcode || (!variantByBarcode && productBySku) || null;
+  const variant = product ? null : variantByBarcode || variantBySku;
+
+  if (!product && !variant) {
+    return res.status(404).json({
+      success: false,
+      message: 'No product has this barcode or SKU'
+    });
+  }
+
+  if (variant) {
+    const { data, error } = await supabase
+      .from('products')
+      .select(LOOKUP_PRODUCT_SELECT)
+      .eq('id', variant.product_id)
+      .eq('retailer_id', retailerId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    product = data;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      matched_by: matchedBy,
+      product: withEffectivePrice(product),
+      variant: variant
+        ? { ...withEffectivePrice(variant), label: variantLabel(product.options, variant.option_values) }
+        : null
+    }
+  });
+});
+
+/**
+ * Give a product or variant without a barcode a new in-store EAN-13, retrying on a clash
+ * Returns the barcode it ends up with (another request may have assigned one first)
+ */
+const assignBarcode = async (table, id, retailerId) => {
+  for (let attempt = 1; ; attempt++) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ barcode: inStoreBarcode() })
+      .eq('id', id)
+      .eq('retailer_id', retailerId)
+      .is('barcode', null)
+      .select('barcode');
+
+    if (!error) {
+      if (data.length) return data[0].barcode;
+
+      const { data: current, error: readError } = await supabase
+        .from(table)
+        .select('barcode')
+        .eq('id', id)
+        .single();
+
+      if (readError) {
+        throw readError;
+      }
+
+      return current.barcode;
+    }
+
+    const clash = error.code === '23505' || error.code === 'PT409';
+    if (!clash || attempt === BARCODE_ATTEMPTS) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Print barcode labels for products: one label per active variant, or per product without variants
+ * Items without a barcode first get an in-store EAN-13 (starting with 20), which is saved, so
+ * scanning the label finds them. Labels show the name and, unless show_price is false, the regular price.
+ * POST /products/labels
+ * Body: { product_ids, format (pdf | svg), copies, show_price }
+ */
+const printLabels = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { product_ids, copies = 1, show_price = true } = req.body;
+  const format = req.body.format || 'pdf';
+  const productIds = [...new Set(product_ids)];
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, name, barcode, price, options, product_variants ( id, option_values, barcode, price, is_active )')
+    .in('id', productIds)
+    .eq('retailer_id', retailerId);
+
+  if (error) {
+    throw error;
+  }
+
+  if (products.length !== productIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: `${productIds.length - products.length} product(s) not found`
+    });
+  }
+
+  // Keep the order the products were asked for
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const items = productIds.flatMap(id => {
+    const product = productsById.get(id);
+    const variants = product.product_variants.filter(variant => variant.is_active);
+
+    if (!variants.length) {
+      return [{ table: 'products', id: product.id, name: product.name, price: product.price, barcode: product.barcode }];
+    }
+
+    return variants.map(variant => ({
+      table: 'product_variants',
+      id: variant.id,
+      name: `${product.name} - ${variantLabel(product.options, variant.option_values)}`,
+      price: variant.price,
+      barcode: variant.barcode
+    }));
+  });
+
+  for (const item of items) {
+    if (!item.barcode) {
+      item.barcode = await assignBarcode(item.table, item.id, retailerId);
+    }
+  }
+
+  const labels = items.flatMap(({ name, price, barcode }) => Array(parseInt(copies)).fill({ name, price, barcode }));
+  const options = { showPrice: show_price !== false && show_price !== 'false' };
+  const filename = `labels-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'svg') {
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    return res.send(renderLabelsSvg(labels, options));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+
+  // Part of the PDF may already be sent, so a failure can't become a JSON error response:
+  // abort the download instead, so the client doesn't keep a truncated file
+  try {
+    renderLabelsPdf(labels, res, options);
+  } catch (error) {
+    console.error('Label sheet PDF failed:', error.message);
+    res.destroy(error);
+  }
+});
+
+module.exports = {
+  lookupProduct,
+  printLabels
+};
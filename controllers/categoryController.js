@@ -0,0 +1,272 @@
+// controllers/categoryController.js
+// Category controller - the retailer's nested product categories
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { CATEGORY_SELECT, buildCategoryTree } = require('../utils/categories');
+
+// Categories with the number of products in each
+const CATEGORY_WITH_COUNT_SELECT = `${CATEGORY_SELECT}, products ( count )`;
+
+const withProductCount = ({ products, ...category }) => ({
+  ...category,
+  product_count: products[0] ? products[0].count : 0
+});
+
+// Unique violations: same slug in the store, or same name (ignoring case) under the same parent
+const duplicateMessage = (error) => (error.message || '').includes('slug')
+  ? 'A category with this slug already exists'
+  : 'A category with this name already exists here';
+
+/**
+ * Get the retailer's categories
+ * GET /categories
+ * Query params: format (tree | flat, default tree)
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { format = 'tree' } = req.query;
+
+  const { data, error } = await supabase
+    .from('categories')
+    .select(CATEGORY_WITH_COUNT_SELECT)
+    .eq('retailer_id', retailerId)
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  const categories = data.map(withProductCount);
+
+  res.status(200).json({
+    success: true,
+    data: format === 'flat' ? categories : buildCategoryTree(categories)
+  });
+});
+
+/**
+ * Get a single category with its subcategories
+ * GET /categories/:id
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('categories')
+    .select(CATEGORY_WITH_COUNT_SELECT)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    throw error;
+  }
+
+  const { data: children, error: childrenError } = await supabase
+    .from('categories')
+    .select(CATEGORY_WITH_COUNT_SELECT)
+    .eq('parent_id', id)
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (childrenError) {
+    throw childrenError;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...withProductCount(data),
+      children: children.map(withProductCount)
+    }
+  });
+});
+
+/**
+ * Create a category
+ * Without a slug, one is made from the name ("Fresh Fruit" → "fresh-fruit")
+ * POST /categories
+ * Body: { name, parent_id, slug, description, image_url, sort_order, tax_rate_id }
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, parent_id, slug, description, image_url, sort_order, tax_rate_id } = req.body;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('categories')
+    .insert([
+      {
+        retailer_id: retailerId,
+        parent_id: parent_id || null,
+        name: name.trim(),
+        slug: slug || null,
+        description,
+        image_url,
+        sort_order: parseInt(sort_order) || 0,
+        tax_rate_id: tax_rate_id || null
+      }
+    ])
+    .select(CATEGORY_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: duplicateMessage(error)
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: data
+  });
+});
+
+/**
+ * Update a category
+ * Renaming a category renames it on all of its products; the slug only changes when sent.
+ * PUT /categories/:id
+ * Body: { name, parent_id, slug, description, image_url, sort_order, tax_rate_id }
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const cleanedData = {};
+  ['name', 'parent_id', 'slug', 'description', 'image_url', 'sort_order', 'tax_rate_id'].forEach(key => {
+    if (req.body[key] !== undefined) {
+      cleanedData[key] = typeof req.body[key] === 'string' ? req.body[key].trim() : req.body[key];
+    }
+  });
+
+  if (!Object.keys(cleanedData).length) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid fields to update'
+    });
+  }
+
+  if (cleanedData.parent_id === id) {
+    return res.status(409).json({
+      success: false,
+      message: 'A category cannot be its own parent'
+    });
+  }
+
+  if (cleanedData.sort_order !== undefined) cleanedData.sort_order = parseInt(cleanedData.sort_order);
+
+  const { data, error } = await supabase
+    .from('categories')
+    .update(cleanedData)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select(CATEGORY_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: duplicateMessage(error)
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: data
+  });
+});
+
+/**
+ * Delete a category (only if it has no subcategories and no products)
+ * DELETE /categories/:id
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, products ( count )')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    throw error;
+  }
+
+  const { count: subcategoryCount, error: countError } = await supabase
+    .from('categories')
+    .select('id', { count: 'exact', head: true })
+    .eq('parent_id', id);
+
+  if (countError) {
+    throw countError;
+  }
+
+  if (subcategoryCount > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Cannot delete a category that has subcategories. Move or delete them first.'
+    });
+  }
+
+  if (data.products[0] && data.products[0].count > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot delete a category that has ${data.products[0].count} product(s). Move them to another category first.`
+    });
+  }
+
+  const { error: deleteError } = await supabase
+    .from('categories')
+    .delete()
+    .eq('id', id)
+    .eq('retailer_id', retailerId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
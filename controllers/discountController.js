@@ -0,0 +1,416 @@
+// controllers/discountController.js
+// Discount controller - the retailer's discount codes and automatic promotions
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { normalizeCode, isCurrent } = require('../utils/discounts');
+const { toCents, fromCents } = require('../utils/pricing');
+
+const DISCOUNT_CODE_FIELDS = [
+  'code', 'description', 'type', 'value', 'max_discount_amount', 'min_order_amount',
+  'starts_at', 'ends_at', 'usage_limit', 'usage_limit_per_customer', 'product_ids', 'category_ids', 'is_active'
+];
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'buy_quantity', 'get_quantity', 'value', 'min_order_amount',
+  'starts_at', 'ends_at', 'product_ids', 'category_ids', 'is_active'
+];
+
+/**
+ * Keep the given fields of the request body (trimmed); codes are stored in upper case
+ */
+const pickFields = (body, fields) => {
+  const cleanedData = {};
+  fields.forEach(key => {
+    if (body[key] !== undefined) {
+      cleanedData[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+    }
+  });
+  if (cleanedData.code) cleanedData.code = normalizeCode(cleanedData.code);
+  return cleanedData;
+};
+
+/**
+ * How often codes or promotions were used: { [id]: { times_used, cents } }
+ * Cancelled orders don't count, the same as for usage limits
+ */
+const fetchUsage = async (retailerId, column, ids) => {
+  const usage = {};
+  if (!ids.length) return usage;
+
+  const { data, error } = await supabase
+    .from('order_discounts')
+    .select(`${column}, amount, orders!inner ( status )`)
+    .eq('retailer_id', retailerId)
+    .in(column, ids)
+    .neq('orders.status', 'cancelled');
+
+  if (error) {
+    throw error;
+  }
+
+  data.forEach(row => {
+    const entry = usage[row[column]] || (usage[row[column]] = { times_used: 0, cents: 0 });
+    entry.times_used += 1;
+    entry.cents += toCents(row.amount);
+  });
+
+  return usage;
+};
+
+const withUsage = (offer, usage) => {
+  const { times_used = 0, cents = 0 } = usage[offer.id] || {};
+  return {
+    ...offer,
+    is_current: Boolean(isCurrent(offer)),
+    times_used,
+    discount_total: fromCents(cents)
+  };
+};
+
+/**
+ * Get the retailer's discount codes with how often each was used
+ * GET /discounts
+ */
+const getDiscountCodes = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .select('*')
+    .eq('retailer_id', retailerId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  const usage = await fetchUsage(retailerId, 'discount_code_id', data.map(code => code.id));
+
+  res.status(200).json({
+    success: true,
+    data: data.map(code => withUsage(code, usage))
+  });
+});
+
+/**
+ * Get a single discount code with its usage
+ * GET /discounts/:id
+ */
+const getDiscountCode = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .select('*')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+    throw error;
+  }
+
+  const usage = await fetchUsage(retailerId, 'discount_code_id', [id]);
+
+  res.status(200).json({
+    success: true,
+    data: withUsage(data, usage)
+  });
+});
+
+/**
+ * Create a discount code
+ * POST /discounts
+ * Body: { code, description, type, value, max_discount_amount, min_order_amount, starts_at, ends_at,
+ *         usage_limit, usage_limit_per_customer, product_ids, category_ids, is_active }
+ */
+const createDiscountCode = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const codeData = pickFields(req.body, DISCOUNT_CODE_FIELDS);
+
+  // A free delivery code has nothing to take off the items
+  if (codeData.type === 'free_delivery') codeData.value = null;
+
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .insert([{ ...codeData, retailer_id: retailerId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A discount code with this code already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Discount code created successfully',
+    data: data
+  });
+});
+
+/**
+ * Update a discount code
+ * Orders already placed keep the discount they got.
+ * PUT /discounts/:id
+ * Body: any of the fields accepted by POST /discounts
+ */
+const updateDiscountCode = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+  const cleanedData = pickFields(req.body, DISCOUNT_CODE_FIELDS);
+
+  if (!Object.keys(cleanedData).length) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid fields to update'
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .update(cleanedData)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select('*')
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A discount code with this code already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Discount code updated successfully',
+    data: data
+  });
+});
+
+/**
+ * Delete a discount code
+ * Orders that used it keep the code and amount in their discounts.
+ * DELETE /discounts/:id
+ */
+const deleteDiscountCode = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .delete()
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Discount code not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Discount code deleted successfully'
+  });
+});
+
+/**
+ * Get the retailer's automatic promotions with how often each was applied
+ * GET /promotions
+ */
+const getPromotions = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('retailer_id', retailerId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  const usage = await fetchUsage(retailerId, 'promotion_id', data.map(promotion => promotion.id));
+
+  res.status(200).json({
+    success: true,
+    data: data.map(promotion => withUsage(promotion, usage))
+  });
+});
+
+/**
+ * Get a single promotion with its usage
+ * GET /promotions/:id
+ */
+const getPromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    throw error;
+  }
+
+  const usage = await fetchUsage(retailerId, 'promotion_id', [id]);
+
+  res.status(200).json({
+    success: true,
+    data: withUsage(data, usage)
+  });
+});
+
+/**
+ * Create an automatic promotion
+ * POST /promotions
+ * Body: { name, description, type, buy_quantity, get_quantity, value, min_order_amount,
+ *         starts_at, ends_at, product_ids, category_ids, is_active }
+ */
+const createPromotion = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .insert([{ ...pickFields(req.body, PROMOTION_FIELDS), retailer_id: retailerId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: data
+  });
+});
+
+/**
+ * Update an automatic promotion
+ * PUT /promotions/:id
+ * Body: any of the fields accepted by POST /promotions
+ */
+const updatePromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+  const cleanedData = pickFields(req.body, PROMOTION_FIELDS);
+
+  if (!Object.keys(cleanedData).length) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid fields to update'
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .update(cleanedData)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select('*')
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: data
+  });
+});
+
+/**
+ * Delete an automatic promotion
+ * DELETE /promotions/:id
+ */
+const deletePromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .delete()
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promotion not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion deleted successfully'
+  });
+});
+
+module.exports = {
+  getDiscountCodes,
+  getDiscountCode,
+  createDiscountCode,
+  updateDiscountCode,
+  deleteDiscountCode,
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
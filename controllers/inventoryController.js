@@ -0,0 +1,99 @@
+// controllers/inventoryController.js
+// Inventory controller - manual stock adjustments and the stock movement history (ledger) of a product
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Adjust a product's stock by hand, recording why
+ * Give either delta (+5 received, -2 broken) or quantity (the counted shelf quantity).
+ * Products with variants are adjusted per variant (variant_id).
+ * POST /products/:id/stock-adjustments
+ * Body: { variant_id, delta, quantity, reason, note }
+ */
+const createStockAdjustment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { variant_id, delta, quantity, reason, note } = req.body;
+  const retailerId = req.retailer.id;
+
+  // Locks the product (or variant), checks stock stays >= 0 and records the movement
+  const { data: stock, error } = await supabase.rpc('apply_stock_change', {
+    p_retailer_id: retailerId,
+    p_product_id: id,
+    p_variant_id: variant_id || null,
+    p_delta: delta === undefined ? null : parseInt(delta),
+    p_quantity: quantity === undefined ? null : parseInt(quantity),
+    p_reason: reason,
+    p_actor: req.user.id,
+    p_note: note || null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock adjusted successfully',
+    data: {
+      product_id: id,
+      variant_id: variant_id || null,
+      stock
+    }
+  });
+});
+
+/**
+ * Get the stock movement history of a product, newest first
+ * GET /products/:id/stock-movements
+ * Query params: variant_id, reason, page, limit
+ */
+const getStockMovements = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { variant_id, reason, page = 1, limit = 20 } = req.query;
+  const retailerId = req.retailer.id;
+
+  let query = supabase
+    .from('stock_movements')
+    .select(`
+      id, variant_id, delta, quantity_after, reason, order_id, actor, note, created_at,
+      product_variants ( option_values, sku )
+    `, { count: 'exact' })
+    .eq('product_id', id)
+    .eq('retailer_id', retailerId);
+
+  if (variant_id) {
+    query = query.eq('variant_id', variant_id);
+  }
+
+  if (reason) {
+    query = query.eq('reason', reason);
+  }
+
+  // Apply pagination
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  });
+});
+
+module.exports = {
+  createStockAdjustment,
+  getStockMovements
+};
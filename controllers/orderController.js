@@ -1,88 +1,135 @@
 // controllers/orderController.js
 // Order controller - handles all order-related operations
 
-const { supabase } = require('../config/database');
+const crypto = require('crypto');
+const { supabase, supabaseAdmin } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { priceOrderItems } = require('../utils/pricing');
+const { applyDiscounts } = require('../utils/discounts');
+const { applyTaxes, summarizeTaxes } = require('../utils/taxes');
+const { ORDER_TRANSITIONS, CANCELLATION_REASONS, canTransition } = require('../utils/orderStatus');
+const { formatInvoiceNumber, renderInvoicePdf } = require('../utils/invoicePdf');
+const { orderFilterEmbeds, applyOrderFilters, applyOrderSort } = require('../utils/orderFilters');
+const { streamExport } = require('../utils/exportStream');
+
+// Short, customer-facing order reference derived from the order ID
+const orderReference = (orderId) => `ORD-${orderId.slice(0, 8).toUpperCase()}`;
+
+// Tracking tokens are stored as SHA-256 hashes, like passwords
+const hashTrackingToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Orders are exported in batches of this size so memory stays flat
+const EXPORT_BATCH_SIZE = 1000;
+
+// One export row per line item
+const EXPORT_COLUMNS = [
+  { header: 'Order reference', key: 'reference', width: 16 },
+  { header: 'Order ID', key: 'order_id', width: 38 },
+  { header: 'Created at', key: 'created_at', width: 22 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Customer name', key: 'customer_name', width: 24 },
+  { header: 'Customer email', key: 'customer_email', width: 28 },
+  { header: 'Customer phone', key: 'customer_phone', width: 16 },
+  { header: 'Product', key: 'product_name', width: 30 },
+  { header: 'Variant', key: 'variant_label', width: 16 },
+  { header: 'Quantity', key: 'quantity', width: 10 },
+  { header: 'Unit price', key: 'unit_price', width: 12 },
+  { header: 'Line total', key: 'line_total', width: 12 },
+  { header: 'Line discount', key: 'line_discount', width: 12 },
+  { header: 'Tax rate', key: 'tax_rate', width: 10 },
+  { header: 'Line tax', key: 'line_tax', width: 12 },
+  { header: 'Order subtotal', key: 'order_subtotal', width: 14 },
+  { header: 'Order discount', key: 'order_discount', width: 14 },
+  { header: 'Discount code', key: 'discount_code', width: 16 },
+  { header: 'Delivery fee', key: 'delivery_fee', width: 12 },
+  { header: 'Order tax', key: 'order_tax', width: 12 },
+  { header: 'Order total', key: 'order_total', width: 12 }
+];
+
+// Status changes, oldest first, embedded in single-order responses
+const ORDER_TIMELINE_SELECT = `
+  timeline:order_status_history (
+    from_status, to_status, note, changed_by, changed_by_email, created_at
+  )
+`;
+
+// Line items embedded in every order response
+// primary_image has the product image in each standard size ({ id, thumbnail, card, full })
+const ORDER_ITEMS_SELECT = `
+  order_items (
+    id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total, discount_amount,
+    tax_rate, taxable_amount, tax_amount, taxes,
+    products (
+      name,
+      category,
+      image_url,
+      primary_image
+    )
+  )
+`;
+
+// Codes and promotions applied to an order
+const ORDER_DISCOUNTS_SELECT = 'discounts:order_discounts ( code, name, type, amount )';
 
 /**
  * Create a new order
+ * Automatic promotions apply, plus discount_code if given. delivery_fee defaults to 0
+ * (the store's delivery fee only applies to storefront orders). Each line is taxed at its product's rate.
  * POST /orders
- * Body: { customer_name, customer_email, customer_phone, product_id, quantity, notes }
+ * Body: { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes,
+ *         discount_code, delivery_fee }
  */
 const createOrder = asyncHandler(async (req, res) => {
-  const { customer_name, customer_email, customer_phone, product_id, quantity, notes } = req.body;
+  const { customer_name, customer_email, customer_phone, items, notes, discount_code, delivery_fee } = req.body;
   const retailerId = req.retailer.id;
 
-  // Step 1: Get product details and verify it belongs to this retailer
-  const { data: product, error: productError } = await supabase
-    .from('products')
-    .select('*')
-    .eq('id', product_id)
-    .eq('retailer_id', retailerId)
-    .eq('is_active', true)
-    .single();
-
-  if (productError || !product) {
-    return res.status(404).json({
-      success: false,
-      message: 'Product not found or not available'
-    });
-  }
-
-  // Step 2: Check if enough stock is available
-  if (product.stock < quantity) {
-    return res.status(400).json({
-      success: false,
-      message: `Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`
-    });
-  }
-
-  // Step 3: Calculate total amount
-  const unitPrice = product.price;
-  const totalAmount = unitPrice * quantity;
+  // Step 1: Verify every product belongs to this retailer, has stock, and snapshot its price
+  const { lines, productCategories, productTaxRates } = await priceOrderItems(retailerId, items);
+
+  // Step 2: Promotions, discount code and delivery fee, then tax on what is left
+  const discounted = await applyDiscounts({
+    retailer: req.retailer,
+    lines,
+    productCategories,
+    code: discount_code,
+    customer: { email: customer_email, phone: customer_phone },
+    deliveryFee: delivery_fee || 0
+  });
 
-  // Step 4: Create order and update stock in a transaction-like approach
-  // First, create the order
-  const { data: orderData, error: orderError } = await supabase
-    .from('orders')
-    .insert([
-      {
-        retailer_id: retailerId,
-        customer_name,
-        customer_email,
-        customer_phone,
-        product_id,
-        quantity,
-        unit_price: unitPrice,
-        total_amount: totalAmount,
-        status: 'pending',
-        notes
-      }
-    ])
-    .select(`
-      *,
-      products (
-        name,
-        category,
-        image_url
-      )
-    `)
-    .single();
+  const priced = await applyTaxes({ retailer: req.retailer, order: discounted, productCategories, productTaxRates });
+
+  // Step 3: Create the order, its items and decrement stock in one transaction
+  // place_order only decrements while enough stock is left, so a concurrent order
+  // for the last unit fails with a 409 instead of overselling
+  const { data: orderId, error: orderError } = await supabase.rpc('place_order', {
+    p_retailer_id: retailerId,
+    p_customer_name: customer_name,
+    p_customer_email: customer_email || null,
+    p_customer_phone: customer_phone || null,
+    p_notes: notes || null,
+    p_total_amount: priced.totalAmount,
+    p_items: priced.lines,
+    p_created_by: req.user.id,
+    p_subtotal_amount: priced.subtotalAmount,
+    p_discount_amount: priced.discountAmount,
+    p_delivery_fee: priced.deliveryFee,
+    p_discounts: priced.discounts,
+    p_tax_amount: priced.taxAmount,
+    p_prices_include_tax: priced.pricesIncludeTax
+  });
 
   if (orderError) {
     throw orderError;
   }
 
-  // Step 5: Update product stock
-  const { error: stockError } = await supabase
-    .from('products')
-    .update({ stock: product.stock - quantity })
-    .eq('id', product_id);
+  const { data: orderData, error: fetchError } = await supabase
+    .from('orders')
+    .select(`*, ${ORDER_ITEMS_SELECT}, ${ORDER_DISCOUNTS_SELECT}`)
+    .eq('id', orderId)
+    .single();
 
-  if (stockError) {
-    // If stock update fails, we should ideally rollback the order
-    // For now, we'll log the error and continue
-    console.error('Stock update failed:', stockError);
+  if (fetchError) {
+    throw fetchError;
   }
 
   res.status(201).json({
@@ -95,34 +142,22 @@ const createOrder = asyncHandler(async (req, res) => {
 /**
  * Get all orders for the logged-in retailer
  * GET /orders
- * Query params: status, page, limit, customer_name
+ * Query params: status (one or comma separated), customer_name, from, to, min_total, max_total,
+ *               product_id, q (search), sort, order (asc | desc), page, limit
  */
 const getOrders = asyncHandler(async (req, res) => {
   const retailerId = req.retailer.id;
-  const { status, page = 1, limit = 10, customer_name } = req.query;
+  const { page = 1, limit = 10 } = req.query;
 
-  // Build query with product details
+  // Build query with line items and product details
   let query = supabase
     .from('orders')
-    .select(`
-      *,
-      products (
-        name,
-        category,
-        image_url
-      )
-    `)
-    .eq('retailer_id', retailerId)
-    .order('created_at', { ascending: false });
-
-  // Apply filters
-  if (status) {
-    query = query.eq('status', status);
-  }
+    .select(`*, ${ORDER_ITEMS_SELECT}${orderFilterEmbeds(req.query)}`)
+    .eq('retailer_id', retailerId);
 
-  if (customer_name) {
-    query = query.ilike('customer_name', `%${customer_name}%`);
-  }
+  // Apply filters and sorting
+  query = applyOrderFilters(query, req.query);
+  query = applyOrderSort(query, req.query);
 
   // Apply pagination
   const offset = (page - 1) * limit;
@@ -134,20 +169,25 @@ const getOrders = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Get total count for pagination
-  let countQuery = supabase
-    .from('orders')
-    .select('*', { count: 'exact', head: true })
-    .eq('retailer_id', retailerId);
+  // Get total count for pagination, with the same filters
+  const countQuery = applyOrderFilters(
+    supabase
+      .from('orders')
+      .select(`id${orderFilterEmbeds(req.query)}`, { count: 'exact', head: true })
+      .eq('retailer_id', retailerId),
+    req.query
+  );
 
-  if (status) countQuery = countQuery.eq('status', status);
-  if (customer_name) countQuery = countQuery.ilike('customer_name', `%${customer_name}%`);
+  const { count: totalCount, error: countError } = await countQuery;
 
-  const { count: totalCount } = await countQuery;
+  if (countError) {
+    throw countError;
+  }
 
   res.status(200).json({
     success: true,
-    data: data,
+    // matched_items only exists to filter by product
+    data: data.map(({ matched_items, ...order }) => order),
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -158,7 +198,88 @@ const getOrders = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get a single order by ID
+ * Export orders as CSV or XLSX, one row per line item
+ * Uses the same filters as the order list and streams batch by batch,
+ * so large exports never sit in memory
+ * GET /orders/export
+ * Query params: format (csv | xlsx), plus the order list filters
+ */
+const exportOrders = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const format = req.query.format || 'csv';
+  const filename = `orders-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  // Keyset pagination over (created_at, id): stable and fast however deep the export goes
+  const fetchBatch = async (after) => {
+    let query = applyOrderFilters(
+      supabase
+        .from('orders')
+        .select(`
+          id, created_at, status, customer_name, customer_email, customer_phone, total_amount,
+          subtotal_amount, discount_amount, discount_code, delivery_fee, tax_amount,
+          order_items ( product_name, variant_label, quantity, unit_price, line_total, discount_amount, tax_rate, tax_amount )
+          ${orderFilterEmbeds(req.query)}
+        `)
+        .eq('retailer_id', retailerId),
+      req.query
+    );
+
+    if (after) {
+      query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(EXPORT_BATCH_SIZE);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  const toRows = (order) => order.order_items.map(item => ({
+    reference: orderReference(order.id),
+    order_id: order.id,
+    created_at: order.created_at,
+    status: order.status,
+    customer_name: order.customer_name,
+    customer_email: order.customer_email,
+    customer_phone: order.customer_phone,
+    product_name: item.product_name,
+    variant_label: item.variant_label,
+    quantity: item.quantity,
+    unit_price: parseFloat(item.unit_price),
+    line_total: parseFloat(item.line_total),
+    line_discount: parseFloat(item.discount_amount),
+    tax_rate: parseFloat(item.tax_rate),
+    line_tax: parseFloat(item.tax_amount),
+    order_subtotal: parseFloat(order.subtotal_amount),
+    order_discount: parseFloat(order.discount_amount),
+    discount_code: order.discount_code,
+    delivery_fee: parseFloat(order.delivery_fee),
+    order_tax: parseFloat(order.tax_amount),
+    order_total: parseFloat(order.total_amount)
+  }));
+
+  // Fetch the first batch before sending headers, so query errors still get a JSON error response
+  const batch = await fetchBatch(null);
+
+  await streamExport(res, {
+    format,
+    filename,
+    sheetName: 'Orders',
+    columns: EXPORT_COLUMNS,
+    batch,
+    nextBatch: (previous) => (previous.length === EXPORT_BATCH_SIZE ? fetchBatch(previous[previous.length - 1]) : []),
+    toRows
+  });
+});
+
+/**
+ * Get a single order by ID, with line items, returns, refunds and status timeline
  * GET /orders/:id
  */
 const getOrder = asyncHandler(async (req, res) => {
@@ -169,15 +290,25 @@ const getOrder = asyncHandler(async (req, res) => {
     .from('orders')
     .select(`
       *,
-      products (
-        name,
-        category,
-        image_url,
-        description
-      )
+      order_items (
+        id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total, discount_amount,
+        tax_rate, taxable_amount, tax_amount, taxes,
+        products (
+          name,
+          category,
+          image_url,
+          primary_image,
+          description
+        )
+      ),
+      ${ORDER_DISCOUNTS_SELECT},
+      order_returns ( id, status, reason, restocked, created_at ),
+      refunds ( id, amount, type, return_id, created_at ),
+      ${ORDER_TIMELINE_SELECT}
     `)
     .eq('id', id)
     .eq('retailer_id', retailerId)
+    .order('created_at', { referencedTable: 'timeline', ascending: true })
     .single();
 
   if (error) {
@@ -198,43 +329,89 @@ const getOrder = asyncHandler(async (req, res) => {
 
 /**
  * Update order status
+ * Only transitions allowed by ORDER_TRANSITIONS are accepted; each one is written to the status history
+ * Cancelling returns the order's stock to inventory (once) and requires a cancellation_reason
  * PUT /orders/:id
- * Body: { status, notes }
+ * Body: { status, note, notes, cancellation_reason }
  */
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, notes } = req.body;
+  const { status, note, notes, cancellation_reason } = req.body;
   const retailerId = req.retailer.id;
 
-  // Prepare update data
-  const updateData = { status };
-  if (notes !== undefined) {
-    updateData.notes = notes;
-  }
-
-  // Update order
-  const { data, error } = await supabase
+  // Get the current status to validate the transition against
+  const { data: order, error: fetchError } = await supabase
     .from('orders')
-    .update(updateData)
+    .select('status')
     .eq('id', id)
     .eq('retailer_id', retailerId)
-    .select(`
-      *,
-      products (
-        name,
-        category,
-        image_url
-      )
-    `)
     .single();
 
-  if (error) {
-    if (error.code === 'PGRST116') {
+  if (fetchError) {
+    if (fetchError.code === 'PGRST116') {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
+    throw fetchError;
+  }
+
+  if (status === order.status) {
+    // Not a transition - only the notes can change
+    if (notes === undefined) {
+      return res.status(409).json({
+        success: false,
+        message: `Order is already ${status}`
+      });
+    }
+
+    const { error: notesError } = await supabase
+      .from('orders')
+      .update({ notes })
+      .eq('id', id)
+      .eq('retailer_id', retailerId);
+
+    if (notesError) {
+      throw notesError;
+    }
+  } else {
+    if (!canTransition(order.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        allowedStatuses: ORDER_TRANSITIONS[order.status]
+      });
+    }
+
+    // Applies the change only if no one else changed the status meanwhile, and records it.
+    // A cancellation also restores the order's stock in the same transaction
+    const { error: transitionError } = await supabase.rpc('transition_order_status', {
+      p_order_id: id,
+      p_retailer_id: retailerId,
+      p_from_status: order.status,
+      p_to_status: status,
+      p_note: note || null,
+      p_notes: notes === undefined ? null : notes,
+      p_changed_by: req.user.id,
+      p_changed_by_email: req.user.email,
+      p_cancellation_reason: status === 'cancelled' ? cancellation_reason : null
+    });
+
+    if (transitionError) {
+      throw transitionError;
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select(`*, ${ORDER_ITEMS_SELECT}, ${ORDER_TIMELINE_SELECT}`)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .order('created_at', { referencedTable: 'timeline', ascending: true })
+    .single();
+
+  if (error) {
     throw error;
   }
 
@@ -253,57 +430,16 @@ const deleteOrder = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const retailerId = req.retailer.id;
 
-  // First, get the order to check its status and get product info
-  const { data: order, error: fetchError } = await supabase
-    .from('orders')
-    .select('*')
-    .eq('id', id)
-    .eq('retailer_id', retailerId)
-    .single();
-
-  if (fetchError) {
-    if (fetchError.code === 'PGRST116') {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
-    throw fetchError;
-  }
-
-  // Check if order can be deleted
-  if (!['pending', 'cancelled'].includes(order.status)) {
-    return res.status(409).json({
-      success: false,
-      message: 'Only pending or cancelled orders can be deleted'
-    });
-  }
-
-  // If order is pending, restore the stock
-  if (order.status === 'pending') {
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('stock')
-      .eq('id', order.product_id)
-      .single();
-
-    if (!productError && product) {
-      await supabase
-        .from('products')
-        .update({ stock: product.stock + order.quantity })
-        .eq('id', order.product_id);
-    }
-  }
-
-  // Delete the order
-  const { error: deleteError } = await supabase
-    .from('orders')
-    .delete()
-    .eq('id', id)
-    .eq('retailer_id', retailerId);
+  // Deletes pending/cancelled orders only; a pending order's stock is restored
+  // in the same transaction, so the restore can't be lost or applied twice
+  const { error } = await supabase.rpc('delete_order', {
+    p_order_id: id,
+    p_retailer_id: retailerId,
+    p_deleted_by: req.user.id
+  });
 
-  if (deleteError) {
-    throw deleteError;
+  if (error) {
+    throw error;
   }
 
   res.status(200).json({
@@ -322,7 +458,7 @@ const getOrderStats = asyncHandler(async (req, res) => {
   // Get order counts by status
   const { data: statusStats, error: statusError } = await supabase
     .from('orders')
-    .select('status')
+    .select('status, cancellation_reason')
     .eq('retailer_id', retailerId);
 
   if (statusError) {
@@ -340,10 +476,21 @@ const getOrderStats = asyncHandler(async (req, res) => {
     cancelled: statusStats.filter(o => o.status === 'cancelled').length
   };
 
-  // Get total revenue (from delivered orders)
+  // Cancelled orders by reason (orders cancelled before reasons were recorded count as unspecified)
+  const cancellationReasons = { unspecified: 0 };
+  CANCELLATION_REASONS.forEach(reason => { cancellationReasons[reason] = 0; });
+  statusStats
+    .filter(o => o.status === 'cancelled')
+    .forEach(o => { cancellationReasons[o.cancellation_reason || 'unspecified']++; });
+
+  // Get total revenue, units sold, discounts given and tax collected (from delivered orders)
   const { data: revenueData, error: revenueError } = await supabase
     .from('orders')
-    .select('total_amount')
+    .select(`
+      total_amount, refunded_amount, discount_amount, tax_amount,
+      order_items ( product_id, product_name, quantity, line_total ),
+      ${ORDER_DISCOUNTS_SELECT}
+    `)
     .eq('retailer_id', retailerId)
     .eq('status', 'delivered');
 
@@ -351,13 +498,279 @@ const getOrderStats = asyncHandler(async (req, res) => {
     throw revenueError;
   }
 
-  const totalRevenue = revenueData.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
+  // Revenue is reported net of refunds
+  const grossRevenue = revenueData.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
+  const refundedAmount = revenueData.reduce((sum, order) => sum + parseFloat(order.refunded_amount || 0), 0);
+  const totalRevenue = grossRevenue - refundedAmount;
+
+  // Aggregate line items per product for the best sellers list
+  const productSales = {};
+  revenueData.forEach(order => {
+    order.order_items.forEach(item => {
+      const key = item.product_id || item.product_name;
+      if (!productSales[key]) {
+        productSales[key] = { product_id: item.product_id, name: item.product_name, quantity: 0, revenue: 0 };
+      }
+      productSales[key].quantity += item.quantity;
+      productSales[key].revenue += parseFloat(item.line_total);
+    });
+  });
+
+  // Discount cost: what codes and promotions took off, per offer
+  const discountCost = revenueData.reduce((sum, order) => sum + parseFloat(order.discount_amount), 0);
+  const discountsByOffer = {};
+  revenueData.forEach(order => {
+    order.discounts.forEach(discount => {
+      const key = discount.code || discount.name;
+      if (!discountsByOffer[key]) {
+        discountsByOffer[key] = { code: discount.code, name: discount.name, type: discount.type, orders: 0, amount: 0 };
+      }
+      discountsByOffer[key].orders++;
+      discountsByOffer[key].amount += parseFloat(discount.amount);
+    });
+  });
+
+  // Revenue includes tax; this is the part owed as tax (see GET /taxes/summary for a period)
+  const taxCollected = revenueData.reduce((sum, order) => sum + parseFloat(order.tax_amount), 0);
+
+  const itemsSold = Object.values(productSales).reduce((sum, product) => sum + product.quantity, 0);
+  const topProducts = Object.values(productSales)
+    .sort((a, b) => b.quantity - a.quantity)
+    .slice(0, 5)
+    .map(product => ({ ...product, revenue: product.revenue.toFixed(2) }));
 
   res.status(200).json({
     success: true,
     data: {
       orderStats: stats,
-      totalRevenue: totalRevenue.toFixed(2)
+      cancellationReasons,
+      totalRevenue: totalRevenue.toFixed(2),
+      grossRevenue: grossRevenue.toFixed(2),
+      refundedAmount: refundedAmount.toFixed(2),
+      discountCost: discountCost.toFixed(2),
+      taxCollected: taxCollected.toFixed(2),
+      discounts: Object.values(discountsByOffer)
+        .sort((a, b) => b.amount - a.amount)
+        .map(offer => ({ ...offer, amount: offer.amount.toFixed(2) })),
+      itemsSold,
+      topProducts
+    }
+  });
+});
+
+/**
+ * Download the order's invoice as a PDF
+ * The first download issues the invoice with the retailer's next invoice number;
+ * later downloads render the same stored invoice, so numbers and contents never change
+ * GET /orders/:id/invoice
+ */
+const getOrderInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailer = req.retailer;
+
+  const { data: order, error: fetchError } = await supabase
+    .from('orders')
+    .select(`
+      id, customer_name, customer_email, customer_phone, total_amount, created_at,
+      subtotal_amount, delivery_fee, prices_include_tax,
+      order_items ( product_name, variant_label, quantity, unit_price, line_total, taxes ),
+      ${ORDER_DISCOUNTS_SELECT}
+    `)
+    .eq('id', id)
+    .eq('retailer_id', retailer.id)
+    .single();
+
+  if (fetchError) {
+    if (fetchError.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    throw fetchError;
+  }
+
+  // Everything printed on the invoice, frozen at the moment it is issued
+  const snapshot = {
+    store: {
+      name: retailer.name,
+      logo_url: retailer.logo_url || null,
+      contact_info: retailer.contact_info || null,
+      footer_text: retailer.footer_text || null
+    },
+    customer: {
+      name: order.customer_name,
+      email: order.customer_email,
+      phone: order.customer_phone
+    },
+    order: {
+      reference: orderReference(order.id),
+      created_at: order.created_at
+    },
+    items: order.order_items.map(item => ({
+      name: item.variant_label ? `${item.product_name} - ${item.variant_label}` : item.product_name,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      line_total: item.line_total
+    })),
+    subtotal: order.subtotal_amount,
+    discounts: order.discounts.map(discount => ({ name: discount.name, amount: discount.amount })),
+    delivery_fee: order.delivery_fee,
+    // Included taxes are shown for information; added taxes count towards the total
+    taxes: summarizeTaxes(order.order_items).map(tax => ({
+      name: `${order.prices_include_tax ? 'Includes ' : ''}${tax.name}${tax.name.includes('%') ? '' : ` ${tax.rate}%`}`,
+      amount: tax.amount
+    })),
+    total: order.total_amount
+  };
+
+  // Invoice numbering is server-side bookkeeping, so it runs with the service role
+  const { data: invoice, error: invoiceError } = await supabaseAdmin
+    .rpc('issue_invoice', {
+      p_order_id: id,
+      p_retailer_id: retailer.id,
+      p_snapshot: snapshot
+    })
+    .single();
+
+  if (invoiceError) {
+    throw invoiceError;
+  }
+
+  const invoiceNumber = formatInvoiceNumber(invoice.invoice_number);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoiceNumber}.pdf"`);
+
+  // Part of the PDF may already be sent, so a failure can't become a JSON error response:
+  // abort the download instead, so the client doesn't keep a truncated file
+  try {
+    await renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error(`Invoice ${invoiceNumber} PDF failed:`, error.message);
+    res.destroy(error);
+  }
+});
+
+/**
+ * Place an order from the public storefront
+ * Uses the same pricing, discounts, tax and atomic stock handling as createOrder, plus the store's delivery fee
+ * POST /retailer/store/:retailerId/checkout
+ * Body: { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes,
+ *         discount_code, captcha_token }
+ */
+const createCheckoutOrder = asyncHandler(async (req, res) => {
+  const { retailerId } = req.params;
+  const { customer_name, customer_email, customer_phone, items, notes, discount_code } = req.body;
+
+  // Step 1: Make sure the store exists
+  const { data: retailer, error: retailerError } = await supabase
+    .from('retailers')
+    .select('id, name, delivery_fee, free_delivery_min_order, prices_include_tax')
+    .eq('id', retailerId)
+    .single();
+
+  if (retailerError || !retailer) {
+    return res.status(404).json({ success: false, message: 'Store not found or not available' });
+  }
+
+  // Step 2: Only active, in-stock products of this store, priced, discounted and taxed like createOrder
+  const { lines, productCategories, productTaxRates } = await priceOrderItems(retailerId, items);
+
+  const discounted = await applyDiscounts({
+    retailer,
+    lines,
+    productCategories,
+    code: discount_code,
+    customer: { email: customer_email, phone: customer_phone }
+  });
+
+  const priced = await applyTaxes({ retailer, order: discounted, productCategories, productTaxRates });
+
+  // Step 3: Place the order atomically; the customer gets the token, we keep only its hash
+  const trackingToken = crypto.randomBytes(24).toString('base64url');
+
+  const { data: orderId, error: orderError } = await supabase.rpc('place_order', {
+    p_retailer_id: retailerId,
+    p_customer_name: customer_name,
+    p_customer_email: customer_email || null,
+    p_customer_phone: customer_phone || null,
+    p_notes: notes || null,
+    p_total_amount: priced.totalAmount,
+    p_items: priced.lines,
+    p_source: 'storefront',
+    p_tracking_token_hash: hashTrackingToken(trackingToken),
+    p_subtotal_amount: priced.subtotalAmount,
+    p_discount_amount: priced.discountAmount,
+    p_delivery_fee: priced.deliveryFee,
+    p_discounts: priced.discounts,
+    p_tax_amount: priced.taxAmount,
+    p_prices_include_tax: priced.pricesIncludeTax
+  });
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Thank you! Your order with ${retailer.name} has been placed.`,
+    data: {
+      reference: orderReference(orderId),
+      tracking_token: trackingToken,
+      status: 'pending',
+      subtotal_amount: priced.subtotalAmount,
+      discount_amount: priced.discountAmount,
+      delivery_fee: priced.deliveryFee,
+      tax_amount: priced.taxAmount,
+      prices_include_tax: priced.pricesIncludeTax,
+      total_amount: priced.totalAmount,
+      discounts: priced.discounts.map(({ code, name, amount }) => ({ code, name, amount })),
+      taxes: priced.taxes,
+      items: priced.lines.map(({ product_name, variant_label, quantity, unit_price, line_total, discount_amount, tax_amount }) => ({
+        product_name, variant_label, quantity, unit_price, line_total, discount_amount, tax_amount
+      }))
+    }
+  });
+});
+
+/**
+ * Track a storefront order with its tracking token
+ * GET /retailer/store/:retailerId/orders/:trackingToken
+ */
+const trackOrder = asyncHandler(async (req, res) => {
+  const { retailerId, trackingToken } = req.params;
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(`
+      id, status, subtotal_amount, discount_amount, delivery_fee, tax_amount, prices_include_tax, total_amount, created_at,
+      order_items (
+        product_name, variant_label, quantity, unit_price, line_total, discount_amount, tax_amount,
+        products ( primary_image )
+      ),
+      timeline:order_status_history ( to_status, created_at )
+    `)
+    .eq('retailer_id', retailerId)
+    .eq('tracking_token_hash', hashTrackingToken(trackingToken))
+    .order('created_at', { referencedTable: 'timeline', ascending: true })
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  const { id, ...publicOrder } = order;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reference: orderReference(id),
+      ...publicOrder
     }
   });
 });
@@ -365,8 +778,12 @@ const getOrderStats = asyncHandler(async (req, res) => {
 module.exports = {
   createOrder,
   getOrders,
+  exportOrders,
   getOrder,
   updateOrderStatus,
   deleteOrder,
-  getOrderStats
+  getOrderStats,
+  getOrderInvoice,
+  createCheckoutOrder,
+  trackOrder
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// controllers/priceController.js
+// Price controller - the price history of a product and its variants
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isOnSale, effectivePrice } = require('../utils/pricing');
+
+const PRICE_HISTORY_SELECT = `
+  id, variant_id, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, changed_by, created_at,
+  product_variants ( option_values, sku )
+`;
+
+/**
+ * Get a product's price history, newest first: every change of its price, sale or compare-at price
+ * With at, price_at tells what the product (or variant_id) cost at that moment, sale included
+ * GET /products/:id/price-history
+ * Query params: variant_id, at, page, limit
+ */
+const getPriceHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { variant_id, at, page = 1, limit = 20 } = req.query;
+  const retailerId = req.retailer.id;
+
+  let query = supabase
+    .from('price_history')
+    .select(PRICE_HISTORY_SELECT, { count: 'exact' })
+    .eq('product_id', id)
+    .eq('retailer_id', retailerId);
+
+  if (variant_id) {
+    query = query.eq('variant_id', variant_id);
+  }
+
+  // Apply pagination
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  // The prices in force at that moment are the last change made before it
+  let priceAt;
+  if (at) {
+    let atQuery = supabase
+      .from('price_history')
+      .select(PRICE_HISTORY_SELECT)
+      .eq('product_id', id)
+      .eq('retailer_id', retailerId)
+      .lte('created_at', at);
+
+    atQuery = variant_id ? atQuery.eq('variant_id', variant_id) : atQuery.is('variant_id', null);
+
+    const { data: entry, error: atError } = await atQuery
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (atError) {
+      throw atError;
+    }
+
+    const moment = new Date(at);
+    priceAt = entry
+      ? {
+        at,
+        price: effectivePrice(entry, moment),
+        regular_price: parseFloat(entry.price),
+        on_sale: isOnSale(entry, moment)
+      }
+      : null;
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+    ...(at ? { price_at: priceAt } : {}),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  });
+});
+
+module.exports = {
+  getPriceHistory
+};
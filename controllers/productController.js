@@ -3,14 +3,50 @@
 
 const { supabase } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { checkOptionValues } = require('../utils/variants');
+const { PRODUCT_COLUMNS, readSpreadsheet, toProductRows, checkProductRow } = require('../utils/productImport');
+const { streamExport } = require('../utils/exportStream');
+const { removeImageFiles, formatImage } = require('../utils/productImages');
+const { compareCategories } = require('../utils/categories');
+const { searchProducts, fetchProductsInOrder } = require('../utils/productSearch');
+const { withEffectivePrice } = require('../utils/pricing');
+
+// Variants embedded in product responses
+const PRODUCT_VARIANTS_SELECT = `
+  product_variants (
+    id, option_values, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, image_url, is_active
+  )
+`;
+
+// Gallery embedded in single-product responses
+const PRODUCT_IMAGES_SELECT = 'product_images ( id, urls, width, height, position, is_primary )';
+
+// Products read per query when importing or exporting the whole catalogue
+const CATALOGUE_BATCH_SIZE = 1000;
+
+// A product and its variants with the price charged now (effective_price, on_sale)
+const withPrices = ({ product_variants, ...product }) => ({
+  ...withEffectivePrice(product),
+  product_variants: product_variants.map(variant => withEffectivePrice(variant))
+});
+
+// Names are matched ignoring case and surrounding spaces
+const nameKey = (name) => String(name).trim().toLowerCase();
 
 /**
  * Create a new product
+ * The category is given by category_id, or by name (an unknown name creates the category).
+ * sale_price applies from sale_starts_at until sale_ends_at (both optional).
+ * sku and barcode must be unique in the store, across products and variants.
  * POST /products
- * Body: { name, description, price, stock, category, image_url }
+ * Body: { name, description, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price,
+ *         stock, category_id, category, tax_rate_id, image_url, options, reorder_threshold }
  */
 const createProduct = asyncHandler(async (req, res) => {
-  const { name, description, price, stock, category, image_url } = req.body;
+  const {
+    name, description, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock,
+    category_id, category, tax_rate_id, image_url, options, reorder_threshold
+  } = req.body;
   const retailerId = req.retailer.id;
 
   // Insert new product into database
@@ -21,10 +57,20 @@ const createProduct = asyncHandler(async (req, res) => {
         retailer_id: retailerId,
         name,
         description,
+        sku: sku || null,
+        barcode: barcode || null,
         price: parseFloat(price),
+        sale_price: sale_price === undefined || sale_price === null ? null : parseFloat(sale_price),
+        sale_starts_at: sale_starts_at || null,
+        sale_ends_at: sale_ends_at || null,
+        compare_at_price: compare_at_price === undefined || compare_at_price === null ? null : parseFloat(compare_at_price),
         stock: parseInt(stock) || 0,
+        category_id,
         category,
+        tax_rate_id,
         image_url,
+        options: options || [],
+        reorder_threshold: reorder_threshold === undefined || reorder_threshold === null ? null : parseInt(reorder_threshold),
         is_active: true
       }
     ])
@@ -32,6 +78,12 @@ const createProduct = asyncHandler(async (req, res) => {
     .single();
 
   if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another product in this store already has this SKU or barcode'
+      });
+    }
     throw error;
   }
 
@@ -44,53 +96,29 @@ const createProduct = asyncHandler(async (req, res) => {
 
 /**
  * Get all products for the logged-in retailer
+ * q searches name and description, matching partial words and tolerating typos.
+ * category_id includes the products of its subcategories. Facets count the matches
+ * per category and price band, each ignoring its own filter.
  * GET /products
- * Query params: category, is_active, page, limit
+ * Query params: q, category_id, category, min_price, max_price, in_stock, is_active,
+ *               sort (relevance | newest | price | name | best_selling), order (asc | desc), page, limit
  */
 const getProducts = asyncHandler(async (req, res) => {
   const retailerId = req.retailer.id;
-  const { category, is_active, page = 1, limit = 10 } = req.query;
+  const { page = 1, limit = 10 } = req.query;
 
-  // Build query
-  let query = supabase
-    .from('products')
-    .select('*')
-    .eq('retailer_id', retailerId)
-    .order('created_at', { ascending: false });
-
-  // Apply filters
-  if (category) {
-    query = query.eq('category', category);
-  }
-
-  if (is_active !== undefined) {
-    query = query.eq('is_active', is_active === 'true');
-  }
-
-  // Apply pagination
-  const offset = (page - 1) * limit;
-  query = query.range(offset, offset + limit - 1);
-
-  const { data, error, count } = await query;
-
-  if (error) {
-    throw error;
-  }
-
-  // Get total count for pagination
-  const { count: totalCount } = await supabase
-    .from('products')
-    .select('*', { count: 'exact', head: true })
-    .eq('retailer_id', retailerId);
+  const { productIds, total, facets } = await searchProducts(retailerId, { ...req.query, page, limit });
+  const data = await fetchProductsInOrder(productIds, `*, ${PRODUCT_VARIANTS_SELECT}`);
 
   res.status(200).json({
     success: true,
-    data: data,
+    data: data.map(withPrices),
+    facets,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
-      total: totalCount,
-      totalPages: Math.ceil(totalCount / limit)
+      total,
+      totalPages: Math.ceil(total / limit)
     }
   });
 });
@@ -105,9 +133,10 @@ const getProduct = asyncHandler(async (req, res) => {
 
   const { data, error } = await supabase
     .from('products')
-    .select('*')
+    .select(`*, ${PRODUCT_VARIANTS_SELECT}, ${PRODUCT_IMAGES_SELECT}`)
     .eq('id', id)
     .eq('retailer_id', retailerId)
+    .order('position', { referencedTable: 'product_images', ascending: true })
     .single();
 
   if (error) {
@@ -120,16 +149,23 @@ const getProduct = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  const { product_images, ...product } = data;
+
   res.status(200).json({
     success: true,
-    data: data
+    data: {
+      ...withPrices(product),
+      images: product_images.map(formatImage)
+    }
   });
 });
 
 /**
  * Update a product
  * PUT /products/:id
- * Body: { name, description, price, stock, category, image_url, is_active }
+ * Body: { name, description, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price,
+ *         stock, category_id, category, tax_rate_id, image_url, is_active, options, reorder_threshold }
+ * Send sale_price: null to end a sale early, sku or barcode: null to clear them.
  */
 const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -150,10 +186,65 @@ const updateProduct = asyncHandler(async (req, res) => {
     }
   });
 
-  // Update product in database
-  const { data, error } = await supabase
-    .from('products')
-    .update(cleanedData)
+  // Products with variants keep their stock on the variants, and their options must fit the variants
+  if (cleanedData.stock !== undefined || cleanedData.options !== undefined) {
+    const { data: variants, error: variantsError } = await supabase
+      .from('product_variants')
+      .select('option_values')
+      .eq('product_id', id)
+      .eq('retailer_id', retailerId);
+
+    if (variantsError) {
+      throw variantsError;
+    }
+
+    if (variants.length && cleanedData.stock !== undefined) {
+      return res.status(409).json({
+        success: false,
+        message: 'This product has variants. Update the stock of each variant instead.'
+      });
+    }
+
+    if (variants.length && cleanedData.options !== undefined) {
+      const optionError = variants
+        .map(variant => checkOptionValues(cleanedData.options, variant.option_values))
+        .find(Boolean);
+
+      if (optionError) {
+        return res.status(409).json({
+          success: false,
+          message: `These options don't fit the existing variants: ${optionError}`
+        });
+      }
+    }
+  }
+
+  const { stock, ...fields } = cleanedData;
+
+  // A new stock level is recorded in the inventory ledger as a manual adjustment
+  if (stock !== undefined) {
+    const { error: stockError } = await supabase.rpc('apply_stock_change', {
+      p_retailer_id: retailerId,
+      p_product_id: id,
+      p_variant_id: null,
+      p_delta: null,
+      p_quantity: stock,
+      p_reason: 'manual_adjustment',
+      p_actor: req.user.id,
+      p_note: null
+    });
+
+    if (stockError) {
+      throw stockError;
+    }
+  }
+
+  // Update product in database (or just read it back when only the stock changed)
+  const query = Object.keys(fields).length
+    ? supabase.from('products').update(fields)
+    : supabase.from('products').select();
+
+  const { data, error } = await query
     .eq('id', id)
     .eq('retailer_id', retailerId)
     .select()
@@ -166,6 +257,18 @@ const updateProduct = asyncHandler(async (req, res) => {
         message: 'Product not found'
       });
     }
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another product in this store already has this SKU or barcode'
+      });
+    }
+    if (error.code === '23514' && error.message.includes('products_archived_inactive')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This product is archived. Restore it before activating it.'
+      });
+    }
     throw error;
   }
 
@@ -177,42 +280,65 @@ const updateProduct = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete a product
+ * Delete a product for good
+ * Products that were ever ordered can't be deleted (order history keeps them): archive them instead.
  * DELETE /products/:id
  */
 const deleteProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const retailerId = req.retailer.id;
 
-  // Check if product has any orders
-  const { data: orders, error: orderError } = await supabase
-    .from('orders')
-    .select('id')
+  // Check if any of the retailer's orders include the product
+  const { data: orderItems, error: orderError } = await supabase
+    .from('order_items')
+    .select('id, orders!inner ( retailer_id )')
     .eq('product_id', id)
+    .eq('orders.retailer_id', retailerId)
     .limit(1);
 
   if (orderError) {
     throw orderError;
   }
 
-  if (orders && orders.length > 0) {
+  if (orderItems && orderItems.length > 0) {
     return res.status(409).json({
       success: false,
-      message: 'Cannot delete product that has existing orders. Consider deactivating it instead.'
+      message: 'Cannot delete a product that has existing orders. Archive it instead.'
     });
   }
 
+  // Gallery rows are deleted with the product; their files are removed afterwards
+  const { data: images, error: imagesError } = await supabase
+    .from('product_images')
+    .select('storage_path')
+    .eq('product_id', id)
+    .eq('retailer_id', retailerId);
+
+  if (imagesError) {
+    throw imagesError;
+  }
+
   // Delete product from database
-  const { error } = await supabase
+  const { data, error } = await supabase
     .from('products')
     .delete()
     .eq('id', id)
-    .eq('retailer_id', retailerId);
+    .eq('retailer_id', retailerId)
+    .select('id');
 
   if (error) {
     throw error;
   }
 
+  if (!data.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  await removeImageFiles(images.map(image => image.storage_path));
+
   res.status(200).json({
     success: true,
     message: 'Product deleted successfully'
@@ -230,7 +356,7 @@ const toggleProductStatus = asyncHandler(async (req, res) => {
   // Get current product status
   const { data: currentProduct, error: fetchError } = await supabase
     .from('products')
-    .select('is_active')
+    .select('is_active, archived_at')
     .eq('id', id)
     .eq('retailer_id', retailerId)
     .single();
@@ -245,6 +371,13 @@ const toggleProductStatus = asyncHandler(async (req, res) => {
     throw fetchError;
   }
 
+  if (currentProduct.archived_at) {
+    return res.status(409).json({
+      success: false,
+      message: 'This product is archived. Restore it before activating it.'
+    });
+  }
+
   // Toggle the status
   const newStatus = !currentProduct.is_active;
 
@@ -268,25 +401,192 @@ const toggleProductStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get product categories for the retailer
+ * Archive or restore some of the retailer's products
+ * Archiving also deactivates; restoring leaves products inactive. Products already in the
+ * requested state (or not the retailer's) are left alone.
+ * Returns the updated products
+ */
+const setArchived = async (retailerId, productIds, archive) => {
+  let query = supabase
+    .from('products')
+    .update(archive ? { archived_at: new Date().toISOString(), is_active: false } : { archived_at: null })
+    .eq('retailer_id', retailerId)
+    .in('id', productIds);
+
+  query = archive ? query.is('archived_at', null) : query.not('archived_at', 'is', null);
+
+  const { data, error } = await query.select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Answer why a product wasn't archived or restored: it isn't the retailer's (404) or already is in that state (409)
+ */
+const sendArchiveConflict = async (res, id, retailerId, archive) => {
+  const { error } = await supabase
+    .from('products')
+    .select('id')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    throw error;
+  }
+
+  res.status(409).json({
+    success: false,
+    message: archive ? 'Product is already archived' : 'Product is not archived'
+  });
+};
+
+/**
+ * Archive a product: it leaves the product list and the storefront but stays in order history
+ * PATCH /products/:id/archive
+ */
+const archiveProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const [product] = await setArchived(retailerId, [id], true);
+
+  if (!product) {
+    return sendArchiveConflict(res, id, retailerId, true);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product archived successfully',
+    data: product
+  });
+});
+
+/**
+ * Restore an archived product to the product list, inactive until it is switched back on
+ * PATCH /products/:id/restore
+ */
+const restoreProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const [product] = await setArchived(retailerId, [id], false);
+
+  if (!product) {
+    return sendArchiveConflict(res, id, retailerId, false);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product restored successfully. Activate it to put it back on sale.',
+    data: product
+  });
+});
+
+/**
+ * Archive several products at once
+ * skipped lists the ids that weren't archived (already archived or not found)
+ * POST /products/archive
+ * Body: { product_ids }
+ */
+const archiveProducts = asyncHandler(async (req, res) => {
+  const productIds = [...new Set(req.body.product_ids)];
+  const archived = (await setArchived(req.retailer.id, productIds, true)).map(product => product.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Archived ${archived.length} product(s)`,
+    data: {
+      archived,
+      skipped: productIds.filter(id => !archived.includes(id))
+    }
+  });
+});
+
+/**
+ * Restore several archived products at once
+ * POST /products/restore
+ * Body: { product_ids }
+ */
+const restoreProducts = asyncHandler(async (req, res) => {
+  const productIds = [...new Set(req.body.product_ids)];
+  const restored = (await setArchived(req.retailer.id, productIds, false)).map(product => product.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Restored ${restored.length} product(s)`,
+    data: {
+      restored,
+      skipped: productIds.filter(id => !restored.includes(id))
+    }
+  });
+});
+
+/**
+ * Get the archived products (the trash), most recently archived first
+ * GET /products/trash
+ * Query params: page, limit
+ */
+const getArchivedProducts = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { page = 1, limit = 10 } = req.query;
+
+  // Apply pagination
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await supabase
+    .from('products')
+    .select(`*, ${PRODUCT_VARIANTS_SELECT}`, { count: 'exact' })
+    .eq('retailer_id', retailerId)
+    .not('archived_at', 'is', null)
+    .order('archived_at', { ascending: false })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: data.map(withPrices),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * Get the names of the retailer's categories, in menu order
+ * (GET /categories has the full categories with nesting)
  * GET /products/categories
  */
 const getCategories = asyncHandler(async (req, res) => {
   const retailerId = req.retailer.id;
 
   const { data, error } = await supabase
-    .from('products')
-    .select('category')
-    .eq('retailer_id', retailerId)
-    .not('category', 'is', null)
-    .order('category');
+    .from('categories')
+    .select('name, sort_order')
+    .eq('retailer_id', retailerId);
 
   if (error) {
     throw error;
   }
 
-  // Extract unique categories
-  const categories = [...new Set(data.map(item => item.category))];
+  // The same name can appear under different parents
+  const categories = [...new Set(data.sort(compareCategories).map(item => item.name))];
 
   res.status(200).json({
     success: true,
@@ -294,6 +594,206 @@ const getCategories = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Import products from a CSV or XLSX file (multipart field "file")
+ * Every row is checked with the same rules as POST /products. Rows update the product with the
+ * same SKU, else the one with the same name, or create a new one. Nothing is imported if any row
+ * has an error.
+ * POST /products/import
+ * Query params: dry_run (true = only preview what would happen)
+ */
+const importProducts = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const dryRun = req.query.dry_run === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
+
+  const rows = toProductRows(await readSpreadsheet(req.file));
+
+  // Existing products by name and by SKU, with whether their stock is kept on variants
+  const existing = new Map();
+  const existingBySku = new Map();
+  for (let offset = 0; ; offset += CATALOGUE_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('products')
+      .select('id, name, sku, archived_at, product_variants ( id )')
+      .eq('retailer_id', retailerId)
+      .order('id', { ascending: true })
+      .range(offset, offset + CATALOGUE_BATCH_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(product => {
+      const key = nameKey(product.name);
+      existing.set(key, [...(existing.get(key) || []), product]);
+      if (product.sku) existingBySku.set(product.sku, product);
+    });
+
+    if (data.length < CATALOGUE_BATCH_SIZE) break;
+  }
+
+  const seen = new Map();
+  const seenSkus = new Map();
+  const preview = [];
+  const imports = [];
+
+  for (const { rowNumber, fields } of rows) {
+    const { data, errors } = await checkProductRow(fields);
+    const key = data.name ? nameKey(data.name) : null;
+    const skuMatch = data.sku ? existingBySku.get(data.sku) : null;
+    const matches = skuMatch ? [skuMatch] : (key && existing.get(key)) || [];
+
+    if (key && seen.has(key)) {
+      errors.push({ field: 'name', message: `Same name as row ${seen.get(key)}` });
+    } else if (key) {
+      seen.set(key, rowNumber);
+    }
+
+    if (data.sku && seenSkus.has(data.sku)) {
+      errors.push({ field: 'sku', message: `Same SKU as row ${seenSkus.get(data.sku)}` });
+    } else if (data.sku) {
+      seenSkus.set(data.sku, rowNumber);
+    }
+
+    if (matches.length > 1) {
+      errors.push({ field: 'name', message: `${matches.length} existing products have this name. Rename them first.` });
+    }
+
+    const product = matches.length === 1 ? matches[0] : null;
+
+    if (product && product.archived_at) {
+      errors.push({ field: 'name', message: 'This product is archived. Restore it before importing it again.' });
+    }
+
+    if (product && product.product_variants.length && data.stock !== undefined) {
+      errors.push({ field: 'stock', message: 'This product has variants. Leave stock empty and update the variants instead.' });
+    }
+
+    preview.push({
+      row: rowNumber,
+      name: data.name || null,
+      action: errors.length ? 'error' : product ? 'update' : 'create',
+      product_id: product ? product.id : null,
+      errors
+    });
+
+    imports.push(product ? { id: product.id, ...data } : data);
+  }
+
+  const summary = {
+    total: preview.length,
+    create: preview.filter(row => row.action === 'create').length,
+    update: preview.filter(row => row.action === 'update').length,
+    errors: preview.filter(row => row.action === 'error').length
+  };
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: 'Dry run - nothing was imported',
+      data: { dry_run: true, summary, rows: preview }
+    });
+  }
+
+  if (summary.errors) {
+    return res.status(400).json({
+      success: false,
+      message: `${summary.errors} row(s) have errors - nothing was imported`,
+      data: { summary, rows: preview }
+    });
+  }
+
+  // Creates and updates happen in one transaction
+  if (imports.length) {
+    const { error } = await supabase.rpc('import_products', {
+      p_retailer_id: retailerId,
+      p_rows: imports,
+      p_imported_by: req.user.id
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${summary.create} new and ${summary.update} updated product(s)`,
+    data: { summary, rows: preview }
+  });
+});
+
+/**
+ * Export the whole catalogue as CSV or XLSX, in the format POST /products/import reads
+ * Stock is left empty for products with variants (their stock is kept on the variants)
+ * GET /products/export
+ * Query params: format (csv | xlsx), category, is_active
+ */
+const exportProducts = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { category, is_active } = req.query;
+  const format = req.query.format || 'csv';
+  const filename = `products-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  const fetchBatch = async (offset) => {
+    let query = supabase
+      .from('products')
+      .select('id, name, description, sku, barcode, price, stock, category, image_url, is_active, product_variants ( id )')
+      .eq('retailer_id', retailerId)
+      .is('archived_at', null);
+
+    if (category) query = query.eq('category', category);
+    if (is_active !== undefined) query = query.eq('is_active', is_active === 'true');
+
+    const { data, error } = await query
+      .order('name', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + CATALOGUE_BATCH_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  const toRow = (product) => ({
+    name: product.name,
+    description: product.description,
+    sku: product.sku,
+    barcode: product.barcode,
+    price: parseFloat(product.price),
+    stock: product.product_variants.length ? null : product.stock,
+    category: product.category,
+    image_url: product.image_url,
+    is_active: product.is_active
+  });
+
+  // Fetch the first batch before sending headers, so query errors still get a JSON error response
+  let offset = 0;
+  const batch = await fetchBatch(offset);
+
+  await streamExport(res, {
+    format,
+    filename,
+    sheetName: 'Products',
+    columns: PRODUCT_COLUMNS,
+    batch,
+    nextBatch: (previous) => {
+      offset += CATALOGUE_BATCH_SIZE;
+      return previous.length === CATALOGUE_BATCH_SIZE ? fetchBatch(offset) : [];
+    },
+    toRows: product => [toRow(product)]
+  });
+});
+
 module.exports = {
   createProduct,
   getProducts,
@@ -301,5 +801,12 @@ module.exports = {
   updateProduct,
   deleteProduct,
   toggleProductStatus,
-  getCategories
+  archiveProduct,
+  restoreProduct,
+  archiveProducts,
+  restoreProducts,
+  getArchivedProducts,
+  getCategories,
+  importProducts,
+  exportProducts
 };
\ No newline at end of file
@@ -0,0 +1,246 @@
+// controllers/productImageController.js
+// Product image controller - a product's image gallery: upload, reorder, primary image, delete
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  MAX_PRODUCT_IMAGES,
+  imageStoragePath,
+  renderImageSizes,
+  storeImageSizes,
+  removeImageFiles,
+  formatImage
+} = require('../utils/productImages');
+
+/**
+ * Load the product's gallery in display order
+ */
+const fetchImages = async (productId) => {
+  const { data, error } = await supabase
+    .from('product_images')
+    .select('id, urls, width, height, position, is_primary')
+    .eq('product_id', productId)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(formatImage);
+};
+
+/**
+ * Get a product's images
+ * GET /products/:id/images
+ */
+const getProductImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { error } = await supabase
+    .from('products')
+    .select('id')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await fetchImages(id)
+  });
+});
+
+/**
+ * Upload images to a product's gallery (multipart field "images", one or more files)
+ * Each image is stored as thumbnail, card and full size WebP.
+ * The first image of a product becomes its primary image.
+ * POST /products/:id/images
+ */
+const uploadProductImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+  const files = req.files || [];
+
+  if (!files.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'No images uploaded'
+    });
+  }
+
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, product_images ( position, is_primary )')
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (productError) {
+    if (productError.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    throw productError;
+  }
+
+  const existing = product.product_images;
+
+  if (existing.length + files.length > MAX_PRODUCT_IMAGES) {
+    return res.status(400).json({
+      success: false,
+      message: `A product can have at most ${MAX_PRODUCT_IMAGES} images (it has ${existing.length})`
+    });
+  }
+
+  // Resize every file before storing any, so an unreadable file uploads nothing
+  const rendered = [];
+  for (const file of files) {
+    rendered.push(await renderImageSizes(file.buffer));
+  }
+
+  const nextPosition = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+  const hasPrimary = existing.some(image => image.is_primary);
+  const rows = [];
+
+  try {
+    for (const [index, { files: sizes, width, height }] of rendered.entries()) {
+      const imageId = crypto.randomUUID();
+      const storagePath = imageStoragePath(retailerId, id, imageId);
+
+      rows.push({
+        id: imageId,
+        product_id: id,
+        retailer_id: retailerId,
+        storage_path: storagePath,
+        urls: await storeImageSizes(storagePath, sizes),
+        width,
+        height,
+        position: nextPosition + index,
+        is_primary: !hasPrimary && index === 0
+      });
+    }
+
+    const { error } = await supabase
+      .from('product_images')
+      .insert(rows);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    await removeImageFiles(rows.map(row => row.storage_path));
+
+    // Another upload made its first image primary at the same time
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'The gallery was changed by another request. Please try again.'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${rows.length} image(s) uploaded successfully`,
+    data: await fetchImages(id)
+  });
+});
+
+/**
+ * Reorder a product's images
+ * PUT /products/:id/images/order
+ * Body: { image_ids } - every image id of the product, in the new order
+ */
+const reorderProductImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { image_ids } = req.body;
+
+  const { error } = await supabase.rpc('reorder_product_images', {
+    p_product_id: id,
+    p_retailer_id: req.retailer.id,
+    p_image_ids: image_ids
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Images reordered successfully',
+    data: await fetchImages(id)
+  });
+});
+
+/**
+ * Make an image the product's primary image (used in lists, orders and as image_url)
+ * PATCH /products/:id/images/:imageId/primary
+ */
+const setPrimaryProductImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const { error } = await supabase.rpc('set_primary_product_image', {
+    p_image_id: imageId,
+    p_product_id: id,
+    p_retailer_id: req.retailer.id
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Primary image updated successfully',
+    data: await fetchImages(id)
+  });
+});
+
+/**
+ * Delete an image and its files
+ * DELETE /products/:id/images/:imageId
+ */
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const { data: storagePath, error } = await supabase.rpc('delete_product_image', {
+    p_image_id: imageId,
+    p_product_id: id,
+    p_retailer_id: req.retailer.id
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  await removeImageFiles([storagePath]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image deleted successfully',
+    data: await fetchImages(id)
+  });
+});
+
+module.exports = {
+  getProductImages,
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+};
@@ -3,6 +3,17 @@
 
 const { supabase } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { variantLabel } = require('../utils/variants');
+const { STOCK_ALERT_SELECT, reorderThreshold, describeAlert } = require('../utils/inventory');
+const { searchProducts, fetchProductsInOrder } = require('../utils/productSearch');
+const {
+  STORE_PROFILE_SELECT,
+  STORE_CATEGORY_SELECT,
+  STORE_PRODUCT_SELECT,
+  storeProfile,
+  toStoreProduct
+} = require('../utils/storefront');
+const { THEMES, THEME_IDS } = require('../utils/themes');
 
 /**
  * Get retailer settings/profile
@@ -20,30 +31,42 @@ const getSettings = asyncHandler(async (req, res) => {
 /**
  * Update retailer settings
  * PUT /retailer/settings
- * Body: { name, logo_url, colors, font, banner_url, nav_menu, layout, contact_info, social_links, footer_text }
+ * Body: { name, slug, custom_domain, logo_url, colors, font, banner_url, nav_menu, nav_source, layout, contact_info,
+ *         social_links, footer_text, low_stock_threshold, delivery_fee, free_delivery_min_order, prices_include_tax,
+ *         show_sold_out }
+ * A new slug keeps the old one as a redirect to the store; null slug or custom_domain removes them.
  */
 const updateSettings = asyncHandler(async (req, res) => {
   const retailerId = req.retailer.id;
   const {
     name,
+    slug,
+    custom_domain,
     logo_url,
     primary_color,
     secondary_color,
     font,
     banner_url,
     nav_menu,
+    nav_source,
     layout_preference,
     contact_info,
     social_links,
-    footer_text
+    footer_text,
+    low_stock_threshold,
+    delivery_fee,
+    free_delivery_min_order,
+    prices_include_tax,
+    show_sold_out
   } = req.body;
 
   // Clean data: remove undefined, trim strings
   const cleanedData = {};
   Object.entries({
-    name, logo_url, primary_color, secondary_color, font,
-    banner_url, nav_menu, layout_preference, contact_info,
-    social_links, footer_text
+    name, slug, custom_domain, logo_url, primary_color, secondary_color, font,
+    banner_url, nav_menu, nav_source, layout_preference, contact_info,
+    social_links, footer_text, low_stock_threshold, delivery_fee, free_delivery_min_order,
+    prices_include_tax, show_sold_out
   }).forEach(([key, value]) => {
     if (value !== undefined) {
       cleanedData[key] = typeof value === 'string' ? value.trim() : value;
@@ -64,7 +87,17 @@ const updateSettings = asyncHandler(async (req, res) => {
     .select()
     .single();
 
-  if (error) throw error;
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: error.message.includes('custom_domain')
+          ? 'This domain is already used by another store'
+          : 'This store address is already taken'
+      });
+    }
+    throw error;
+  }
 
   res.status(200).json({
     success: true,
@@ -85,57 +118,100 @@ const getDashboard = asyncHandler(async (req, res) => {
     const [
       { data: productStats, error: productError },
       { data: recentOrders, error: orderError },
-      { data: lowStockProducts, error: lowStockError },
-      { data: weeklyOrders, error: weeklyError }
+      { data: weeklyOrders, error: weeklyError },
+      { data: variantStats, error: variantError },
+      { data: openAlerts, error: alertError, count: openAlertCount }
     ] = await Promise.all([
       // Product stats
       supabase
         .from('products')
-        .select('is_active, stock')
+        .select('id, name, is_active, archived_at, stock, reorder_threshold')
         .eq('retailer_id', retailerId),
 
       // Orders last 30 days
       supabase
         .from('orders')
-        .select('status, total_amount, created_at')
+        .select('status, total_amount, refunded_amount, created_at')
         .eq('retailer_id', retailerId)
         .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()),
 
-      // Low stock products
-      supabase
-        .from('products')
-        .select('id, name, stock')
-        .eq('retailer_id', retailerId)
-        .eq('is_active', true)
-        .lte('stock', 5)
-        .order('stock', { ascending: true })
-        .limit(10),
-
       // Weekly orders (last 7 days)
       supabase
         .from('orders')
         .select('created_at')
         .eq('retailer_id', retailerId)
         .gte('created_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString())
-        .order('created_at', { ascending: true })
+        .order('created_at', { ascending: true }),
+
+      // Variant stats (stock of products with variants lives on the variants)
+      supabase
+        .from('product_variants')
+        .select('id, product_id, option_values, stock, products!inner ( name, options, is_active, reorder_threshold )')
+        .eq('retailer_id', retailerId)
+        .eq('is_active', true)
+        .is('products.archived_at', null),
+
+      // Latest open stock alerts
+      supabase
+        .from('stock_alerts')
+        .select(STOCK_ALERT_SELECT, { count: 'exact' })
+        .eq('retailer_id', retailerId)
+        .is('resolved_at', null)
+        .order('created_at', { ascending: false })
+        .limit(5)
     ]);
 
     if (productError) throw productError;
     if (orderError) throw orderError;
-    if (lowStockError) throw lowStockError;
     if (weeklyError) throw weeklyError;
+    if (variantError) throw variantError;
+    if (alertError) throw alertError;
 
-    const totalProducts = productStats.length;
+    // Archived products only count as archived (they are inactive too)
+    const archivedProducts = productStats.filter(p => p.archived_at).length;
+    const totalProducts = productStats.length - archivedProducts;
     const activeProducts = productStats.filter(p => p.is_active).length;
     const inactiveProducts = totalProducts - activeProducts;
-    const outOfStock = productStats.filter(p => p.stock === 0).length;
+
+    // Out of stock counts each variant of a product with variants, and the product itself otherwise
+    const productsWithVariants = new Set(variantStats.map(v => v.product_id));
+    const outOfStock =
+      productStats.filter(p => !p.archived_at && !productsWithVariants.has(p.id) && p.stock === 0).length +
+      variantStats.filter(v => v.stock === 0).length;
+
+    // Low stock: active products and variants at or below their reorder threshold, lowest stock first
+    const lowStock = [
+      ...productStats
+        .filter(p => p.is_active && !productsWithVariants.has(p.id))
+        .map(p => ({
+          id: p.id,
+          product_id: p.id,
+          variant_id: null,
+          name: p.name,
+          stock: p.stock,
+          threshold: reorderThreshold(p, retailer)
+        })),
+      ...variantStats
+        .filter(v => v.products.is_active)
+        .map(v => ({
+          id: v.id,
+          product_id: v.product_id,
+          variant_id: v.id,
+          name: `${v.products.name} - ${variantLabel(v.products.options, v.option_values)}`,
+          stock: v.stock,
+          threshold: reorderThreshold(v.products, retailer)
+        }))
+    ]
+      .filter(item => item.stock <= item.threshold)
+      .sort((a, b) => a.stock - b.stock);
 
     const totalOrders = recentOrders.length;
     const pendingOrders = recentOrders.filter(o => o.status === 'pending').length;
     const deliveredOrders = recentOrders.filter(o => o.status === 'delivered').length;
+    // Revenue net of refunds
     const totalRevenue = recentOrders
       .filter(o => o.status === 'delivered')
-      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
+      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0) - parseFloat(order.refunded_amount || 0), 0);
 
     const dailyOrders = {};
     for (let i = 6; i >= 0; i--) {
@@ -163,7 +239,9 @@ const getDashboard = asyncHandler(async (req, res) => {
           total: totalProducts,
           active: activeProducts,
           inactive: inactiveProducts,
-          outOfStock
+          archived: archivedProducts,
+          outOfStock,
+          lowStock: lowStock.length
         },
         orderStats: {
           totalLast30Days: totalOrders,
@@ -171,7 +249,11 @@ const getDashboard = asyncHandler(async (req, res) => {
           delivered: deliveredOrders,
           revenueLast30Days: totalRevenue.toFixed(2)
         },
-        lowStockProducts,
+        lowStockProducts: lowStock.slice(0, 10),
+        stockAlerts: {
+          open: openAlertCount,
+          latest: openAlerts.map(describeAlert)
+        },
         weeklyOrderChart: chartData
       }
     });
@@ -185,13 +267,14 @@ const getDashboard = asyncHandler(async (req, res) => {
  * Get available themes
  */
 const getThemes = asyncHandler(async (req, res) => {
-  const themes = [
-    { id: 'default', name: 'Default', description: 'Clean and simple design', preview: '/themes/default-preview.jpg' },
-    { id: 'modern', name: 'Modern', description: 'Contemporary and sleek', preview: '/themes/modern-preview.jpg' },
-    { id: 'classic', name: 'Classic', description: 'Traditional and elegant', preview: '/themes/classic-preview.jpg' },
-    { id: 'minimal', name: 'Minimal', description: 'Simple and focused', preview: '/themes/minimal-preview.jpg' },
-    { id: 'bold', name: 'Bold', description: 'Vibrant and eye-catching', preview: '/themes/bold-preview.jpg' }
-  ];
+  const themes = THEMES.map(({ id, name, description, style }) => ({
+    id,
+    name,
+    description,
+    preview: `/themes/${id}-preview.jpg`,
+    primary_color: style.primary,
+    secondary_color: style.secondary
+  }));
 
   res.status(200).json({ success: true, data: themes });
 });
@@ -203,9 +286,8 @@ const getThemes = asyncHandler(async (req, res) => {
 const updateTheme = asyncHandler(async (req, res) => {
   const { theme } = req.body;
   const retailerId = req.retailer.id;
-  const validThemes = ['default', 'modern', 'classic', 'minimal', 'bold'];
 
-  if (!validThemes.includes(theme)) {
+  if (!THEME_IDS.includes(theme)) {
     return res.status(400).json({ success: false, message: 'Invalid theme selection' });
   }
 
@@ -223,46 +305,54 @@ const updateTheme = asyncHandler(async (req, res) => {
 
 /**
  * Get retailer's public store info (customer-facing)
+ * Products can be searched, filtered and sorted like GET /products; only active products are
+ * shown, and out-of-stock ones only when the store shows sold-out items. With nav_source
+ * 'categories', nav_menu is the store's top-level category names.
+ * price is today's price (the sale price during a sale), with compare_at_price to strike through.
+ * Every matching product comes back at once: storefronts should page through /store/:slug/products.
  * GET /retailer/store/:retailerId
+ * Query params: q, category_id, min_price, max_price, sort, order
  */
 const getPublicStore = asyncHandler(async (req, res) => {
   const { retailerId } = req.params;
+  const { q, category_id, min_price, max_price, sort, order } = req.query;
 
   const [
     { data: retailer, error: retailerError },
-    { data: products, error: productError }
+    { data: categories, error: categoryError }
   ] = await Promise.all([
     supabase
       .from('retailers')
-      .select(`
-        id, name, logo_url, theme,
-        primary_color, secondary_color, font,
-        banner_url, nav_menu, layout_preference,
-        contact_info, social_links, footer_text
-      `)
+      .select(STORE_PROFILE_SELECT)
       .eq('id', retailerId)
       .single(),
 
     supabase
-      .from('products')
-      .select('id, name, description, price, stock, category, image_url')
+      .from('categories')
+      .select(STORE_CATEGORY_SELECT)
       .eq('retailer_id', retailerId)
-      .eq('is_active', true)
-      .gt('stock', 0)
-      .order('created_at', { ascending: false })
   ]);
 
   if (retailerError || !retailer) {
     return res.status(404).json({ success: false, message: 'Store not found or not available' });
   }
-  if (productError) throw productError;
+  if (categoryError) throw categoryError;
+
+  const search = await searchProducts(retailerId, {
+    q, category_id, min_price, max_price, sort, order,
+    is_active: true,
+    in_stock: !retailer.show_sold_out
+  });
+
+  const products = await fetchProductsInOrder(search.productIds, STORE_PRODUCT_SELECT);
 
   res.status(200).json({
     success: true,
     data: {
-      store: retailer,
-      products: products || [],
-      productCount: products ? products.length : 0
+      ...storeProfile(retailer, categories),
+      products: products.map(product => toStoreProduct(product, retailer.show_sold_out)),
+      productCount: search.total,
+      facets: search.facets
     }
   });
 });
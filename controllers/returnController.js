@@ -0,0 +1,220 @@
+// controllers/returnController.js
+// Return (RMA) and refund controller - returns against delivered orders and the refunds paid out
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { RETURN_TRANSITIONS } = require('../utils/orderStatus');
+
+// Return with its items (and what was ordered) embedded
+const RETURN_SELECT = `
+  *,
+  order_return_items (
+    id, order_item_id, quantity,
+    order_items ( product_id, variant_id, product_name, variant_label, unit_price )
+  ),
+  refunds ( id, amount, type, note, created_at )
+`;
+
+/**
+ * Request a return for a delivered order
+ * POST /orders/:id/returns
+ * Body: { reason, items: [{ order_item_id, quantity }] }
+ */
+const createReturn = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason, items } = req.body;
+  const retailerId = req.retailer.id;
+
+  // Merge repeated items into one line per order item
+  const quantities = new Map();
+  items.forEach(({ order_item_id, quantity }) => {
+    quantities.set(order_item_id, (quantities.get(order_item_id) || 0) + parseInt(quantity));
+  });
+
+  // Checks the order is delivered and quantities don't exceed what is left to return
+  const { data: returnId, error } = await supabase.rpc('create_order_return', {
+    p_order_id: id,
+    p_retailer_id: retailerId,
+    p_reason: reason,
+    p_items: [...quantities.entries()].map(([order_item_id, quantity]) => ({ order_item_id, quantity })),
+    p_requested_by: req.user.id
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const { data, error: fetchError } = await supabase
+    .from('order_returns')
+    .select(RETURN_SELECT)
+    .eq('id', returnId)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested successfully',
+    data
+  });
+});
+
+/**
+ * Get all returns of an order
+ * GET /orders/:id/returns
+ */
+const getReturns = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('order_returns')
+    .select(RETURN_SELECT)
+    .eq('order_id', id)
+    .eq('retailer_id', retailerId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * Approve, reject or receive a return
+ * Receiving can put the returned units back into stock (restock: true)
+ * PUT /orders/:id/returns/:returnId
+ * Body: { status, note, restock }
+ */
+const updateReturn = asyncHandler(async (req, res) => {
+  const { id, returnId } = req.params;
+  const { status, note, restock } = req.body;
+  const retailerId = req.retailer.id;
+
+  const { data: orderReturn, error: fetchError } = await supabase
+    .from('order_returns')
+    .select('status')
+    .eq('id', returnId)
+    .eq('order_id', id)
+    .eq('retailer_id', retailerId)
+    .single();
+
+  if (fetchError) {
+    if (fetchError.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+    throw fetchError;
+  }
+
+  if (!RETURN_TRANSITIONS[orderReturn.status].includes(status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot change return status from ${orderReturn.status} to ${status}`,
+      allowedStatuses: RETURN_TRANSITIONS[orderReturn.status]
+    });
+  }
+
+  if (status === 'received') {
+    // Status change and restock happen in one transaction
+    const { error } = await supabase.rpc('receive_order_return', {
+      p_return_id: returnId,
+      p_retailer_id: retailerId,
+      p_restock: Boolean(restock),
+      p_note: note || null,
+      p_received_by: req.user.id
+    });
+
+    if (error) {
+      throw error;
+    }
+  } else {
+    const { data: updated, error } = await supabase
+      .from('order_returns')
+      .update({
+        status,
+        decision_note: note || null,
+        decided_at: new Date().toISOString()
+      })
+      .eq('id', returnId)
+      .eq('retailer_id', retailerId)
+      .eq('status', orderReturn.status)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated.length) {
+      return res.status(409).json({
+        success: false,
+        message: 'Return was changed by another request. Please reload it.'
+      });
+    }
+  }
+
+  const { data, error: refetchError } = await supabase
+    .from('order_returns')
+    .select(RETURN_SELECT)
+    .eq('id', returnId)
+    .single();
+
+  if (refetchError) {
+    throw refetchError;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Return ${status}`,
+    data
+  });
+});
+
+/**
+ * Record a refund for a delivered order, optionally linked to one of its returns
+ * The refund is 'full' once refunds add up to the order total, 'partial' before that
+ * POST /orders/:id/refunds
+ * Body: { amount, return_id, note }
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { amount, return_id, note } = req.body;
+  const retailerId = req.retailer.id;
+
+  // Locks the order so concurrent refunds can't exceed its total
+  const { data, error } = await supabase
+    .rpc('record_refund', {
+      p_order_id: id,
+      p_retailer_id: retailerId,
+      p_return_id: return_id || null,
+      p_amount: parseFloat(amount),
+      p_note: note || null,
+      p_created_by: req.user.id
+    })
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${data.type === 'full' ? 'Full' : 'Partial'} refund recorded successfully`,
+    data
+  });
+});
+
+module.exports = {
+  createReturn,
+  getReturns,
+  updateReturn,
+  createRefund
+};
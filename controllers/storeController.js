@@ -0,0 +1,147 @@
+// controllers/storeController.js
+// Store controller - the public store profile, its catalogue page by page and single products
+//
+// Stores are found by id, slug or custom domain; the last two are resolved to req.params.retailerId first.
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { searchProducts, fetchProductsInOrder } = require('../utils/productSearch');
+const {
+  STORE_PROFILE_SELECT,
+  STORE_CATEGORY_SELECT,
+  STORE_PRODUCT_SELECT,
+  storeProfile,
+  toStoreProduct
+} = require('../utils/storefront');
+
+/**
+ * Load the store's show_sold_out setting, or send a 404
+ * Returns null when the response has already been sent
+ */
+const findStore = async (req, res) => {
+  const { data: retailer, error } = await supabase
+    .from('retailers')
+    .select('id, show_sold_out')
+    .eq('id', req.params.retailerId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({ success: false, message: 'Store not found or not available' });
+      return null;
+    }
+    throw error;
+  }
+
+  return retailer;
+};
+
+/**
+ * Get the public store profile: settings shown to customers and the category tree
+ * GET /store/:slug
+ */
+const getStoreProfile = asyncHandler(async (req, res) => {
+  const { retailerId } = req.params;
+
+  const [
+    { data: retailer, error: retailerError },
+    { data: categories, error: categoryError }
+  ] = await Promise.all([
+    supabase
+      .from('retailers')
+      .select(STORE_PROFILE_SELECT)
+      .eq('id', retailerId)
+      .single(),
+
+    supabase
+      .from('categories')
+      .select(STORE_CATEGORY_SELECT)
+      .eq('retailer_id', retailerId)
+  ]);
+
+  if (retailerError || !retailer) {
+    return res.status(404).json({ success: false, message: 'Store not found or not available' });
+  }
+  if (categoryError) throw categoryError;
+
+  res.status(200).json({
+    success: true,
+    data: storeProfile(retailer, categories)
+  });
+});
+
+/**
+ * Get a page of the store's products, searched, filtered and sorted like GET /products
+ * Only active products are listed. Out-of-stock ones are hidden unless the store shows
+ * sold-out items; then they are marked sold_out, and in_stock=true hides them again.
+ * GET /store/:slug/products
+ * Query params: q, category_id, min_price, max_price, in_stock, sort, order, page, limit
+ */
+const getStoreProducts = asyncHandler(async (req, res) => {
+  const { q, category_id, min_price, max_price, in_stock, sort, order, page = 1, limit = 24 } = req.query;
+
+  const retailer = await findStore(req, res);
+  if (!retailer) return;
+
+  const { productIds, total, facets } = await searchProducts(retailer.id, {
+    q, category_id, min_price, max_price, sort, order, page, limit,
+    is_active: true,
+    in_stock: retailer.show_sold_out ? in_stock : true
+  });
+
+  const products = await fetchProductsInOrder(productIds, STORE_PRODUCT_SELECT);
+
+  res.status(200).json({
+    success: true,
+    data: products.map(product => toStoreProduct(product, retailer.show_sold_out)),
+    facets,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Get a single product of the store, with its variants and images
+ * Inactive products, and out-of-stock ones when the store hides sold-out items, are not found.
+ * GET /store/:slug/products/:id
+ */
+const getStoreProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const retailer = await findStore(req, res);
+  if (!retailer) return;
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select(STORE_PRODUCT_SELECT)
+    .eq('id', id)
+    .eq('retailer_id', retailer.id)
+    .eq('is_active', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  if (!product || (product.stock <= 0 && !retailer.show_sold_out)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: toStoreProduct(product, retailer.show_sold_out)
+  });
+});
+
+module.exports = {
+  getStoreProfile,
+  getStoreProducts,
+  getStoreProduct
+};
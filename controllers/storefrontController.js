@@ -0,0 +1,232 @@
+// controllers/storefrontController.js
+// Storefront controller - the server-rendered HTML store: home, category and product pages
+//
+// The store is resolved first, by slug (/shop/:slug) or by the custom domain the request was sent to.
+// Pages only depend on the store's data, so browsers and CDNs may cache them; express adds the
+// ETag and answers If-None-Match with 304.
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { searchProducts, fetchProductsInOrder } = require('../utils/productSearch');
+const {
+  STORE_PROFILE_SELECT,
+  STORE_CATEGORY_SELECT,
+  STORE_PRODUCT_SELECT,
+  storeProfile,
+  toStoreProduct
+} = require('../utils/storefront');
+const {
+  PAGE_SORTS,
+  homePage,
+  categoryPage,
+  productPage,
+  notFoundPage
+} = require('../utils/storefrontPages');
+
+// Fresh for a minute, then served stale while revalidating so price and stock changes show up soon
+const PAGE_CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+
+// Products per page of the home and category pages
+const PAGE_SIZE = 24;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Send a page; the same path serves a different store on each custom domain, hence Vary: Host
+ */
+const sendPage = (res, html, status = 200) => {
+  res
+    .status(status)
+    .set({ 'Cache-Control': PAGE_CACHE_CONTROL, Vary: 'Host' })
+    .type('html')
+    .send(html);
+};
+
+/**
+ * Load the store profile and categories, and where its pages live
+ * basePath prefixes the store's links; canonical(path) is the page's address on the store's
+ * custom domain if it has one, so search engines don't index the same page twice
+ */
+const loadStore = async (req) => {
+  const { retailerId } = req.params;
+
+  const [
+    { data: retailer, error: retailerError },
+    { data: categoryRows, error: categoryError }
+  ] = await Promise.all([
+    supabase
+      .from('retailers')
+      .select(STORE_PROFILE_SELECT)
+      .eq('id', retailerId)
+      .single(),
+
+    supabase
+      .from('categories')
+      .select(STORE_CATEGORY_SELECT)
+      .eq('retailer_id', retailerId)
+  ]);
+
+  if (retailerError) throw retailerError;
+  if (categoryError) throw categoryError;
+
+  const { store, categories } = storeProfile(retailer, categoryRows);
+  const basePath = req.params.slug ? `${req.baseUrl}/${store.slug}` : req.baseUrl;
+  const canonical = (path) => (store.custom_domain
+    ? `https://${store.custom_domain}${path}`
+    : `${req.protocol}://${req.get('host')}${basePath}${path}`);
+
+  return { store, categories, categoryRows, basePath, canonical };
+};
+
+/**
+ * Search box, sort and page of a product list, from the query string
+ * Unknown values fall back to the defaults - a bad link still shows the store
+ */
+const listQuery = ({ q, sort, page }) => ({
+  q: typeof q === 'string' ? q.trim().slice(0, 100) : '',
+  sort: typeof sort === 'string' && PAGE_SORTS[sort] ? sort : 'relevance',
+  page: Math.max(parseInt(page) || 1, 1)
+});
+
+// URL of another page of a product list, keeping its search and sort
+const listPageUrl = (path, query) => (page) => {
+  const params = new URLSearchParams();
+  if (query.q) params.set('q', query.q);
+  if (query.sort !== 'relevance') params.set('sort', query.sort);
+  if (page > 1) params.set('page', page);
+
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+/**
+ * A page of the store's products; out-of-stock ones only when the store shows sold-out items
+ */
+const listProducts = async (store, query, categoryId = null) => {
+  const { sort, order } = PAGE_SORTS[query.sort];
+
+  const { productIds, total } = await searchProducts(store.id, {
+    q: query.q,
+    category_id: categoryId,
+    sort,
+    order,
+    page: query.page,
+    limit: PAGE_SIZE,
+    is_active: true,
+    in_stock: !store.show_sold_out
+  });
+
+  const products = await fetchProductsInOrder(productIds, STORE_PRODUCT_SELECT);
+
+  return {
+    products: products.map(product => toStoreProduct(product, store.show_sold_out)),
+    pagination: {
+      page: query.page,
+      limit: PAGE_SIZE,
+      total,
+      totalPages: Math.ceil(total / PAGE_SIZE)
+    }
+  };
+};
+
+const sendNotFound = (res, context, message) =>
+  sendPage(res, notFoundPage({ ...context, message }), 404);
+
+/**
+ * Store home page: banner, categories and products, with search and sort
+ * GET /shop/:slug, or / on the store's custom domain
+ * Query params: q, sort, page
+ */
+const renderHomePage = asyncHandler(async (req, res) => {
+  const context = await loadStore(req);
+  const query = listQuery(req.query);
+  const { products, pagination } = await listProducts(context.store, query);
+
+  if (query.page > 1 && !products.length) {
+    return sendNotFound(res, context, 'This page does not exist');
+  }
+
+  sendPage(res, homePage({
+    ...context,
+    canonical: context.canonical(listPageUrl('/', { ...query, q: '' })(query.page)),
+    products,
+    pagination,
+    query,
+    pageUrl: listPageUrl(`${context.basePath}/`, query)
+  }));
+});
+
+/**
+ * Category page: the category's products, including those of its subcategories
+ * GET /shop/:slug/c/:categorySlug, or /c/:categorySlug on the store's custom domain
+ * Query params: q, sort, page
+ */
+const renderCategoryPage = asyncHandler(async (req, res) => {
+  const context = await loadStore(req);
+  const category = context.categoryRows.find(row => row.slug === req.params.categorySlug);
+
+  if (!category) {
+    return sendNotFound(res, context, 'Category not found');
+  }
+
+  const query = listQuery(req.query);
+  const { products, pagination } = await listProducts(context.store, query, category.id);
+
+  if (query.page > 1 && !products.length) {
+    return sendNotFound(res, context, 'This page does not exist');
+  }
+
+  const path = `/c/${encodeURIComponent(category.slug)}`;
+
+  sendPage(res, categoryPage({
+    ...context,
+    canonical: context.canonical(listPageUrl(path, { ...query, q: '' })(query.page)),
+    category,
+    products,
+    pagination,
+    query,
+    pageUrl: listPageUrl(`${context.basePath}${path}`, query)
+  }));
+});
+
+/**
+ * Product page: gallery, price, description and variants
+ * Inactive and archived products, and out-of-stock ones when the store hides sold-out items, are not found.
+ * GET /shop/:slug/p/:id, or /p/:id on the store's custom domain
+ */
+const renderProductPage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const context = await loadStore(req);
+
+  if (!UUID_PATTERN.test(id)) {
+    return sendNotFound(res, context, 'Product not found');
+  }
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .select(STORE_PRODUCT_SELECT)
+    .eq('id', id)
+    .eq('retailer_id', context.store.id)
+    .eq('is_active', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  if (!product || (product.stock <= 0 && !context.store.show_sold_out)) {
+    return sendNotFound(res, context, 'Product not found');
+  }
+
+  sendPage(res, productPage({
+    ...context,
+    canonical: context.canonical(`/p/${product.id}`),
+    product: toStoreProduct(product, context.store.show_sold_out)
+  }));
+});
+
+module.exports = {
+  renderHomePage,
+  renderCategoryPage,
+  renderProductPage
+};
@@ -0,0 +1,239 @@
+// controllers/taxController.js
+// Tax controller - the retailer's tax rates and tax summaries for filing returns
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { TAX_RATE_SELECT } = require('../utils/taxes');
+const { rangeEnd } = require('../utils/orderFilters');
+
+/**
+ * Rate and components from the request body
+ * With components, the rate is their sum (a different rate sent along is an error).
+ * A rate without components is a single tax, so it replaces any earlier split.
+ * Returns { fields } or { message } when they don't add up
+ */
+const rateFields = ({ rate, components }) => {
+  if (components !== undefined) {
+    const cleaned = components.map(component => ({ name: component.name.trim(), rate: parseFloat(component.rate) }));
+    const total = Math.round(cleaned.reduce((sum, component) => sum + component.rate, 0) * 1000) / 1000;
+
+    if (rate !== undefined && Math.abs(parseFloat(rate) - total) > 0.0005) {
+      return { message: `The components add up to ${total}%, not ${parseFloat(rate)}%` };
+    }
+
+    return { fields: { components: cleaned, rate: total } };
+  }
+
+  if (rate !== undefined) {
+    return { fields: { rate: parseFloat(rate), components: [] } };
+  }
+
+  return { fields: {} };
+};
+
+/**
+ * Get the retailer's tax rates
+ * GET /taxes
+ */
+const getTaxRates = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('tax_rates')
+    .select(TAX_RATE_SELECT)
+    .eq('retailer_id', retailerId)
+    .order('rate', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: data
+  });
+});
+
+/**
+ * Create a tax rate
+ * A new default rate replaces the current one; the database swaps them in the same write
+ * POST /taxes
+ * Body: { name, rate, components: [{ name, rate }], is_default }
+ */
+const createTaxRate = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { name, is_default } = req.body;
+
+  const { fields, message } = rateFields(req.body);
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('tax_rates')
+    .insert([
+      {
+        retailer_id: retailerId,
+        name: name.trim(),
+        ...fields,
+        is_default: Boolean(is_default)
+      }
+    ])
+    .select(TAX_RATE_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rate created successfully',
+    data: data
+  });
+});
+
+/**
+ * Update a tax rate
+ * Orders already placed keep the tax they were charged. Making it the default unsets the
+ * previous default in the same write.
+ * PUT /taxes/:id
+ * Body: { name, rate, components, is_default }
+ */
+const updateTaxRate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+  const { name, is_default } = req.body;
+
+  const { fields, message } = rateFields(req.body);
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const cleanedData = { ...fields };
+  if (name !== undefined) cleanedData.name = name.trim();
+  if (is_default !== undefined) cleanedData.is_default = Boolean(is_default);
+
+  if (!Object.keys(cleanedData).length) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid fields to update'
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('tax_rates')
+    .update(cleanedData)
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select(TAX_RATE_SELECT)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate updated successfully',
+    data: data
+  });
+});
+
+/**
+ * Delete a tax rate
+ * Its products and categories fall back to their category's rate or the store default.
+ * DELETE /taxes/:id
+ */
+const deleteTaxRate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retailerId = req.retailer.id;
+
+  const { data, error } = await supabase
+    .from('tax_rates')
+    .delete()
+    .eq('id', id)
+    .eq('retailer_id', retailerId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tax rate not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate deleted successfully'
+  });
+});
+
+/**
+ * Tax collected over a period, per rate and per tax (e.g. CGST and SGST), from the tax stored
+ * on each order line; cancelled orders are left out
+ * GET /taxes/summary
+ * Query params: from, to (a plain date includes that whole day)
+ */
+const getTaxSummary = asyncHandler(async (req, res) => {
+  const retailerId = req.retailer.id;
+  const { from, to } = req.query;
+
+  const { data, error } = await supabase.rpc('tax_summary', {
+    p_retailer_id: retailerId,
+    p_from: from,
+    p_to: rangeEnd(to).value
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      ...data
+    }
+  });
+});
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  getTaxSummary
+};
@@ -0,0 +1,259 @@
+// controllers/variantController.js
+// Product variant controller - variants of a product with their own price, stock, SKU and image
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { variantLabel, checkOptionValues } = require('../utils/variants');
+const { withEffectivePrice } = require('../utils/pricing');
+
+/**
+ * Load the retailer's product with its options, or send a 404
+ * Returns null when the response has already been sent
+ */
+const findProduct = async (req, res) => {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, name, options')
+    .eq('id', req.params.id)
+    .eq('retailer_id', req.retailer.id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+      return null;
+    }
+    throw error;
+  }
+
+  return product;
+};
+
+// Variant with its label, e.g. "M / red", and the price charged now
+const withLabel = (product, variant) => ({
+  ...withEffectivePrice(variant),
+  label: variantLabel(product.options, variant.option_values)
+});
+
+/**
+ * Get all variants of a product
+ * GET /products/:id/variants
+ */
+const getVariants = asyncHandler(async (req, res) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const { data, error } = await supabase
+    .from('product_variants')
+    .select('*')
+    .eq('product_id', product.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: data.map(variant => withLabel(product, variant))
+  });
+});
+
+/**
+ * Create a variant of a product
+ * sku and barcode must be unique in the store, across products and variants.
+ * POST /products/:id/variants
+ * Body: { option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, sku, barcode,
+ *         image_url, is_active }
+ */
+const createVariant = asyncHandler(async (req, res) => {
+  const {
+    option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, sku, barcode,
+    image_url, is_active
+  } = req.body;
+
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const optionError = checkOptionValues(product.options, option_values);
+  if (optionError) {
+    return res.status(400).json({ success: false, message: optionError });
+  }
+
+  const { data, error } = await supabase
+    .from('product_variants')
+    .insert([
+      {
+        product_id: product.id,
+        retailer_id: req.retailer.id,
+        option_values,
+        price: parseFloat(price),
+        sale_price: sale_price === undefined || sale_price === null ? null : parseFloat(sale_price),
+        sale_starts_at: sale_starts_at || null,
+        sale_ends_at: sale_ends_at || null,
+        compare_at_price: compare_at_price === undefined || compare_at_price === null ? null : parseFloat(compare_at_price),
+        stock: parseInt(stock) || 0,
+        sku: sku || null,
+        barcode: barcode || null,
+        image_url,
+        is_active: is_active === undefined ? true : Boolean(is_active)
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A variant with these options, or an item with this SKU or barcode, already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Variant created successfully',
+    data: withLabel(product, data)
+  });
+});
+
+/**
+ * Update a variant
+ * PUT /products/:id/variants/:variantId
+ * Body: { option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, sku, barcode,
+ *         image_url, is_active }
+ */
+const updateVariant = asyncHandler(async (req, res) => {
+  const { variantId } = req.params;
+
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const cleanedData = {};
+  [
+    'option_values', 'price', 'sale_price', 'sale_starts_at', 'sale_ends_at', 'compare_at_price',
+    'stock', 'sku', 'barcode', 'image_url', 'is_active'
+  ].forEach(key => {
+    if (req.body[key] !== undefined) {
+      cleanedData[key] = req.body[key];
+    }
+  });
+
+  if (cleanedData.price !== undefined) cleanedData.price = parseFloat(cleanedData.price);
+  if (cleanedData.stock !== undefined) cleanedData.stock = parseInt(cleanedData.stock);
+
+  if (cleanedData.option_values !== undefined) {
+    const optionError = checkOptionValues(product.options, cleanedData.option_values);
+    if (optionError) {
+      return res.status(400).json({ success: false, message: optionError });
+    }
+  }
+
+  const { stock, ...fields } = cleanedData;
+
+  // A new stock level is recorded in the inventory ledger as a manual adjustment
+  if (stock !== undefined) {
+    const { error: stockError } = await supabase.rpc('apply_stock_change', {
+      p_retailer_id: req.retailer.id,
+      p_product_id: product.id,
+      p_variant_id: variantId,
+      p_delta: null,
+      p_quantity: stock,
+      p_reason: 'manual_adjustment',
+      p_actor: req.user.id,
+      p_note: null
+    });
+
+    if (stockError) {
+      throw stockError;
+    }
+  }
+
+  const query = Object.keys(fields).length
+    ? supabase.from('product_variants').update(fields)
+    : supabase.from('product_variants').select();
+
+  const { data, error } = await query
+    .eq('id', variantId)
+    .eq('product_id', product.id)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A variant with these options, or an item with this SKU or barcode, already exists'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Variant updated successfully',
+    data: withLabel(product, data)
+  });
+});
+
+/**
+ * Delete a variant (only if it was never ordered)
+ * DELETE /products/:id/variants/:variantId
+ */
+const deleteVariant = asyncHandler(async (req, res) => {
+  const { variantId } = req.params;
+
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  // Check if variant has any orders
+  const { data: orderItems, error: orderError } = await supabase
+    .from('order_items')
+    .select('id')
+    .eq('variant_id', variantId)
+    .limit(1);
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  if (orderItems && orderItems.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Cannot delete a variant that has existing orders. Consider deactivating it instead.'
+    });
+  }
+
+  const { error } = await supabase
+    .from('product_variants')
+    .delete()
+    .eq('id', variantId)
+    .eq('product_id', product.id);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Variant deleted successfully'
+  });
+});
+
+module.exports = {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant
+};
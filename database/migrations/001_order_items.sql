@@ -0,0 +1,39 @@
+-- 001_order_items.sql
+-- Multi-item orders: each order holds many line items instead of a single product
+
+-- 1. ORDER ITEMS TABLE
+CREATE TABLE order_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE RESTRICT,
+  product_name VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+  line_total DECIMAL(10,2) NOT NULL CHECK (line_total >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX idx_order_items_product_id ON order_items(product_id);
+
+-- 2. MOVE EXISTING SINGLE-PRODUCT ORDERS ONTO LINE ITEMS
+INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total, created_at)
+SELECT o.id, o.product_id, COALESCE(p.name, 'Unknown product'), o.quantity, o.unit_price, o.total_amount, o.created_at
+FROM orders o
+LEFT JOIN products p ON p.id = o.product_id
+WHERE o.quantity IS NOT NULL;
+
+ALTER TABLE orders
+  DROP COLUMN product_id,
+  DROP COLUMN quantity,
+  DROP COLUMN unit_price;
+
+-- 3. ROW LEVEL SECURITY
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own order items" ON order_items
+    FOR ALL USING (order_id IN (
+        SELECT o.id FROM orders o
+        JOIN retailers r ON r.id = o.retailer_id
+        WHERE r.user_id = auth.uid()
+    ));
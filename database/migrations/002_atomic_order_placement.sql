@@ -0,0 +1,92 @@
+-- 002_atomic_order_placement.sql
+-- Order placement and deletion as single transactions with conditional stock updates
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. PLACE ORDER
+-- Inserts the order and its items and decrements stock, or does nothing at all.
+-- Items are processed in product_id order so concurrent orders lock rows in the
+-- same sequence and cannot deadlock. The stock >= quantity condition is re-checked
+-- after a concurrent update commits, so the last unit can only be sold once.
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+BEGIN
+  INSERT INTO orders (retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes)
+  VALUES (p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes)
+  RETURNING id INTO v_order_id;
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, product_name TEXT, quantity INTEGER, unit_price DECIMAL, line_total DECIMAL
+    )
+    ORDER BY product_id
+  LOOP
+    UPDATE products
+       SET stock = stock - v_item.quantity
+     WHERE id = v_item.product_id
+       AND retailer_id = p_retailer_id
+       AND is_active = true
+       AND stock >= v_item.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', v_item.product_name
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total)
+    VALUES (v_order_id, v_item.product_id, v_item.product_name, v_item.quantity, v_item.unit_price, v_item.line_total);
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
+
+-- 2. DELETE ORDER
+-- Deletes a pending or cancelled order, returning a pending order's stock in the same transaction.
+-- The order row is locked first so two deletes cannot both restore stock.
+CREATE OR REPLACE FUNCTION delete_order(
+  p_order_id UUID,
+  p_retailer_id UUID
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+BEGIN
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_status NOT IN ('pending', 'cancelled') THEN
+    RAISE EXCEPTION 'Only pending or cancelled orders can be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF v_status = 'pending' THEN
+    UPDATE products p
+       SET stock = p.stock + oi.quantity
+      FROM order_items oi
+     WHERE oi.order_id = p_order_id
+       AND p.id = oi.product_id;
+  END IF;
+
+  DELETE FROM orders WHERE id = p_order_id;
+END;
+$$;
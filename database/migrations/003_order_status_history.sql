@@ -0,0 +1,83 @@
+-- 003_order_status_history.sql
+-- Order status history: who moved an order from which status to which, and when
+
+-- 1. ORDER STATUS HISTORY TABLE
+CREATE TABLE order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  note TEXT,
+  changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  changed_by_email VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- 2. RECORD THE INITIAL STATUS OF NEW ORDERS
+CREATE OR REPLACE FUNCTION record_order_created()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+    VALUES (NEW.id, NULL, NEW.status, 'Order placed', NEW.created_at);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_orders_created
+    AFTER INSERT ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION record_order_created();
+
+-- 3. BACKFILL EXISTING ORDERS
+INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+SELECT id, NULL, 'pending', 'Order placed', created_at FROM orders;
+
+INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+SELECT id, 'pending', status, 'Recorded before status history was enabled', updated_at
+FROM orders
+WHERE status <> 'pending';
+
+-- 4. TRANSITION ORDER STATUS
+-- The API validates the transition graph; this function applies it only if the
+-- order is still in the expected status, and writes the history row in the same transaction.
+CREATE OR REPLACE FUNCTION transition_order_status(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_note TEXT,
+  p_notes TEXT,
+  p_changed_by UUID,
+  p_changed_by_email TEXT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET status = p_to_status,
+         notes = COALESCE(p_notes, notes)
+   WHERE id = p_order_id
+     AND retailer_id = p_retailer_id
+     AND status = p_from_status;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order status was changed by another request. Please reload the order.'
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, changed_by_email)
+  VALUES (p_order_id, p_from_status, p_to_status, p_note, p_changed_by, p_changed_by_email);
+END;
+$$;
+
+-- 5. ROW LEVEL SECURITY
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can view own order status history" ON order_status_history
+    FOR ALL USING (order_id IN (
+        SELECT o.id FROM orders o
+        JOIN retailers r ON r.id = o.retailer_id
+        WHERE r.user_id = auth.uid()
+    ));
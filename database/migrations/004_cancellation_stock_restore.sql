@@ -0,0 +1,113 @@
+-- 004_cancellation_stock_restore.sql
+-- Cancelling an order returns its stock exactly once and records why it was cancelled
+
+-- 1. ORDER COLUMNS
+-- stock_restored_at is set when an order's units go back into inventory;
+-- while it is NULL the units are still taken out of stock
+ALTER TABLE orders
+  ADD COLUMN cancellation_reason VARCHAR(50)
+    CHECK (cancellation_reason IN ('customer_request', 'out_of_stock', 'payment_failed')),
+  ADD COLUMN cancelled_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN stock_restored_at TIMESTAMP WITH TIME ZONE;
+
+-- Orders cancelled before this migration were settled by hand; leave their inventory alone
+UPDATE orders
+   SET cancelled_at = updated_at,
+       stock_restored_at = updated_at
+ WHERE status = 'cancelled';
+
+-- 2. RESTORE ORDER STOCK
+-- Returns an order's units to inventory unless that already happened.
+-- Callers must hold the order row lock.
+CREATE OR REPLACE FUNCTION restore_order_stock(p_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET stock_restored_at = NOW()
+   WHERE id = p_order_id
+     AND stock_restored_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE products p
+     SET stock = p.stock + oi.quantity
+    FROM order_items oi
+   WHERE oi.order_id = p_order_id
+     AND p.id = oi.product_id;
+END;
+$$;
+
+-- 3. TRANSITION ORDER STATUS
+-- Same as before, plus: moving to 'cancelled' stores the reason and restores stock
+DROP FUNCTION transition_order_status(UUID, UUID, TEXT, TEXT, TEXT, TEXT, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION transition_order_status(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_note TEXT,
+  p_notes TEXT,
+  p_changed_by UUID,
+  p_changed_by_email TEXT,
+  p_cancellation_reason TEXT DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET status = p_to_status,
+         notes = COALESCE(p_notes, notes),
+         cancellation_reason = CASE WHEN p_to_status = 'cancelled' THEN p_cancellation_reason ELSE cancellation_reason END,
+         cancelled_at = CASE WHEN p_to_status = 'cancelled' THEN NOW() ELSE cancelled_at END
+   WHERE id = p_order_id
+     AND retailer_id = p_retailer_id
+     AND status = p_from_status;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order status was changed by another request. Please reload the order.'
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_to_status = 'cancelled' THEN
+    PERFORM restore_order_stock(p_order_id);
+  END IF;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, changed_by_email)
+  VALUES (p_order_id, p_from_status, p_to_status, p_note, p_changed_by, p_changed_by_email);
+END;
+$$;
+
+-- 4. DELETE ORDER
+-- Stock now comes back for any order whose units are still out, never twice
+CREATE OR REPLACE FUNCTION delete_order(
+  p_order_id UUID,
+  p_retailer_id UUID
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+BEGIN
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_status NOT IN ('pending', 'cancelled') THEN
+    RAISE EXCEPTION 'Only pending or cancelled orders can be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  PERFORM restore_order_stock(p_order_id);
+
+  DELETE FROM orders WHERE id = p_order_id;
+END;
+$$;
@@ -0,0 +1,66 @@
+-- 005_storefront_checkout.sql
+-- Public storefront checkout: orders remember where they came from and carry a tracking token
+
+-- 1. ORDER COLUMNS
+-- tracking_token_hash is the SHA-256 of the token handed to the customer; the token itself is never stored
+ALTER TABLE orders
+  ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (source IN ('admin', 'storefront')),
+  ADD COLUMN tracking_token_hash VARCHAR(64) UNIQUE;
+
+-- 2. PLACE ORDER
+-- Same as before, plus the order source and tracking token hash
+DROP FUNCTION place_order(UUID, TEXT, TEXT, TEXT, TEXT, DECIMAL, JSONB);
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB,
+  p_source TEXT DEFAULT 'admin',
+  p_tracking_token_hash TEXT DEFAULT NULL
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+BEGIN
+  INSERT INTO orders (
+    retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes,
+    source, tracking_token_hash
+  )
+  VALUES (
+    p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes,
+    p_source, p_tracking_token_hash
+  )
+  RETURNING id INTO v_order_id;
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, product_name TEXT, quantity INTEGER, unit_price DECIMAL, line_total DECIMAL
+    )
+    ORDER BY product_id
+  LOOP
+    UPDATE products
+       SET stock = stock - v_item.quantity
+     WHERE id = v_item.product_id
+       AND retailer_id = p_retailer_id
+       AND is_active = true
+       AND stock >= v_item.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', v_item.product_name
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total)
+    VALUES (v_order_id, v_item.product_id, v_item.product_name, v_item.quantity, v_item.unit_price, v_item.line_total);
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
@@ -0,0 +1,33 @@
+-- 006_idempotency_keys.sql
+-- Stored responses for requests sent with an Idempotency-Key header
+
+-- 1. IDEMPOTENCY KEYS TABLE
+-- scope keeps keys from different retailers/stores apart ("retailer:<id>" or "store:<id>")
+CREATE TABLE idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope VARCHAR(100) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (scope, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- 2. CLEANUP
+-- Expired keys are ignored by the API; run this periodically (e.g. with pg_cron) to remove them:
+--   SELECT cron.schedule('purge-idempotency-keys', '0 * * * *', 'SELECT purge_expired_idempotency_keys()');
+CREATE OR REPLACE FUNCTION purge_expired_idempotency_keys()
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  DELETE FROM idempotency_keys WHERE expires_at < NOW();
+$$;
+
+-- 3. ROW LEVEL SECURITY
+-- Only the server (service role) reads and writes idempotency keys
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,124 @@
+-- 007_invoices.sql
+-- Invoices with gapless, per-retailer sequential numbers that never change once issued
+
+-- 1. INVOICE COUNTERS
+-- One row per retailer. The counter is incremented in the same transaction that
+-- inserts the invoice, so a failed insert rolls the number back and leaves no gap.
+CREATE TABLE invoice_counters (
+  retailer_id UUID PRIMARY KEY REFERENCES retailers(id) ON DELETE CASCADE,
+  last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- 2. INVOICES TABLE
+-- snapshot holds the store, customer, line items and totals as they were when the invoice was issued
+CREATE TABLE invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE RESTRICT,
+  invoice_number INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (retailer_id, invoice_number)
+);
+
+CREATE INDEX idx_invoices_retailer_id ON invoices(retailer_id);
+
+-- 3. ISSUED INVOICES ARE IMMUTABLE
+CREATE OR REPLACE FUNCTION prevent_invoice_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Issued invoices cannot be changed or deleted' USING ERRCODE = 'PT409';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_invoices_changes
+    BEFORE UPDATE OR DELETE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_invoice_changes();
+
+-- 4. ISSUE INVOICE
+-- Returns the order's invoice, issuing it with the next number if it doesn't exist yet
+CREATE OR REPLACE FUNCTION issue_invoice(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_snapshot JSONB
+) RETURNS SETOF invoices
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+  v_number INTEGER;
+BEGIN
+  -- Lock the order so two requests can't issue two invoices for it
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM invoices WHERE order_id = p_order_id) THEN
+    RETURN QUERY SELECT * FROM invoices WHERE order_id = p_order_id;
+    RETURN;
+  END IF;
+
+  IF v_status = 'cancelled' THEN
+    RAISE EXCEPTION 'Cancelled orders cannot be invoiced' USING ERRCODE = 'PT409';
+  END IF;
+
+  INSERT INTO invoice_counters (retailer_id, last_number)
+  VALUES (p_retailer_id, 1)
+  ON CONFLICT (retailer_id) DO UPDATE SET last_number = invoice_counters.last_number + 1
+  RETURNING last_number INTO v_number;
+
+  RETURN QUERY
+  INSERT INTO invoices (retailer_id, order_id, invoice_number, snapshot)
+  VALUES (p_retailer_id, p_order_id, v_number, p_snapshot)
+  RETURNING *;
+END;
+$$;
+
+-- 5. DELETE ORDER
+-- Same as before, but orders with an issued invoice are kept
+CREATE OR REPLACE FUNCTION delete_order(
+  p_order_id UUID,
+  p_retailer_id UUID
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+BEGIN
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_status NOT IN ('pending', 'cancelled') THEN
+    RAISE EXCEPTION 'Only pending or cancelled orders can be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM invoices WHERE order_id = p_order_id) THEN
+    RAISE EXCEPTION 'Orders with an issued invoice cannot be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  PERFORM restore_order_stock(p_order_id);
+
+  DELETE FROM orders WHERE id = p_order_id;
+END;
+$$;
+
+-- 6. ROW LEVEL SECURITY
+ALTER TABLE invoice_counters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can view own invoices" ON invoices
+    FOR SELECT USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,235 @@
+-- 008_returns_refunds.sql
+-- Returns (RMA) against delivered orders, and partial/full refunds
+
+-- 1. ORDER COLUMNS
+-- Running total of refunds, so revenue can be reported net of refunds
+ALTER TABLE orders
+  ADD COLUMN refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0);
+
+-- 2. RETURNS TABLES
+-- requested → approved → received, or requested → rejected
+CREATE TABLE order_returns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested', 'approved', 'rejected', 'received')),
+  reason TEXT NOT NULL,
+  decision_note TEXT,
+  restocked BOOLEAN NOT NULL DEFAULT false,
+  requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  received_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE order_return_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_id UUID NOT NULL REFERENCES order_returns(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX idx_order_returns_order_id ON order_returns(order_id);
+CREATE INDEX idx_order_returns_retailer_id ON order_returns(retailer_id, status);
+CREATE INDEX idx_order_return_items_return_id ON order_return_items(return_id);
+
+CREATE TRIGGER update_order_returns_updated_at
+    BEFORE UPDATE ON order_returns
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. REFUNDS TABLE
+CREATE TABLE refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  return_id UUID REFERENCES order_returns(id) ON DELETE SET NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  type VARCHAR(10) NOT NULL CHECK (type IN ('partial', 'full')),
+  note TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX idx_refunds_retailer_id ON refunds(retailer_id, created_at);
+
+-- 4. REQUEST A RETURN
+-- Only for delivered orders; each item can't be returned more times than it was bought
+-- (returns that were rejected don't count)
+CREATE OR REPLACE FUNCTION create_order_return(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_reason TEXT,
+  p_items JSONB,
+  p_requested_by UUID
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+  v_return_id UUID;
+  v_item RECORD;
+  v_available INTEGER;
+BEGIN
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_status <> 'delivered' THEN
+    RAISE EXCEPTION 'Only delivered orders can be returned' USING ERRCODE = 'PT409';
+  END IF;
+
+  INSERT INTO order_returns (order_id, retailer_id, reason, requested_by)
+  VALUES (p_order_id, p_retailer_id, p_reason, p_requested_by)
+  RETURNING id INTO v_return_id;
+
+  FOR v_item IN
+    SELECT * FROM jsonb_to_recordset(p_items) AS x(order_item_id UUID, quantity INTEGER)
+  LOOP
+    SELECT oi.quantity - COALESCE((
+             SELECT SUM(ri.quantity)
+             FROM order_return_items ri
+             JOIN order_returns r ON r.id = ri.return_id
+             WHERE ri.order_item_id = oi.id AND r.status <> 'rejected'
+           ), 0)
+      INTO v_available
+    FROM order_items oi
+    WHERE oi.id = v_item.order_item_id AND oi.order_id = p_order_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Item % is not part of this order', v_item.order_item_id USING ERRCODE = 'PT400';
+    END IF;
+
+    IF v_item.quantity > v_available THEN
+      RAISE EXCEPTION 'Cannot return % of item %, only % left to return', v_item.quantity, v_item.order_item_id, v_available
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_return_items (return_id, order_item_id, quantity)
+    VALUES (v_return_id, v_item.order_item_id, v_item.quantity);
+  END LOOP;
+
+  RETURN v_return_id;
+END;
+$$;
+
+-- 5. RECEIVE A RETURN
+-- approved → received; optionally puts the returned units back into stock in the same transaction
+CREATE OR REPLACE FUNCTION receive_order_return(
+  p_return_id UUID,
+  p_retailer_id UUID,
+  p_restock BOOLEAN,
+  p_note TEXT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE order_returns
+     SET status = 'received',
+         received_at = NOW(),
+         restocked = p_restock,
+         decision_note = COALESCE(p_note, decision_note)
+   WHERE id = p_return_id
+     AND retailer_id = p_retailer_id
+     AND status = 'approved';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only approved returns can be received' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_restock THEN
+    UPDATE products p
+       SET stock = p.stock + ri.quantity
+      FROM order_return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = p_return_id
+       AND p.id = oi.product_id;
+  END IF;
+END;
+$$;
+
+-- 6. RECORD A REFUND
+-- Refunds for an order can never add up to more than the order total
+CREATE OR REPLACE FUNCTION record_refund(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_return_id UUID,
+  p_amount DECIMAL,
+  p_note TEXT,
+  p_created_by UUID
+) RETURNS SETOF refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order RECORD;
+  v_refunded DECIMAL;
+BEGIN
+  SELECT status, total_amount, refunded_amount INTO v_order
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_order.status <> 'delivered' THEN
+    RAISE EXCEPTION 'Only delivered orders can be refunded' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_return_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM order_returns
+    WHERE id = p_return_id AND order_id = p_order_id AND status IN ('approved', 'received')
+  ) THEN
+    RAISE EXCEPTION 'Refunds can only be linked to an approved or received return of this order' USING ERRCODE = 'PT409';
+  END IF;
+
+  v_refunded := v_order.refunded_amount + p_amount;
+
+  IF v_refunded > v_order.total_amount THEN
+    RAISE EXCEPTION 'Refund exceeds the order total. At most % can still be refunded', v_order.total_amount - v_order.refunded_amount
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  UPDATE orders SET refunded_amount = v_refunded WHERE id = p_order_id;
+
+  RETURN QUERY
+  INSERT INTO refunds (order_id, retailer_id, return_id, amount, type, note, created_by)
+  VALUES (
+    p_order_id, p_retailer_id, p_return_id, p_amount,
+    CASE WHEN v_refunded = v_order.total_amount THEN 'full' ELSE 'partial' END,
+    p_note, p_created_by
+  )
+  RETURNING *;
+END;
+$$;
+
+-- 7. ROW LEVEL SECURITY
+ALTER TABLE order_returns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_return_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own returns" ON order_returns
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can manage own return items" ON order_return_items
+    FOR ALL USING (return_id IN (
+        SELECT r.id FROM order_returns r
+        JOIN retailers rt ON rt.id = r.retailer_id
+        WHERE rt.user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can manage own refunds" ON refunds
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,21 @@
+-- 009_order_search.sql
+-- Order search and sorting: searchable order reference and indexes for the order list filters
+
+-- 1. ORDER REFERENCE
+-- The short reference customers see (ORD-1A2B3C4D), stored so it can be searched
+ALTER TABLE orders
+  ADD COLUMN reference VARCHAR(12)
+    GENERATED ALWAYS AS ('ORD-' || UPPER(LEFT(REPLACE(id::text, '-', ''), 8))) STORED;
+
+-- 2. INDEXES
+-- Trigram indexes make the "contains" search box fast on large order lists
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX idx_orders_customer_name_trgm ON orders USING GIN (customer_name gin_trgm_ops);
+CREATE INDEX idx_orders_customer_email_trgm ON orders USING GIN (customer_email gin_trgm_ops);
+CREATE INDEX idx_orders_customer_phone_trgm ON orders USING GIN (customer_phone gin_trgm_ops);
+CREATE INDEX idx_orders_notes_trgm ON orders USING GIN (notes gin_trgm_ops);
+CREATE INDEX idx_orders_reference ON orders(reference);
+
+CREATE INDEX idx_orders_retailer_created_at ON orders(retailer_id, created_at DESC);
+CREATE INDEX idx_orders_retailer_total_amount ON orders(retailer_id, total_amount);
@@ -0,0 +1,217 @@
+-- 010_product_variants.sql
+-- Product variants: option axes (size, colour, ...) on the product, and variants with their own price, stock, SKU and image
+
+-- 1. PRODUCT OPTIONS
+-- e.g. [{ "name": "size", "values": ["S", "M", "L"] }, { "name": "colour", "values": ["red", "blue"] }]
+ALTER TABLE products
+  ADD COLUMN options JSONB NOT NULL DEFAULT '[]';
+
+-- 2. PRODUCT VARIANTS TABLE
+-- option_values picks one value per option, e.g. { "size": "M", "colour": "red" }
+CREATE TABLE product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  option_values JSONB NOT NULL,
+  sku VARCHAR(100),
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  image_url TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (product_id, option_values),
+  UNIQUE (retailer_id, sku)
+);
+
+CREATE INDEX idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX idx_product_variants_retailer_stock ON product_variants(retailer_id, stock);
+
+CREATE TRIGGER update_product_variants_updated_at
+    BEFORE UPDATE ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. KEEP PRODUCT STOCK = SUM OF ACTIVE VARIANT STOCK
+-- Lets product lists and the storefront keep filtering on products.stock
+CREATE OR REPLACE FUNCTION sync_product_stock_from_variants()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_product_id UUID := COALESCE(NEW.product_id, OLD.product_id);
+BEGIN
+    UPDATE products
+       SET stock = COALESCE((
+             SELECT SUM(stock) FROM product_variants
+             WHERE product_id = v_product_id AND is_active = true
+           ), 0)
+     WHERE id = v_product_id;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER sync_product_variants_stock
+    AFTER INSERT OR UPDATE OF stock, is_active OR DELETE ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_product_stock_from_variants();
+
+-- 4. ORDER ITEMS REFERENCE A VARIANT
+ALTER TABLE order_items
+  ADD COLUMN variant_id UUID REFERENCES product_variants(id) ON DELETE RESTRICT,
+  ADD COLUMN variant_label VARCHAR(255);
+
+CREATE INDEX idx_order_items_variant_id ON order_items(variant_id);
+
+-- 5. PLACE ORDER
+-- Same as before, but items with a variant_id take stock from that variant
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB,
+  p_source TEXT DEFAULT 'admin',
+  p_tracking_token_hash TEXT DEFAULT NULL
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+BEGIN
+  INSERT INTO orders (
+    retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes,
+    source, tracking_token_hash
+  )
+  VALUES (
+    p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes,
+    p_source, p_tracking_token_hash
+  )
+  RETURNING id INTO v_order_id;
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, variant_id UUID, product_name TEXT, variant_label TEXT,
+      quantity INTEGER, unit_price DECIMAL, line_total DECIMAL
+    )
+    ORDER BY product_id, variant_id
+  LOOP
+    IF v_item.variant_id IS NOT NULL THEN
+      UPDATE product_variants v
+         SET stock = v.stock - v_item.quantity
+        FROM products p
+       WHERE v.id = v_item.variant_id
+         AND v.product_id = v_item.product_id
+         AND v.is_active = true
+         AND v.stock >= v_item.quantity
+         AND p.id = v.product_id
+         AND p.retailer_id = p_retailer_id
+         AND p.is_active = true;
+    ELSE
+      UPDATE products
+         SET stock = stock - v_item.quantity
+       WHERE id = v_item.product_id
+         AND retailer_id = p_retailer_id
+         AND is_active = true
+         AND stock >= v_item.quantity;
+    END IF;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', CONCAT_WS(' - ', v_item.product_name, v_item.variant_label)
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total)
+    VALUES (
+      v_order_id, v_item.product_id, v_item.variant_id, v_item.product_name, v_item.variant_label,
+      v_item.quantity, v_item.unit_price, v_item.line_total
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
+
+-- 6. RESTORE ORDER STOCK
+-- Same as before, but variant items go back to their variant
+CREATE OR REPLACE FUNCTION restore_order_stock(p_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET stock_restored_at = NOW()
+   WHERE id = p_order_id
+     AND stock_restored_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE product_variants v
+     SET stock = v.stock + oi.quantity
+    FROM order_items oi
+   WHERE oi.order_id = p_order_id
+     AND v.id = oi.variant_id;
+
+  UPDATE products p
+     SET stock = p.stock + oi.quantity
+    FROM order_items oi
+   WHERE oi.order_id = p_order_id
+     AND oi.variant_id IS NULL
+     AND p.id = oi.product_id;
+END;
+$$;
+
+-- 7. RECEIVE A RETURN
+-- Same as before, but restocked variant items go back to their variant
+CREATE OR REPLACE FUNCTION receive_order_return(
+  p_return_id UUID,
+  p_retailer_id UUID,
+  p_restock BOOLEAN,
+  p_note TEXT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE order_returns
+     SET status = 'received',
+         received_at = NOW(),
+         restocked = p_restock,
+         decision_note = COALESCE(p_note, decision_note)
+   WHERE id = p_return_id
+     AND retailer_id = p_retailer_id
+     AND status = 'approved';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only approved returns can be received' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_restock THEN
+    UPDATE product_variants v
+       SET stock = v.stock + ri.quantity
+      FROM order_return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = p_return_id
+       AND v.id = oi.variant_id;
+
+    UPDATE products p
+       SET stock = p.stock + ri.quantity
+      FROM order_return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = p_return_id
+       AND oi.variant_id IS NULL
+       AND p.id = oi.product_id;
+  END IF;
+END;
+$$;
+
+-- 8. ROW LEVEL SECURITY
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own product variants" ON product_variants
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
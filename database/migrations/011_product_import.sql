@@ -0,0 +1,60 @@
+-- 011_product_import.sql
+-- Bulk product import as a single transaction: a file is imported completely or not at all
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. IMPORT PRODUCTS
+-- p_rows: [{ id?, name, price, description?, stock?, category?, image_url?, is_active? }]
+-- Rows with an id update that product (matched by name in the API); missing fields keep
+-- their current value. Rows without an id create a product.
+CREATE OR REPLACE FUNCTION import_products(
+  p_retailer_id UUID,
+  p_rows JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row JSONB;
+  v_created INTEGER := 0;
+  v_updated INTEGER := 0;
+BEGIN
+  FOR v_row IN SELECT * FROM jsonb_array_elements(p_rows)
+  LOOP
+    IF v_row ? 'id' THEN
+      UPDATE products
+         SET name = COALESCE(v_row->>'name', name),
+             description = COALESCE(v_row->>'description', description),
+             price = COALESCE((v_row->>'price')::DECIMAL, price),
+             stock = COALESCE((v_row->>'stock')::INTEGER, stock),
+             category = COALESCE(v_row->>'category', category),
+             image_url = COALESCE(v_row->>'image_url', image_url),
+             is_active = COALESCE((v_row->>'is_active')::BOOLEAN, is_active)
+       WHERE id = (v_row->>'id')::UUID
+         AND retailer_id = p_retailer_id;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Product % was deleted during the import. Please run it again.', v_row->>'name'
+          USING ERRCODE = 'PT409';
+      END IF;
+
+      v_updated := v_updated + 1;
+    ELSE
+      INSERT INTO products (retailer_id, name, description, price, stock, category, image_url, is_active)
+      VALUES (
+        p_retailer_id,
+        v_row->>'name',
+        v_row->>'description',
+        (v_row->>'price')::DECIMAL,
+        COALESCE((v_row->>'stock')::INTEGER, 0),
+        v_row->>'category',
+        v_row->>'image_url',
+        COALESCE((v_row->>'is_active')::BOOLEAN, true)
+      );
+
+      v_created := v_created + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('created', v_created, 'updated', v_updated);
+END;
+$$;
@@ -0,0 +1,524 @@
+-- 012_inventory_ledger.sql
+-- Inventory ledger: every stock change is recorded with its delta, resulting quantity, reason, actor and order
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. STOCK MOVEMENTS TABLE
+-- Append-only. Movements of products with variants are recorded per variant.
+CREATE TABLE stock_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  quantity_after INTEGER NOT NULL CHECK (quantity_after >= 0),
+  reason VARCHAR(30) NOT NULL
+    CHECK (reason IN ('sale', 'cancellation', 'manual_adjustment', 'damage', 'restock', 'return')),
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  actor UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, created_at DESC);
+CREATE INDEX idx_stock_movements_retailer ON stock_movements(retailer_id, created_at DESC);
+CREATE INDEX idx_stock_movements_order_id ON stock_movements(order_id);
+
+-- Opening balance, so each product's movements add up to its stock
+INSERT INTO stock_movements (retailer_id, product_id, delta, quantity_after, reason, note)
+SELECT p.retailer_id, p.id, p.stock, p.stock, 'manual_adjustment', 'Opening balance'
+FROM products p
+WHERE p.stock > 0
+  AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id);
+
+INSERT INTO stock_movements (retailer_id, product_id, variant_id, delta, quantity_after, reason, note)
+SELECT retailer_id, product_id, id, stock, stock, 'manual_adjustment', 'Opening balance'
+FROM product_variants
+WHERE stock > 0;
+
+-- 2. STOCK CHANGE CONTEXT
+-- Why the stock is about to change, for the rest of the transaction.
+-- The ledger trigger reads it; functions that change stock set it first.
+CREATE OR REPLACE FUNCTION set_stock_context(
+  p_reason TEXT,
+  p_order_id UUID DEFAULT NULL,
+  p_actor UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM set_config('app.stock_reason', COALESCE(p_reason, ''), true);
+  PERFORM set_config('app.stock_order_id', COALESCE(p_order_id::TEXT, ''), true);
+  PERFORM set_config('app.stock_actor', COALESCE(p_actor::TEXT, ''), true);
+  PERFORM set_config('app.stock_note', COALESCE(p_note, ''), true);
+END;
+$$;
+
+-- 3. LEDGER TRIGGER
+-- Records any change of products.stock or product_variants.stock, whoever makes it.
+-- Without a context, new rows count as a restock and updates as a manual adjustment.
+CREATE OR REPLACE FUNCTION record_stock_movement()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_delta INTEGER := NEW.stock - CASE WHEN TG_OP = 'INSERT' THEN 0 ELSE OLD.stock END;
+  v_product_id UUID;
+  v_variant_id UUID;
+BEGIN
+    -- Product totals kept in sync from variants are not movements of their own
+    IF v_delta = 0 OR current_setting('app.stock_sync', true) = 'on' THEN
+      RETURN NULL;
+    END IF;
+
+    IF TG_TABLE_NAME = 'product_variants' THEN
+      v_product_id := NEW.product_id;
+      v_variant_id := NEW.id;
+    ELSE
+      v_product_id := NEW.id;
+    END IF;
+
+    INSERT INTO stock_movements (retailer_id, product_id, variant_id, delta, quantity_after, reason, order_id, actor, note)
+    VALUES (
+      NEW.retailer_id,
+      v_product_id,
+      v_variant_id,
+      v_delta,
+      NEW.stock,
+      CASE WHEN TG_OP = 'INSERT' THEN 'restock'
+           ELSE COALESCE(NULLIF(current_setting('app.stock_reason', true), ''), 'manual_adjustment') END,
+      NULLIF(current_setting('app.stock_order_id', true), '')::UUID,
+      COALESCE(NULLIF(current_setting('app.stock_actor', true), '')::UUID, auth.uid()),
+      CASE WHEN TG_OP = 'INSERT' THEN 'Initial stock'
+           ELSE NULLIF(current_setting('app.stock_note', true), '') END
+    );
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_products_stock_movement
+    AFTER INSERT OR UPDATE OF stock ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION record_stock_movement();
+
+CREATE TRIGGER record_product_variants_stock_movement
+    AFTER INSERT OR UPDATE OF stock ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION record_stock_movement();
+
+-- Same as before, but flags its update so the ledger skips it
+CREATE OR REPLACE FUNCTION sync_product_stock_from_variants()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_product_id UUID := COALESCE(NEW.product_id, OLD.product_id);
+BEGIN
+    PERFORM set_config('app.stock_sync', 'on', true);
+
+    UPDATE products
+       SET stock = COALESCE((
+             SELECT SUM(stock) FROM product_variants
+             WHERE product_id = v_product_id AND is_active = true
+           ), 0)
+     WHERE id = v_product_id;
+
+    PERFORM set_config('app.stock_sync', '', true);
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- 4. APPLY STOCK CHANGE
+-- Manual stock changes: either a delta or the counted quantity (p_quantity), for a product
+-- without variants or for one variant. Returns the new quantity.
+CREATE OR REPLACE FUNCTION apply_stock_change(
+  p_retailer_id UUID,
+  p_product_id UUID,
+  p_variant_id UUID,
+  p_delta INTEGER,
+  p_quantity INTEGER,
+  p_reason TEXT,
+  p_actor UUID,
+  p_note TEXT DEFAULT NULL
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+  v_has_variants BOOLEAN;
+  v_new_stock INTEGER;
+BEGIN
+  IF (p_delta IS NULL) = (p_quantity IS NULL) THEN
+    RAISE EXCEPTION 'Give either a delta or the counted quantity' USING ERRCODE = 'PT400';
+  END IF;
+
+  IF p_variant_id IS NOT NULL THEN
+    SELECT v.stock INTO v_stock
+    FROM product_variants v
+    JOIN products p ON p.id = v.product_id
+    WHERE v.id = p_variant_id
+      AND v.product_id = p_product_id
+      AND p.retailer_id = p_retailer_id
+    FOR UPDATE OF v;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Variant not found' USING ERRCODE = 'PT404';
+    END IF;
+  ELSE
+    SELECT p.stock, EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+      INTO v_stock, v_has_variants
+    FROM products p
+    WHERE p.id = p_product_id
+      AND p.retailer_id = p_retailer_id
+    FOR UPDATE OF p;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found' USING ERRCODE = 'PT404';
+    END IF;
+
+    IF v_has_variants THEN
+      RAISE EXCEPTION 'This product has variants. Adjust the stock of a variant instead.' USING ERRCODE = 'PT409';
+    END IF;
+  END IF;
+
+  v_new_stock := COALESCE(p_quantity, v_stock + p_delta);
+
+  IF v_new_stock < 0 THEN
+    RAISE EXCEPTION 'Stock cannot go below zero (% in stock)', v_stock USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_reason = 'damage' AND v_new_stock >= v_stock THEN
+    RAISE EXCEPTION 'Damage must reduce stock' USING ERRCODE = 'PT400';
+  END IF;
+
+  IF p_reason = 'restock' AND v_new_stock <= v_stock THEN
+    RAISE EXCEPTION 'Restock must increase stock' USING ERRCODE = 'PT400';
+  END IF;
+
+  IF v_new_stock = v_stock THEN
+    RETURN v_stock;
+  END IF;
+
+  PERFORM set_stock_context(p_reason, NULL, p_actor, p_note);
+
+  IF p_variant_id IS NOT NULL THEN
+    UPDATE product_variants SET stock = v_new_stock WHERE id = p_variant_id;
+  ELSE
+    UPDATE products SET stock = v_new_stock WHERE id = p_product_id;
+  END IF;
+
+  RETURN v_new_stock;
+END;
+$$;
+
+-- 5. PLACE ORDER
+-- Same as before, plus the sale is recorded in the ledger (p_created_by is the retailer user, if any)
+DROP FUNCTION place_order(UUID, TEXT, TEXT, TEXT, TEXT, DECIMAL, JSONB, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB,
+  p_source TEXT DEFAULT 'admin',
+  p_tracking_token_hash TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+BEGIN
+  INSERT INTO orders (
+    retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes,
+    source, tracking_token_hash
+  )
+  VALUES (
+    p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes,
+    p_source, p_tracking_token_hash
+  )
+  RETURNING id INTO v_order_id;
+
+  PERFORM set_stock_context('sale', v_order_id, p_created_by);
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, variant_id UUID, product_name TEXT, variant_label TEXT,
+      quantity INTEGER, unit_price DECIMAL, line_total DECIMAL
+    )
+    ORDER BY product_id, variant_id
+  LOOP
+    IF v_item.variant_id IS NOT NULL THEN
+      UPDATE product_variants v
+         SET stock = v.stock - v_item.quantity
+        FROM products p
+       WHERE v.id = v_item.variant_id
+         AND v.product_id = v_item.product_id
+         AND v.is_active = true
+         AND v.stock >= v_item.quantity
+         AND p.id = v.product_id
+         AND p.retailer_id = p_retailer_id
+         AND p.is_active = true;
+    ELSE
+      UPDATE products
+         SET stock = stock - v_item.quantity
+       WHERE id = v_item.product_id
+         AND retailer_id = p_retailer_id
+         AND is_active = true
+         AND stock >= v_item.quantity;
+    END IF;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', CONCAT_WS(' - ', v_item.product_name, v_item.variant_label)
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total)
+    VALUES (
+      v_order_id, v_item.product_id, v_item.variant_id, v_item.product_name, v_item.variant_label,
+      v_item.quantity, v_item.unit_price, v_item.line_total
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
+
+-- 6. RESTORE ORDER STOCK
+-- Same as before, plus the returned units are recorded as a cancellation by p_actor
+DROP FUNCTION restore_order_stock(UUID);
+
+CREATE OR REPLACE FUNCTION restore_order_stock(
+  p_order_id UUID,
+  p_actor UUID DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET stock_restored_at = NOW()
+   WHERE id = p_order_id
+     AND stock_restored_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM set_stock_context('cancellation', p_order_id, p_actor);
+
+  UPDATE product_variants v
+     SET stock = v.stock + oi.quantity
+    FROM order_items oi
+   WHERE oi.order_id = p_order_id
+     AND v.id = oi.variant_id;
+
+  UPDATE products p
+     SET stock = p.stock + oi.quantity
+    FROM order_items oi
+   WHERE oi.order_id = p_order_id
+     AND oi.variant_id IS NULL
+     AND p.id = oi.product_id;
+END;
+$$;
+
+-- 7. TRANSITION ORDER STATUS
+-- Same as before; the restored stock is attributed to whoever cancelled
+CREATE OR REPLACE FUNCTION transition_order_status(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_note TEXT,
+  p_notes TEXT,
+  p_changed_by UUID,
+  p_changed_by_email TEXT,
+  p_cancellation_reason TEXT DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE orders
+     SET status = p_to_status,
+         notes = COALESCE(p_notes, notes),
+         cancellation_reason = CASE WHEN p_to_status = 'cancelled' THEN p_cancellation_reason ELSE cancellation_reason END,
+         cancelled_at = CASE WHEN p_to_status = 'cancelled' THEN NOW() ELSE cancelled_at END
+   WHERE id = p_order_id
+     AND retailer_id = p_retailer_id
+     AND status = p_from_status;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order status was changed by another request. Please reload the order.'
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_to_status = 'cancelled' THEN
+    PERFORM restore_order_stock(p_order_id, p_changed_by);
+  END IF;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, changed_by_email)
+  VALUES (p_order_id, p_from_status, p_to_status, p_note, p_changed_by, p_changed_by_email);
+END;
+$$;
+
+-- 8. DELETE ORDER
+-- Same as before; the restored stock is attributed to whoever deleted the order
+DROP FUNCTION delete_order(UUID, UUID);
+
+CREATE OR REPLACE FUNCTION delete_order(
+  p_order_id UUID,
+  p_retailer_id UUID,
+  p_deleted_by UUID DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status VARCHAR(50);
+BEGIN
+  SELECT status INTO v_status
+  FROM orders
+  WHERE id = p_order_id AND retailer_id = p_retailer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_status NOT IN ('pending', 'cancelled') THEN
+    RAISE EXCEPTION 'Only pending or cancelled orders can be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM invoices WHERE order_id = p_order_id) THEN
+    RAISE EXCEPTION 'Orders with an issued invoice cannot be deleted' USING ERRCODE = 'PT409';
+  END IF;
+
+  PERFORM restore_order_stock(p_order_id, p_deleted_by);
+
+  DELETE FROM orders WHERE id = p_order_id;
+END;
+$$;
+
+-- 9. RECEIVE A RETURN
+-- Same as before, plus restocked units are recorded as a return by p_received_by
+DROP FUNCTION receive_order_return(UUID, UUID, BOOLEAN, TEXT);
+
+CREATE OR REPLACE FUNCTION receive_order_return(
+  p_return_id UUID,
+  p_retailer_id UUID,
+  p_restock BOOLEAN,
+  p_note TEXT,
+  p_received_by UUID DEFAULT NULL
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+BEGIN
+  UPDATE order_returns
+     SET status = 'received',
+         received_at = NOW(),
+         restocked = p_restock,
+         decision_note = COALESCE(p_note, decision_note)
+   WHERE id = p_return_id
+     AND retailer_id = p_retailer_id
+     AND status = 'approved'
+  RETURNING order_id INTO v_order_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only approved returns can be received' USING ERRCODE = 'PT409';
+  END IF;
+
+  IF p_restock THEN
+    PERFORM set_stock_context('return', v_order_id, p_received_by);
+
+    UPDATE product_variants v
+       SET stock = v.stock + ri.quantity
+      FROM order_return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = p_return_id
+       AND v.id = oi.variant_id;
+
+    UPDATE products p
+       SET stock = p.stock + ri.quantity
+      FROM order_return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.return_id = p_return_id
+       AND oi.variant_id IS NULL
+       AND p.id = oi.product_id;
+  END IF;
+END;
+$$;
+
+-- 10. IMPORT PRODUCTS
+-- Same as before; stock changed by an import is recorded as a manual adjustment by p_imported_by
+DROP FUNCTION import_products(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION import_products(
+  p_retailer_id UUID,
+  p_rows JSONB,
+  p_imported_by UUID DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row JSONB;
+  v_created INTEGER := 0;
+  v_updated INTEGER := 0;
+BEGIN
+  PERFORM set_stock_context('manual_adjustment', NULL, p_imported_by, 'Product import');
+
+  FOR v_row IN SELECT * FROM jsonb_array_elements(p_rows)
+  LOOP
+    IF v_row ? 'id' THEN
+      UPDATE products
+         SET name = COALESCE(v_row->>'name', name),
+             description = COALESCE(v_row->>'description', description),
+             price = COALESCE((v_row->>'price')::DECIMAL, price),
+             stock = COALESCE((v_row->>'stock')::INTEGER, stock),
+             category = COALESCE(v_row->>'category', category),
+             image_url = COALESCE(v_row->>'image_url', image_url),
+             is_active = COALESCE((v_row->>'is_active')::BOOLEAN, is_active)
+       WHERE id = (v_row->>'id')::UUID
+         AND retailer_id = p_retailer_id;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Product % was deleted during the import. Please run it again.', v_row->>'name'
+          USING ERRCODE = 'PT409';
+      END IF;
+
+      v_updated := v_updated + 1;
+    ELSE
+      INSERT INTO products (retailer_id, name, description, price, stock, category, image_url, is_active)
+      VALUES (
+        p_retailer_id,
+        v_row->>'name',
+        v_row->>'description',
+        (v_row->>'price')::DECIMAL,
+        COALESCE((v_row->>'stock')::INTEGER, 0),
+        v_row->>'category',
+        v_row->>'image_url',
+        COALESCE((v_row->>'is_active')::BOOLEAN, true)
+      );
+
+      v_created := v_created + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('created', v_created, 'updated', v_updated);
+END;
+$$;
+
+-- 11. ROW LEVEL SECURITY
+-- The ledger can be read and appended to, never edited
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can view own stock movements" ON stock_movements
+    FOR SELECT USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can record own stock movements" ON stock_movements
+    FOR INSERT WITH CHECK (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,99 @@
+-- 013_stock_alerts.sql
+-- Reorder thresholds (per product, with a store-wide default) and low/out-of-stock alerts
+
+-- 1. THRESHOLDS
+-- A product is low on stock at or below its reorder_threshold, or the store's
+-- low_stock_threshold when it has none. Variants use their product's threshold.
+ALTER TABLE retailers
+  ADD COLUMN low_stock_threshold INTEGER NOT NULL DEFAULT 5 CHECK (low_stock_threshold >= 0);
+
+ALTER TABLE products
+  ADD COLUMN reorder_threshold INTEGER CHECK (reorder_threshold >= 0);
+
+-- 2. STOCK ALERTS TABLE
+-- At most one open alert per product/variant and type: an alert stays open until
+-- the stock is back above the threshold (low_stock) or above zero (out_of_stock)
+CREATE TABLE stock_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('low_stock', 'out_of_stock')),
+  stock INTEGER NOT NULL,
+  threshold INTEGER NOT NULL,
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_stock_alerts_open
+  ON stock_alerts(product_id, variant_id, type) NULLS NOT DISTINCT
+  WHERE resolved_at IS NULL;
+
+CREATE INDEX idx_stock_alerts_retailer ON stock_alerts(retailer_id, created_at DESC);
+
+-- 3. RAISE / RESOLVE ALERTS FROM THE INVENTORY LEDGER
+-- Every stock change is a stock movement, so alerts fire on whatever changed the stock.
+-- Alerts only fire when the stock crosses the threshold (or reaches zero), never again
+-- while it stays below; inactive products and variants are ignored.
+CREATE OR REPLACE FUNCTION update_stock_alerts()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_before INTEGER := NEW.quantity_after - NEW.delta;
+  v_after INTEGER := NEW.quantity_after;
+  v_threshold INTEGER;
+  v_active BOOLEAN;
+BEGIN
+    SELECT COALESCE(p.reorder_threshold, r.low_stock_threshold),
+           p.is_active AND COALESCE(v.is_active, true)
+      INTO v_threshold, v_active
+    FROM products p
+    JOIN retailers r ON r.id = p.retailer_id
+    LEFT JOIN product_variants v ON v.id = NEW.variant_id
+    WHERE p.id = NEW.product_id;
+
+    IF NOT FOUND THEN
+      RETURN NULL;
+    END IF;
+
+    -- Back in stock / above the threshold: close what no longer applies
+    UPDATE stock_alerts
+       SET resolved_at = NOW()
+     WHERE product_id = NEW.product_id
+       AND variant_id IS NOT DISTINCT FROM NEW.variant_id
+       AND resolved_at IS NULL
+       AND ((type = 'out_of_stock' AND v_after > 0)
+         OR (type = 'low_stock' AND v_after > v_threshold));
+
+    IF NOT v_active THEN
+      RETURN NULL;
+    END IF;
+
+    IF v_before > v_threshold AND v_after <= v_threshold THEN
+      INSERT INTO stock_alerts (retailer_id, product_id, variant_id, type, stock, threshold)
+      VALUES (NEW.retailer_id, NEW.product_id, NEW.variant_id, 'low_stock', v_after, v_threshold)
+      ON CONFLICT (product_id, variant_id, type) WHERE resolved_at IS NULL DO NOTHING;
+    END IF;
+
+    IF v_before > 0 AND v_after = 0 THEN
+      INSERT INTO stock_alerts (retailer_id, product_id, variant_id, type, stock, threshold)
+      VALUES (NEW.retailer_id, NEW.product_id, NEW.variant_id, 'out_of_stock', v_after, v_threshold)
+      ON CONFLICT (product_id, variant_id, type) WHERE resolved_at IS NULL DO NOTHING;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_stock_alerts_on_movement
+    AFTER INSERT ON stock_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_stock_alerts();
+
+-- 4. ROW LEVEL SECURITY
+ALTER TABLE stock_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own stock alerts" ON stock_alerts
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,158 @@
+-- 014_product_images.sql
+-- Product image galleries: several images per product, each stored in standard sizes as WebP
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. PRODUCT IMAGES TABLE
+-- urls: { "thumbnail": "...", "card": "...", "full": "..." } (public storage URLs)
+-- storage_path: where the size files live in the 'public-assets' bucket
+CREATE TABLE product_images (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  storage_path TEXT NOT NULL,
+  urls JSONB NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  position INTEGER NOT NULL DEFAULT 0,
+  is_primary BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_product_images_product ON product_images(product_id, position);
+CREATE UNIQUE INDEX idx_product_images_primary ON product_images(product_id) WHERE is_primary;
+
+-- 2. PRIMARY IMAGE ON THE PRODUCT
+-- primary_image: the primary image's urls plus its id, so lists (products, order items)
+-- get the right sizes without loading the gallery. image_url follows the primary image's
+-- full size, so clients reading image_url keep working.
+ALTER TABLE products
+  ADD COLUMN primary_image JSONB;
+
+CREATE OR REPLACE FUNCTION sync_product_primary_image()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_product_id UUID := COALESCE(NEW.product_id, OLD.product_id);
+  v_image RECORD;
+BEGIN
+    SELECT id, urls INTO v_image
+    FROM product_images
+    WHERE product_id = v_product_id AND is_primary;
+
+    IF FOUND THEN
+      UPDATE products
+         SET primary_image = v_image.urls || jsonb_build_object('id', v_image.id),
+             image_url = v_image.urls->>'full'
+       WHERE id = v_product_id;
+    ELSE
+      -- Only clear image_url if it came from the gallery
+      UPDATE products
+         SET image_url = CASE WHEN primary_image IS NOT NULL THEN NULL ELSE image_url END,
+             primary_image = NULL
+       WHERE id = v_product_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER sync_product_images_primary
+    AFTER INSERT OR UPDATE OF is_primary, urls OR DELETE ON product_images
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_product_primary_image();
+
+-- 3. SET PRIMARY IMAGE
+CREATE OR REPLACE FUNCTION set_primary_product_image(
+  p_image_id UUID,
+  p_product_id UUID,
+  p_retailer_id UUID
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM 1 FROM product_images
+  WHERE id = p_image_id AND product_id = p_product_id AND retailer_id = p_retailer_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Image not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  -- Unset first: only one image per product may be primary at any moment
+  UPDATE product_images
+     SET is_primary = false
+   WHERE product_id = p_product_id AND is_primary AND id <> p_image_id;
+
+  UPDATE product_images
+     SET is_primary = true
+   WHERE id = p_image_id AND NOT is_primary;
+END;
+$$;
+
+-- 4. REORDER IMAGES
+-- p_image_ids must list every image of the product exactly once, in the new order
+CREATE OR REPLACE FUNCTION reorder_product_images(
+  p_product_id UUID,
+  p_retailer_id UUID,
+  p_image_ids UUID[]
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (SELECT array_agg(id ORDER BY id) FROM product_images
+      WHERE product_id = p_product_id AND retailer_id = p_retailer_id)
+     IS DISTINCT FROM
+     (SELECT array_agg(id ORDER BY id) FROM unnest(p_image_ids) AS id) THEN
+    RAISE EXCEPTION 'image_ids must list every image of the product exactly once' USING ERRCODE = 'PT400';
+  END IF;
+
+  UPDATE product_images i
+     SET position = x.position
+    FROM unnest(p_image_ids) WITH ORDINALITY AS x(id, position)
+   WHERE i.id = x.id;
+END;
+$$;
+
+-- 5. DELETE IMAGE
+-- Deleting the primary image makes the next image primary.
+-- Returns the image's storage_path so the API can remove its files.
+CREATE OR REPLACE FUNCTION delete_product_image(
+  p_image_id UUID,
+  p_product_id UUID,
+  p_retailer_id UUID
+) RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_storage_path TEXT;
+  v_was_primary BOOLEAN;
+BEGIN
+  DELETE FROM product_images
+  WHERE id = p_image_id AND product_id = p_product_id AND retailer_id = p_retailer_id
+  RETURNING storage_path, is_primary INTO v_storage_path, v_was_primary;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Image not found' USING ERRCODE = 'PT404';
+  END IF;
+
+  IF v_was_primary THEN
+    UPDATE product_images
+       SET is_primary = true
+     WHERE id = (
+       SELECT id FROM product_images
+       WHERE product_id = p_product_id
+       ORDER BY position, created_at
+       LIMIT 1
+     );
+  END IF;
+
+  RETURN v_storage_path;
+END;
+$$;
+
+-- 6. ROW LEVEL SECURITY
+ALTER TABLE product_images ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own product images" ON product_images
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
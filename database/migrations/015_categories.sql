@@ -0,0 +1,218 @@
+-- 015_categories.sql
+-- Categories as a resource: nesting, slug, sort order, image and description; products reference them
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. CATEGORIES TABLE
+CREATE TABLE categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL,
+  description TEXT,
+  image_url TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (retailer_id, slug)
+);
+
+-- "Dairy" and "dairy" are the same category (within the same parent)
+CREATE UNIQUE INDEX idx_categories_name
+  ON categories(retailer_id, parent_id, lower(name)) NULLS NOT DISTINCT;
+
+CREATE INDEX idx_categories_parent_id ON categories(parent_id);
+
+CREATE TRIGGER update_categories_updated_at
+    BEFORE UPDATE ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 2. SLUGS
+-- "Fresh Fruit & Veg" → "fresh-fruit-veg"
+CREATE OR REPLACE FUNCTION slugify(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(NULLIF(trim(BOTH '-' FROM regexp_replace(lower(p_text), '[^a-z0-9]+', '-', 'g')), ''), 'category');
+$$;
+
+-- Categories created without a slug get one from their name ("dairy", "dairy-2", ...)
+CREATE OR REPLACE FUNCTION set_category_slug()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_base TEXT := left(slugify(NEW.name), 110);
+  v_suffix INTEGER := 1;
+BEGIN
+    IF NEW.slug IS NOT NULL THEN
+      RETURN NEW;
+    END IF;
+
+    NEW.slug := v_base;
+    WHILE EXISTS (SELECT 1 FROM categories WHERE retailer_id = NEW.retailer_id AND slug = NEW.slug) LOOP
+      v_suffix := v_suffix + 1;
+      NEW.slug := v_base || '-' || v_suffix;
+    END LOOP;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_categories_slug
+    BEFORE INSERT ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION set_category_slug();
+
+-- 3. PARENT CHECKS
+-- The parent must belong to the same retailer, and a category can't be moved under itself or its children
+CREATE OR REPLACE FUNCTION check_category_parent()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.parent_id IS NULL THEN
+      RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM categories WHERE id = NEW.parent_id AND retailer_id = NEW.retailer_id) THEN
+      RAISE EXCEPTION 'Parent category not found' USING ERRCODE = 'PT404';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND EXISTS (
+      WITH RECURSIVE ancestors AS (
+        SELECT id, parent_id FROM categories WHERE id = NEW.parent_id
+        UNION
+        SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+      )
+      SELECT 1 FROM ancestors WHERE id = NEW.id
+    ) THEN
+      RAISE EXCEPTION 'A category cannot be moved under itself or one of its subcategories' USING ERRCODE = 'PT409';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER check_categories_parent
+    BEFORE INSERT OR UPDATE OF parent_id ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION check_category_parent();
+
+-- 4. PRODUCTS REFERENCE A CATEGORY
+-- products.category stays as the category's name, so existing filters and clients keep working
+ALTER TABLE products
+  ADD COLUMN category_id UUID REFERENCES categories(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_products_category_id ON products(category_id);
+
+-- Setting category_id fills in the name; setting only the category name links (or creates)
+-- the category with that name, ignoring case - so "Dairy" and "dairy" end up in one category
+CREATE OR REPLACE FUNCTION link_product_category()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_name TEXT := NULLIF(trim(NEW.category), '');
+  v_category RECORD;
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.category_id IS DISTINCT FROM OLD.category_id
+       OR TG_OP = 'INSERT' AND NEW.category_id IS NOT NULL THEN
+      IF NEW.category_id IS NULL THEN
+        NEW.category := NULL;
+        RETURN NEW;
+      END IF;
+
+      SELECT name INTO NEW.category
+      FROM categories
+      WHERE id = NEW.category_id AND retailer_id = NEW.retailer_id;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Category not found' USING ERRCODE = 'PT404';
+      END IF;
+
+      RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.category IS NOT DISTINCT FROM OLD.category THEN
+      RETURN NEW;
+    END IF;
+
+    IF v_name IS NULL THEN
+      NEW.category := NULL;
+      NEW.category_id := NULL;
+      RETURN NEW;
+    END IF;
+
+    -- Still the same category (e.g. a rename being copied to its products)
+    SELECT id, name INTO v_category
+    FROM categories
+    WHERE id = NEW.category_id AND lower(name) = lower(v_name);
+
+    IF NOT FOUND THEN
+      SELECT id, name INTO v_category
+      FROM categories
+      WHERE retailer_id = NEW.retailer_id AND lower(name) = lower(v_name)
+      ORDER BY parent_id NULLS FIRST, created_at
+      LIMIT 1;
+    END IF;
+
+    IF NOT FOUND THEN
+      INSERT INTO categories (retailer_id, name)
+      VALUES (NEW.retailer_id, v_name)
+      RETURNING id, name INTO v_category;
+    END IF;
+
+    NEW.category_id := v_category.id;
+    NEW.category := v_category.name;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER link_products_category
+    BEFORE INSERT OR UPDATE OF category, category_id ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION link_product_category();
+
+-- Renaming a category renames it on all of its products
+CREATE OR REPLACE FUNCTION sync_category_name_to_products()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE products
+       SET category = NEW.name
+     WHERE category_id = NEW.id;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER sync_categories_name
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW
+    WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION sync_category_name_to_products();
+
+-- 5. BACKFILL
+-- One top-level category per distinct name, ignoring case and spelt as on the oldest product.
+-- Setting category_id makes the trigger copy the category's spelling to every product.
+INSERT INTO categories (retailer_id, name)
+SELECT DISTINCT ON (retailer_id, lower(trim(category))) retailer_id, trim(category)
+FROM products
+WHERE NULLIF(trim(category), '') IS NOT NULL
+ORDER BY retailer_id, lower(trim(category)), created_at;
+
+UPDATE products p
+   SET category_id = c.id
+  FROM categories c
+ WHERE c.retailer_id = p.retailer_id
+   AND c.parent_id IS NULL
+   AND lower(c.name) = lower(trim(p.category));
+
+-- 6. STOREFRONT NAVIGATION
+-- nav_source: 'custom' uses nav_menu as before, 'categories' builds the menu from the category tree
+ALTER TABLE retailers
+  ADD COLUMN nav_source VARCHAR(20) NOT NULL DEFAULT 'custom' CHECK (nav_source IN ('custom', 'categories'));
+
+-- 7. ROW LEVEL SECURITY
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own categories" ON categories
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,278 @@
+-- 017_discounts.sql
+-- Discount codes, automatic promotions and delivery fees; orders keep the discount they got
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. DELIVERY FEE
+-- delivery_fee is charged on storefront orders, unless the order (after discounts)
+-- reaches free_delivery_min_order
+ALTER TABLE retailers
+  ADD COLUMN delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (delivery_fee >= 0),
+  ADD COLUMN free_delivery_min_order DECIMAL(10,2) CHECK (free_delivery_min_order >= 0);
+
+-- 2. DISCOUNT CODES
+-- type: percentage (value = percent off, capped at max_discount_amount), fixed_amount (value off)
+-- or free_delivery. product_ids / category_ids limit the discount to those items (empty = whole order).
+-- usage_limit counts orders using the code, usage_limit_per_customer the orders of one customer
+-- (same email or phone); cancelled orders don't count.
+CREATE TABLE discount_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  code VARCHAR(50) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_delivery')),
+  value DECIMAL(10,2) CHECK (value > 0),
+  max_discount_amount DECIMAL(10,2) CHECK (max_discount_amount > 0),
+  min_order_amount DECIMAL(10,2) CHECK (min_order_amount >= 0),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  usage_limit_per_customer INTEGER CHECK (usage_limit_per_customer > 0),
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  category_ids UUID[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (type = 'free_delivery' OR value IS NOT NULL),
+  CHECK (type <> 'percentage' OR value <= 100),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- Codes are case-insensitive ("summer10" = "SUMMER10")
+CREATE UNIQUE INDEX idx_discount_codes_code ON discount_codes(retailer_id, upper(code));
+
+CREATE TRIGGER update_discount_codes_updated_at
+    BEFORE UPDATE ON discount_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. AUTOMATIC PROMOTIONS
+-- Applied to every order they fit, without a code:
+--   buy_x_get_y: for every buy_quantity + get_quantity eligible units, the cheapest get_quantity
+--                units are value percent off (100 = free), e.g. buy 2 get 1 free
+--   percentage:  value percent off the eligible items
+CREATE TABLE promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('buy_x_get_y', 'percentage')),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  value DECIMAL(10,2) NOT NULL DEFAULT 100 CHECK (value > 0 AND value <= 100),
+  min_order_amount DECIMAL(10,2) CHECK (min_order_amount >= 0),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  category_ids UUID[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (type <> 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX idx_promotions_retailer ON promotions(retailer_id) WHERE is_active;
+
+CREATE TRIGGER update_promotions_updated_at
+    BEFORE UPDATE ON promotions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 4. DISCOUNTS ON ORDERS
+-- subtotal_amount: the items before discounts; discount_amount: every discount, including a
+-- waived delivery fee; total_amount = subtotal_amount - discount_amount + delivery_fee
+ALTER TABLE orders
+  ADD COLUMN subtotal_amount DECIMAL(10,2),
+  ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+  ADD COLUMN delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (delivery_fee >= 0),
+  ADD COLUMN discount_code VARCHAR(50);
+
+UPDATE orders SET subtotal_amount = total_amount;
+
+ALTER TABLE orders
+  ALTER COLUMN subtotal_amount SET NOT NULL;
+
+-- Each line's share of the item discounts (line_total stays the pre-discount amount)
+ALTER TABLE order_items
+  ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0);
+
+-- Every code and promotion applied to an order, with what it took off.
+-- code and name are kept so reports still read well after an offer is deleted.
+CREATE TABLE order_discounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL,
+  promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+  code VARCHAR(50),
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX idx_order_discounts_discount_code_id ON order_discounts(discount_code_id);
+CREATE INDEX idx_order_discounts_promotion_id ON order_discounts(promotion_id);
+
+-- 5. PLACE ORDER
+-- Same as before, plus the order's pre-discount amounts and discounts. Discount code usage
+-- limits are checked here, with the code locked, so two orders can't both take the last use.
+DROP FUNCTION place_order(UUID, TEXT, TEXT, TEXT, TEXT, DECIMAL, JSONB, TEXT, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB,
+  p_source TEXT DEFAULT 'admin',
+  p_tracking_token_hash TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_subtotal_amount DECIMAL DEFAULT NULL,
+  p_discount_amount DECIMAL DEFAULT 0,
+  p_delivery_fee DECIMAL DEFAULT 0,
+  p_discounts JSONB DEFAULT '[]'
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+  v_discount RECORD;
+  v_code RECORD;
+  v_used INTEGER;
+BEGIN
+  INSERT INTO orders (
+    retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes,
+    source, tracking_token_hash, subtotal_amount, discount_amount, delivery_fee, discount_code
+  )
+  VALUES (
+    p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes,
+    p_source, p_tracking_token_hash, COALESCE(p_subtotal_amount, p_total_amount), p_discount_amount, p_delivery_fee,
+    (SELECT x.code FROM jsonb_to_recordset(p_discounts) AS x(code TEXT) WHERE x.code IS NOT NULL LIMIT 1)
+  )
+  RETURNING id INTO v_order_id;
+
+  FOR v_discount IN
+    SELECT *
+    FROM jsonb_to_recordset(p_discounts) AS x(
+      discount_code_id UUID, promotion_id UUID, code TEXT, name TEXT, type TEXT, amount DECIMAL
+    )
+  LOOP
+    IF v_discount.discount_code_id IS NOT NULL THEN
+      SELECT * INTO v_code
+      FROM discount_codes
+      WHERE id = v_discount.discount_code_id AND retailer_id = p_retailer_id
+      FOR UPDATE;
+
+      IF NOT FOUND OR NOT v_code.is_active
+         OR (v_code.starts_at IS NOT NULL AND v_code.starts_at > NOW())
+         OR (v_code.ends_at IS NOT NULL AND v_code.ends_at <= NOW()) THEN
+        RAISE EXCEPTION 'Discount code % is no longer valid', v_discount.code USING ERRCODE = 'PT409';
+      END IF;
+
+      IF v_code.usage_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used
+        FROM order_discounts od
+        JOIN orders o ON o.id = od.order_id
+        WHERE od.discount_code_id = v_code.id
+          AND o.status <> 'cancelled';
+
+        IF v_used >= v_code.usage_limit THEN
+          RAISE EXCEPTION 'Discount code % has reached its usage limit', v_discount.code USING ERRCODE = 'PT409';
+        END IF;
+      END IF;
+
+      IF v_code.usage_limit_per_customer IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used
+        FROM order_discounts od
+        JOIN orders o ON o.id = od.order_id
+        WHERE od.discount_code_id = v_code.id
+          AND o.status <> 'cancelled'
+          AND ((p_customer_email IS NOT NULL AND lower(o.customer_email) = lower(p_customer_email))
+            OR (p_customer_phone IS NOT NULL AND o.customer_phone = p_customer_phone));
+
+        IF v_used >= v_code.usage_limit_per_customer THEN
+          RAISE EXCEPTION 'You have already used discount code %', v_discount.code USING ERRCODE = 'PT409';
+        END IF;
+      END IF;
+    END IF;
+
+    INSERT INTO order_discounts (order_id, retailer_id, discount_code_id, promotion_id, code, name, type, amount)
+    VALUES (
+      v_order_id, p_retailer_id, v_discount.discount_code_id, v_discount.promotion_id,
+      v_discount.code, v_discount.name, v_discount.type, v_discount.amount
+    );
+  END LOOP;
+
+  PERFORM set_stock_context('sale', v_order_id, p_created_by);
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, variant_id UUID, product_name TEXT, variant_label TEXT,
+      quantity INTEGER, unit_price DECIMAL, line_total DECIMAL, discount_amount DECIMAL
+    )
+    ORDER BY product_id, variant_id
+  LOOP
+    IF v_item.variant_id IS NOT NULL THEN
+      UPDATE product_variants v
+         SET stock = v.stock - v_item.quantity
+        FROM products p
+       WHERE v.id = v_item.variant_id
+         AND v.product_id = v_item.product_id
+         AND v.is_active = true
+         AND v.stock >= v_item.quantity
+         AND p.id = v.product_id
+         AND p.retailer_id = p_retailer_id
+         AND p.is_active = true;
+    ELSE
+      UPDATE products
+         SET stock = stock - v_item.quantity
+       WHERE id = v_item.product_id
+         AND retailer_id = p_retailer_id
+         AND is_active = true
+         AND stock >= v_item.quantity;
+    END IF;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', CONCAT_WS(' - ', v_item.product_name, v_item.variant_label)
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (
+      order_id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total, discount_amount
+    )
+    VALUES (
+      v_order_id, v_item.product_id, v_item.variant_id, v_item.product_name, v_item.variant_label,
+      v_item.quantity, v_item.unit_price, v_item.line_total, COALESCE(v_item.discount_amount, 0)
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
+
+-- 6. ROW LEVEL SECURITY
+ALTER TABLE discount_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_discounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own discount codes" ON discount_codes
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can manage own promotions" ON promotions
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can manage own order discounts" ON order_discounts
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,321 @@
+-- 018_taxes.sql
+-- Tax rates (GST/VAT) per product or category, tax-inclusive or tax-exclusive prices,
+-- and the tax of every order line
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. TAX RATES
+-- rate is the total percentage; components split it into the taxes shown on invoices and
+-- in reports, e.g. GST 18% = [{ "name": "CGST", "rate": 9 }, { "name": "SGST", "rate": 9 }].
+-- Without components the whole rate is a single tax with the rate's name.
+-- The default rate applies to products that have no rate of their own or from their category.
+CREATE TABLE tax_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  rate DECIMAL(6,3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  components JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(components) = 'array'),
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_tax_rates_name ON tax_rates(retailer_id, lower(name));
+
+-- At most one default rate per store
+CREATE UNIQUE INDEX idx_tax_rates_default ON tax_rates(retailer_id) WHERE is_default;
+
+CREATE TRIGGER update_tax_rates_updated_at
+    BEFORE UPDATE ON tax_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Saving a rate as the default unsets the previous one in the same statement. It runs before the
+-- row is written, so idx_tax_rates_default never sees two defaults, and a failed insert or update
+-- leaves the old default in place.
+CREATE OR REPLACE FUNCTION swap_default_tax_rate()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE tax_rates
+     SET is_default = false
+   WHERE retailer_id = NEW.retailer_id
+     AND is_default
+     AND id <> NEW.id;
+
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER swap_default_tax_rate
+    BEFORE INSERT OR UPDATE OF is_default ON tax_rates
+    FOR EACH ROW
+    WHEN (NEW.is_default)
+    EXECUTE FUNCTION swap_default_tax_rate();
+
+-- 2. RATES ON PRODUCTS AND CATEGORIES
+-- A product uses its own rate, else the nearest rate up its category tree, else the store default.
+-- Deleting a rate makes its products and categories fall back the same way.
+ALTER TABLE products
+  ADD COLUMN tax_rate_id UUID REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE categories
+  ADD COLUMN tax_rate_id UUID REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_products_tax_rate_id ON products(tax_rate_id);
+CREATE INDEX idx_categories_tax_rate_id ON categories(tax_rate_id);
+
+-- prices_include_tax: product prices already contain the tax (usual for GST/VAT retail);
+-- otherwise the tax is added on top at checkout
+ALTER TABLE retailers
+  ADD COLUMN prices_include_tax BOOLEAN NOT NULL DEFAULT false;
+
+-- 3. TAX ON ORDERS
+-- Each line is taxed on what is paid for it (line_total - discount_amount):
+--   taxable_amount: that amount without tax
+--   tax_amount:     the line's tax (sum of taxes)
+--   taxes:          the breakdown, [{ "name", "rate", "amount" }]
+-- total_amount includes tax_amount only when prices_include_tax is false.
+-- Delivery fees aren't taxed.
+ALTER TABLE orders
+  ADD COLUMN tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+  ADD COLUMN prices_include_tax BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE order_items
+  ADD COLUMN tax_rate DECIMAL(6,3) NOT NULL DEFAULT 0,
+  ADD COLUMN taxable_amount DECIMAL(10,2),
+  ADD COLUMN tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+  ADD COLUMN taxes JSONB NOT NULL DEFAULT '[]';
+
+-- Orders placed before taxes were configured had no tax
+UPDATE order_items SET taxable_amount = line_total - discount_amount;
+
+ALTER TABLE order_items
+  ALTER COLUMN taxable_amount SET NOT NULL;
+
+-- 4. PLACE ORDER
+-- Same as before, plus the order's tax and each line's tax breakdown
+DROP FUNCTION place_order(UUID, TEXT, TEXT, TEXT, TEXT, DECIMAL, JSONB, TEXT, TEXT, UUID, DECIMAL, DECIMAL, DECIMAL, JSONB);
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_retailer_id UUID,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_customer_phone TEXT,
+  p_notes TEXT,
+  p_total_amount DECIMAL,
+  p_items JSONB,
+  p_source TEXT DEFAULT 'admin',
+  p_tracking_token_hash TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_subtotal_amount DECIMAL DEFAULT NULL,
+  p_discount_amount DECIMAL DEFAULT 0,
+  p_delivery_fee DECIMAL DEFAULT 0,
+  p_discounts JSONB DEFAULT '[]',
+  p_tax_amount DECIMAL DEFAULT 0,
+  p_prices_include_tax BOOLEAN DEFAULT false
+) RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order_id UUID;
+  v_item RECORD;
+  v_discount RECORD;
+  v_code RECORD;
+  v_used INTEGER;
+BEGIN
+  INSERT INTO orders (
+    retailer_id, customer_name, customer_email, customer_phone, total_amount, status, notes,
+    source, tracking_token_hash, subtotal_amount, discount_amount, delivery_fee, discount_code,
+    tax_amount, prices_include_tax
+  )
+  VALUES (
+    p_retailer_id, p_customer_name, p_customer_email, p_customer_phone, p_total_amount, 'pending', p_notes,
+    p_source, p_tracking_token_hash, COALESCE(p_subtotal_amount, p_total_amount), p_discount_amount, p_delivery_fee,
+    (SELECT x.code FROM jsonb_to_recordset(p_discounts) AS x(code TEXT) WHERE x.code IS NOT NULL LIMIT 1),
+    p_tax_amount, p_prices_include_tax
+  )
+  RETURNING id INTO v_order_id;
+
+  FOR v_discount IN
+    SELECT *
+    FROM jsonb_to_recordset(p_discounts) AS x(
+      discount_code_id UUID, promotion_id UUID, code TEXT, name TEXT, type TEXT, amount DECIMAL
+    )
+  LOOP
+    IF v_discount.discount_code_id IS NOT NULL THEN
+      SELECT * INTO v_code
+      FROM discount_codes
+      WHERE id = v_discount.discount_code_id AND retailer_id = p_retailer_id
+      FOR UPDATE;
+
+      IF NOT FOUND OR NOT v_code.is_active
+         OR (v_code.starts_at IS NOT NULL AND v_code.starts_at > NOW())
+         OR (v_code.ends_at IS NOT NULL AND v_code.ends_at <= NOW()) THEN
+        RAISE EXCEPTION 'Discount code % is no longer valid', v_discount.code USING ERRCODE = 'PT409';
+      END IF;
+
+      IF v_code.usage_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used
+        FROM order_discounts od
+        JOIN orders o ON o.id = od.order_id
+        WHERE od.discount_code_id = v_code.id
+          AND o.status <> 'cancelled';
+
+        IF v_used >= v_code.usage_limit THEN
+          RAISE EXCEPTION 'Discount code % has reached its usage limit', v_discount.code USING ERRCODE = 'PT409';
+        END IF;
+      END IF;
+
+      IF v_code.usage_limit_per_customer IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used
+        FROM order_discounts od
+        JOIN orders o ON o.id = od.order_id
+        WHERE od.discount_code_id = v_code.id
+          AND o.status <> 'cancelled'
+          AND ((p_customer_email IS NOT NULL AND lower(o.customer_email) = lower(p_customer_email))
+            OR (p_customer_phone IS NOT NULL AND o.customer_phone = p_customer_phone));
+
+        IF v_used >= v_code.usage_limit_per_customer THEN
+          RAISE EXCEPTION 'You have already used discount code %', v_discount.code USING ERRCODE = 'PT409';
+        END IF;
+      END IF;
+    END IF;
+
+    INSERT INTO order_discounts (order_id, retailer_id, discount_code_id, promotion_id, code, name, type, amount)
+    VALUES (
+      v_order_id, p_retailer_id, v_discount.discount_code_id, v_discount.promotion_id,
+      v_discount.code, v_discount.name, v_discount.type, v_discount.amount
+    );
+  END LOOP;
+
+  PERFORM set_stock_context('sale', v_order_id, p_created_by);
+
+  FOR v_item IN
+    SELECT *
+    FROM jsonb_to_recordset(p_items) AS x(
+      product_id UUID, variant_id UUID, product_name TEXT, variant_label TEXT,
+      quantity INTEGER, unit_price DECIMAL, line_total DECIMAL, discount_amount DECIMAL,
+      tax_rate DECIMAL, taxable_amount DECIMAL, tax_amount DECIMAL, taxes JSONB
+    )
+    ORDER BY product_id, variant_id
+  LOOP
+    IF v_item.variant_id IS NOT NULL THEN
+      UPDATE product_variants v
+         SET stock = v.stock - v_item.quantity
+        FROM products p
+       WHERE v.id = v_item.variant_id
+         AND v.product_id = v_item.product_id
+         AND v.is_active = true
+         AND v.stock >= v_item.quantity
+         AND p.id = v.product_id
+         AND p.retailer_id = p_retailer_id
+         AND p.is_active = true;
+    ELSE
+      UPDATE products
+         SET stock = stock - v_item.quantity
+       WHERE id = v_item.product_id
+         AND retailer_id = p_retailer_id
+         AND is_active = true
+         AND stock >= v_item.quantity;
+    END IF;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for %', CONCAT_WS(' - ', v_item.product_name, v_item.variant_label)
+        USING ERRCODE = 'PT409';
+    END IF;
+
+    INSERT INTO order_items (
+      order_id, product_id, variant_id, product_name, variant_label, quantity, unit_price, line_total, discount_amount,
+      tax_rate, taxable_amount, tax_amount, taxes
+    )
+    VALUES (
+      v_order_id, v_item.product_id, v_item.variant_id, v_item.product_name, v_item.variant_label,
+      v_item.quantity, v_item.unit_price, v_item.line_total, COALESCE(v_item.discount_amount, 0),
+      COALESCE(v_item.tax_rate, 0),
+      COALESCE(v_item.taxable_amount, v_item.line_total - COALESCE(v_item.discount_amount, 0)),
+      COALESCE(v_item.tax_amount, 0),
+      COALESCE(v_item.taxes, '[]')
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$;
+
+-- 5. TAX SUMMARY
+-- Tax collected on orders created in [p_from, p_to), cancelled orders excluded, for filing returns:
+-- {
+--   "orders": 120,
+--   "taxable_amount": 10000.00,
+--   "tax_amount": 1800.00,
+--   "rates": [{ "rate", "taxable_amount", "tax_amount", "taxes": [{ "name", "rate", "amount" }] }],
+--   "taxes": [{ "name", "rate", "amount" }]
+-- }
+-- Amounts are sums of the amounts stored on each line, so they match the orders exactly.
+CREATE OR REPLACE FUNCTION tax_summary(
+  p_retailer_id UUID,
+  p_from TIMESTAMP WITH TIME ZONE,
+  p_to TIMESTAMP WITH TIME ZONE
+) RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  WITH lines AS (
+    SELECT oi.order_id, oi.tax_rate, oi.taxable_amount, oi.tax_amount, oi.taxes
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.retailer_id = p_retailer_id
+      AND o.status <> 'cancelled'
+      AND o.created_at >= p_from
+      AND o.created_at < p_to
+  ),
+  components AS (
+    SELECT l.tax_rate,
+           t->>'name' AS name,
+           (t->>'rate')::NUMERIC AS rate,
+           SUM((t->>'amount')::NUMERIC) AS amount
+    FROM lines l
+    CROSS JOIN LATERAL jsonb_array_elements(l.taxes) AS t
+    GROUP BY l.tax_rate, t->>'name', (t->>'rate')::NUMERIC
+  ),
+  rates AS (
+    SELECT tax_rate, SUM(taxable_amount) AS taxable_amount, SUM(tax_amount) AS tax_amount
+    FROM lines
+    GROUP BY tax_rate
+  )
+  SELECT jsonb_build_object(
+    'orders', (SELECT COUNT(DISTINCT order_id) FROM lines),
+    'taxable_amount', COALESCE((SELECT SUM(taxable_amount) FROM lines), 0),
+    'tax_amount', COALESCE((SELECT SUM(tax_amount) FROM lines), 0),
+    'rates', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'rate', r.tax_rate,
+               'taxable_amount', r.taxable_amount,
+               'tax_amount', r.tax_amount,
+               'taxes', COALESCE((
+                 SELECT jsonb_agg(jsonb_build_object('name', c.name, 'rate', c.rate, 'amount', c.amount)
+                                  ORDER BY c.name)
+                 FROM components c
+                 WHERE c.tax_rate = r.tax_rate
+               ), '[]'::jsonb)
+             ) ORDER BY r.tax_rate)
+      FROM rates r
+    ), '[]'::jsonb),
+    'taxes', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('name', name, 'rate', rate, 'amount', amount) ORDER BY name, rate)
+      FROM (
+        SELECT name, rate, SUM(amount) AS amount
+        FROM components
+        GROUP BY name, rate
+      ) by_tax
+    ), '[]'::jsonb)
+  );
+$$;
+
+-- 6. ROW LEVEL SECURITY
+ALTER TABLE tax_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can manage own tax rates" ON tax_rates
+    FOR ALL USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
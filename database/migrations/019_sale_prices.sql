@@ -0,0 +1,262 @@
+-- 019_sale_prices.sql
+-- Scheduled sale prices on products and variants, compare-at prices and a price history
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. SALE AND COMPARE-AT PRICES
+-- sale_price replaces price from sale_starts_at until sale_ends_at (either may be open-ended),
+-- so a sale ends by itself. compare_at_price is an optional "was" price shown struck through.
+ALTER TABLE products
+  ADD COLUMN sale_price DECIMAL(10,2) CHECK (sale_price >= 0),
+  ADD COLUMN sale_starts_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN sale_ends_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN compare_at_price DECIMAL(10,2) CHECK (compare_at_price >= 0),
+  ADD CONSTRAINT products_sale_window CHECK (sale_ends_at IS NULL OR sale_starts_at IS NULL OR sale_ends_at > sale_starts_at);
+
+ALTER TABLE product_variants
+  ADD COLUMN sale_price DECIMAL(10,2) CHECK (sale_price >= 0),
+  ADD COLUMN sale_starts_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN sale_ends_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN compare_at_price DECIMAL(10,2) CHECK (compare_at_price >= 0),
+  ADD CONSTRAINT product_variants_sale_window CHECK (sale_ends_at IS NULL OR sale_starts_at IS NULL OR sale_ends_at > sale_starts_at);
+
+-- The price charged at a moment: the sale price inside its window, otherwise the regular price
+CREATE OR REPLACE FUNCTION effective_price(
+  p_price DECIMAL,
+  p_sale_price DECIMAL,
+  p_sale_starts_at TIMESTAMP WITH TIME ZONE,
+  p_sale_ends_at TIMESTAMP WITH TIME ZONE,
+  p_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+) RETURNS DECIMAL
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN p_sale_price IS NOT NULL
+     AND (p_sale_starts_at IS NULL OR p_sale_starts_at <= p_at)
+     AND (p_sale_ends_at IS NULL OR p_sale_ends_at > p_at)
+    THEN p_sale_price
+    ELSE p_price
+  END;
+$$;
+
+-- 2. PRICE HISTORY
+-- Append-only: one row per change of a product's (variant_id NULL) or variant's prices, holding
+-- the prices from created_at until the next row. Scheduled sales don't add rows when they start
+-- or end: the sale window is part of the row, so the price at any moment can be worked out.
+CREATE TABLE price_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  price DECIMAL(10,2) NOT NULL,
+  sale_price DECIMAL(10,2),
+  sale_starts_at TIMESTAMP WITH TIME ZONE,
+  sale_ends_at TIMESTAMP WITH TIME ZONE,
+  compare_at_price DECIMAL(10,2),
+  changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_price_history_product ON price_history(product_id, variant_id, created_at DESC);
+
+-- Starting point: the current prices, from when each product or variant was created
+INSERT INTO price_history (retailer_id, product_id, price, created_at)
+SELECT retailer_id, id, price, created_at
+FROM products;
+
+INSERT INTO price_history (retailer_id, product_id, variant_id, price, created_at)
+SELECT retailer_id, product_id, id, price, created_at
+FROM product_variants;
+
+CREATE OR REPLACE FUNCTION record_price_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+       AND NEW.price IS NOT DISTINCT FROM OLD.price
+       AND NEW.sale_price IS NOT DISTINCT FROM OLD.sale_price
+       AND NEW.sale_starts_at IS NOT DISTINCT FROM OLD.sale_starts_at
+       AND NEW.sale_ends_at IS NOT DISTINCT FROM OLD.sale_ends_at
+       AND NEW.compare_at_price IS NOT DISTINCT FROM OLD.compare_at_price THEN
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO price_history (
+      retailer_id, product_id, variant_id, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, changed_by
+    )
+    VALUES (
+      NEW.retailer_id,
+      CASE WHEN TG_TABLE_NAME = 'product_variants' THEN NEW.product_id ELSE NEW.id END,
+      CASE WHEN TG_TABLE_NAME = 'product_variants' THEN NEW.id END,
+      NEW.price, NEW.sale_price, NEW.sale_starts_at, NEW.sale_ends_at, NEW.compare_at_price,
+      auth.uid()
+    );
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_products_price_change
+    AFTER INSERT OR UPDATE OF price, sale_price, sale_starts_at, sale_ends_at, compare_at_price ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION record_price_change();
+
+CREATE TRIGGER record_product_variants_price_change
+    AFTER INSERT OR UPDATE OF price, sale_price, sale_starts_at, sale_ends_at, compare_at_price ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION record_price_change();
+
+-- 3. SEARCH BY THE PRICE CHARGED NOW
+-- Same as before, except that price filters, price facets and the price sort use the
+-- effective price (sale prices included)
+CREATE OR REPLACE FUNCTION search_products(
+  p_retailer_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_category_ids UUID[] DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_in_stock BOOLEAN DEFAULT false,
+  p_is_active BOOLEAN DEFAULT NULL,
+  p_sort TEXT DEFAULT NULL,
+  p_ascending BOOLEAN DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL,
+  p_offset INTEGER DEFAULT 0,
+  p_price_bands NUMERIC[] DEFAULT ARRAY[100, 250, 500, 1000, 2500, 5000]::NUMERIC[]
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_query TEXT := NULLIF(trim(p_query), '');
+  v_tsquery TSQUERY;
+  v_sort TEXT := COALESCE(p_sort, CASE WHEN NULLIF(trim(p_query), '') IS NOT NULL THEN 'relevance' ELSE 'newest' END);
+  v_ascending BOOLEAN;
+  v_result JSONB;
+BEGIN
+  IF v_sort NOT IN ('relevance', 'newest', 'price', 'name', 'best_selling') THEN
+    RAISE EXCEPTION 'Invalid sort: %', v_sort USING ERRCODE = 'PT400';
+  END IF;
+
+  -- Price and name read naturally low-to-high / A-Z, the others best-first
+  v_ascending := COALESCE(p_ascending, v_sort IN ('price', 'name'));
+
+  -- Every word as a prefix, so partial words match ("choc milk" → choc:* & milk:*)
+  IF v_query IS NOT NULL THEN
+    SELECT to_tsquery('simple', string_agg(word || ':*', ' & '))
+      INTO v_tsquery
+    FROM regexp_split_to_table(lower(v_query), '[^[:alnum:]]+') AS word
+    WHERE word <> '';
+
+    PERFORM set_config('pg_trgm.word_similarity_threshold', '0.4', true);
+  END IF;
+
+  WITH sales AS (
+    SELECT oi.product_id, SUM(oi.quantity) AS units_sold
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE v_sort = 'best_selling'
+      AND o.retailer_id = p_retailer_id
+      AND o.status <> 'cancelled'
+    GROUP BY oi.product_id
+  ),
+  matches AS (
+    SELECT p.id,
+           p.name,
+           p.created_at,
+           p.category_id,
+           c.name AS category_name,
+           COALESCE(
+             (SELECT MIN(effective_price(v.price, v.sale_price, v.sale_starts_at, v.sale_ends_at))
+              FROM product_variants v WHERE v.product_id = p.id AND v.is_active),
+             effective_price(p.price, p.sale_price, p.sale_starts_at, p.sale_ends_at)
+           ) AS price,
+           CASE WHEN v_query IS NULL THEN 0
+                ELSE COALESCE(ts_rank(p.search_vector, v_tsquery), 0) + word_similarity(v_query, p.name)
+           END AS relevance,
+           COALESCE(s.units_sold, 0) AS units_sold
+    FROM products p
+    LEFT JOIN categories c ON c.id = p.category_id
+    LEFT JOIN sales s ON s.product_id = p.id
+    WHERE p.retailer_id = p_retailer_id
+      AND (p_is_active IS NULL OR p.is_active = p_is_active)
+      AND (NOT COALESCE(p_in_stock, false) OR p.stock > 0)
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (v_query IS NULL
+           OR (v_tsquery IS NOT NULL AND p.search_vector @@ v_tsquery)
+           OR v_query <% p.name)
+  ),
+  in_category AS (
+    SELECT * FROM matches
+    WHERE p_category_ids IS NULL OR category_id = ANY(p_category_ids)
+  ),
+  in_price AS (
+    SELECT * FROM matches
+    WHERE (p_min_price IS NULL OR price >= p_min_price)
+      AND (p_max_price IS NULL OR price <= p_max_price)
+  ),
+  filtered AS (
+    SELECT * FROM in_category
+    WHERE (p_min_price IS NULL OR price >= p_min_price)
+      AND (p_max_price IS NULL OR price <= p_max_price)
+  ),
+  page AS (
+    SELECT id
+    FROM filtered
+    ORDER BY
+      CASE WHEN v_sort = 'relevance' AND v_ascending THEN relevance END ASC,
+      CASE WHEN v_sort = 'relevance' AND NOT v_ascending THEN relevance END DESC,
+      CASE WHEN v_sort = 'price' AND v_ascending THEN price END ASC,
+      CASE WHEN v_sort = 'price' AND NOT v_ascending THEN price END DESC,
+      CASE WHEN v_sort = 'name' AND v_ascending THEN lower(name) END ASC,
+      CASE WHEN v_sort = 'name' AND NOT v_ascending THEN lower(name) END DESC,
+      CASE WHEN v_sort = 'best_selling' AND v_ascending THEN units_sold END ASC,
+      CASE WHEN v_sort = 'best_selling' AND NOT v_ascending THEN units_sold END DESC,
+      CASE WHEN v_sort = 'newest' AND v_ascending THEN created_at END ASC,
+      created_at DESC,
+      id
+    LIMIT p_limit
+    OFFSET COALESCE(p_offset, 0)
+  )
+  SELECT jsonb_build_object(
+    'product_ids', COALESCE((SELECT jsonb_agg(id) FROM page), '[]'::jsonb),
+    'total', (SELECT COUNT(*) FROM filtered),
+    'facets', jsonb_build_object(
+      'categories', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('category_id', category_id, 'name', category_name, 'count', count)
+                         ORDER BY count DESC, category_name)
+        FROM (
+          SELECT category_id, category_name, COUNT(*) AS count
+          FROM in_price
+          GROUP BY category_id, category_name
+        ) category_counts
+      ), '[]'::jsonb),
+      'price_bands', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+                 'min', CASE WHEN band = 0 THEN 0 ELSE p_price_bands[band] END,
+                 'max', p_price_bands[band + 1],
+                 'count', count
+               ) ORDER BY band)
+        FROM (
+          SELECT width_bucket(price, p_price_bands) AS band, COUNT(*) AS count
+          FROM in_category
+          GROUP BY band
+        ) band_counts
+      ), '[]'::jsonb)
+    )
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$;
+
+-- 4. ROW LEVEL SECURITY
+ALTER TABLE price_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can view own price history" ON price_history
+    FOR SELECT USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Retailers can record own price history" ON price_history
+    FOR INSERT WITH CHECK (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,144 @@
+-- 020_product_codes.sql
+-- SKUs and EAN/UPC barcodes on products, barcodes on variants, kept unique across each store's catalogue
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. PRODUCT AND VARIANT CODES
+-- barcode holds an EAN-8, UPC-A or EAN-13 (the API checks the check digit). Products without a
+-- manufacturer barcode get an in-store EAN-13 starting with 20 when labels are printed for them.
+ALTER TABLE products
+  ADD COLUMN sku VARCHAR(100),
+  ADD COLUMN barcode VARCHAR(13) CHECK (barcode ~ '^([0-9]{8}|[0-9]{12,13})$'),
+  ADD CONSTRAINT products_retailer_sku_key UNIQUE (retailer_id, sku),
+  ADD CONSTRAINT products_retailer_barcode_key UNIQUE (retailer_id, barcode);
+
+ALTER TABLE product_variants
+  ADD COLUMN barcode VARCHAR(13) CHECK (barcode ~ '^([0-9]{8}|[0-9]{12,13})$'),
+  ADD CONSTRAINT product_variants_retailer_barcode_key UNIQUE (retailer_id, barcode);
+
+-- 2. ONE ITEM PER CODE
+-- A scan must resolve to a single product or variant, so a code can't be another item's SKU or
+-- barcode either (the unique constraints above only cover the same column of the same table)
+CREATE OR REPLACE FUNCTION product_code_in_use(
+  p_retailer_id UUID,
+  p_code TEXT,
+  p_product_id UUID,
+  p_variant_id UUID
+) RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM products
+     WHERE retailer_id = p_retailer_id
+       AND (sku = p_code OR barcode = p_code)
+       AND (p_variant_id IS NOT NULL OR id <> p_product_id)
+  ) OR EXISTS (
+    SELECT 1 FROM product_variants
+     WHERE retailer_id = p_retailer_id
+       AND (sku = p_code OR barcode = p_code)
+       AND (p_variant_id IS NULL OR id <> p_variant_id)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION check_product_codes()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_product_id UUID;
+  v_variant_id UUID;
+BEGIN
+  IF TG_TABLE_NAME = 'product_variants' THEN
+    v_product_id := NEW.product_id;
+    v_variant_id := NEW.id;
+  ELSE
+    v_product_id := NEW.id;
+  END IF;
+
+  IF NEW.sku IS NOT NULL AND NEW.sku = NEW.barcode THEN
+    RAISE EXCEPTION 'The SKU and barcode must differ' USING ERRCODE = 'PT400';
+  END IF;
+
+  IF NEW.sku IS NOT NULL AND product_code_in_use(NEW.retailer_id, NEW.sku, v_product_id, v_variant_id) THEN
+    RAISE EXCEPTION 'SKU % is already used by another product in this store', NEW.sku
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  IF NEW.barcode IS NOT NULL AND product_code_in_use(NEW.retailer_id, NEW.barcode, v_product_id, v_variant_id) THEN
+    RAISE EXCEPTION 'Barcode % is already used by another product in this store', NEW.barcode
+      USING ERRCODE = 'PT409';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER check_product_codes
+    BEFORE INSERT OR UPDATE OF sku, barcode ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION check_product_codes();
+
+CREATE TRIGGER check_product_variant_codes
+    BEFORE INSERT OR UPDATE OF sku, barcode ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION check_product_codes();
+
+-- 3. IMPORT WITH CODES
+-- Same as in 012, plus the sku and barcode columns
+CREATE OR REPLACE FUNCTION import_products(
+  p_retailer_id UUID,
+  p_rows JSONB,
+  p_imported_by UUID DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row JSONB;
+  v_created INTEGER := 0;
+  v_updated INTEGER := 0;
+BEGIN
+  PERFORM set_stock_context('manual_adjustment', NULL, p_imported_by, 'Product import');
+
+  FOR v_row IN SELECT * FROM jsonb_array_elements(p_rows)
+  LOOP
+    IF v_row ? 'id' THEN
+      UPDATE products
+         SET name = COALESCE(v_row->>'name', name),
+             description = COALESCE(v_row->>'description', description),
+             price = COALESCE((v_row->>'price')::DECIMAL, price),
+             stock = COALESCE((v_row->>'stock')::INTEGER, stock),
+             category = COALESCE(v_row->>'category', category),
+             image_url = COALESCE(v_row->>'image_url', image_url),
+             is_active = COALESCE((v_row->>'is_active')::BOOLEAN, is_active),
+             sku = COALESCE(v_row->>'sku', sku),
+             barcode = COALESCE(v_row->>'barcode', barcode)
+       WHERE id = (v_row->>'id')::UUID
+         AND retailer_id = p_retailer_id;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Product % was deleted during the import. Please run it again.', v_row->>'name'
+          USING ERRCODE = 'PT409';
+      END IF;
+
+      v_updated := v_updated + 1;
+    ELSE
+      INSERT INTO products (retailer_id, name, description, price, stock, category, image_url, is_active, sku, barcode)
+      VALUES (
+        p_retailer_id,
+        v_row->>'name',
+        v_row->>'description',
+        (v_row->>'price')::DECIMAL,
+        COALESCE((v_row->>'stock')::INTEGER, 0),
+        v_row->>'category',
+        v_row->>'image_url',
+        COALESCE((v_row->>'is_active')::BOOLEAN, true),
+        v_row->>'sku',
+        v_row->>'barcode'
+      );
+
+      v_created := v_created + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('created', v_created, 'updated', v_updated);
+END;
+$$;
@@ -0,0 +1,160 @@
+-- 021_product_archiving.sql
+-- Archived products: discontinued items kept for order history, out of the catalogue and the storefront
+
+-- 1. ARCHIVED STATE
+-- archived_at is set when a product is archived. Archived products are also inactive, so every
+-- place that only sells active products (orders, checkout, storefront, stock alerts) leaves them
+-- out; restoring clears archived_at and leaves the product inactive until it is switched back on.
+ALTER TABLE products
+  ADD COLUMN archived_at TIMESTAMP WITH TIME ZONE,
+  ADD CONSTRAINT products_archived_inactive CHECK (archived_at IS NULL OR NOT is_active);
+
+CREATE INDEX idx_products_retailer_archived ON products(retailer_id, archived_at DESC)
+  WHERE archived_at IS NOT NULL;
+
+-- 2. SEARCH WITHOUT ARCHIVED PRODUCTS
+-- Same as in 019, plus p_archived: false (the default) leaves archived products out, true returns
+-- only archived ones and NULL returns both
+DROP FUNCTION search_products(UUID, TEXT, UUID[], TEXT, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT, BOOLEAN, INTEGER, INTEGER, NUMERIC[]);
+
+CREATE OR REPLACE FUNCTION search_products(
+  p_retailer_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_category_ids UUID[] DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_in_stock BOOLEAN DEFAULT false,
+  p_is_active BOOLEAN DEFAULT NULL,
+  p_archived BOOLEAN DEFAULT false,
+  p_sort TEXT DEFAULT NULL,
+  p_ascending BOOLEAN DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL,
+  p_offset INTEGER DEFAULT 0,
+  p_price_bands NUMERIC[] DEFAULT ARRAY[100, 250, 500, 1000, 2500, 5000]::NUMERIC[]
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_query TEXT := NULLIF(trim(p_query), '');
+  v_tsquery TSQUERY;
+  v_sort TEXT := COALESCE(p_sort, CASE WHEN NULLIF(trim(p_query), '') IS NOT NULL THEN 'relevance' ELSE 'newest' END);
+  v_ascending BOOLEAN;
+  v_result JSONB;
+BEGIN
+  IF v_sort NOT IN ('relevance', 'newest', 'price', 'name', 'best_selling') THEN
+    RAISE EXCEPTION 'Invalid sort: %', v_sort USING ERRCODE = 'PT400';
+  END IF;
+
+  -- Price and name read naturally low-to-high / A-Z, the others best-first
+  v_ascending := COALESCE(p_ascending, v_sort IN ('price', 'name'));
+
+  -- Every word as a prefix, so partial words match ("choc milk" → choc:* & milk:*)
+  IF v_query IS NOT NULL THEN
+    SELECT to_tsquery('simple', string_agg(word || ':*', ' & '))
+      INTO v_tsquery
+    FROM regexp_split_to_table(lower(v_query), '[^[:alnum:]]+') AS word
+    WHERE word <> '';
+
+    PERFORM set_config('pg_trgm.word_similarity_threshold', '0.4', true);
+  END IF;
+
+  WITH sales AS (
+    SELECT oi.product_id, SUM(oi.quantity) AS units_sold
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE v_sort = 'best_selling'
+      AND o.retailer_id = p_retailer_id
+      AND o.status <> 'cancelled'
+    GROUP BY oi.product_id
+  ),
+  matches AS (
+    SELECT p.id,
+           p.name,
+           p.created_at,
+           p.category_id,
+           c.name AS category_name,
+           COALESCE(
+             (SELECT MIN(effective_price(v.price, v.sale_price, v.sale_starts_at, v.sale_ends_at))
+              FROM product_variants v WHERE v.product_id = p.id AND v.is_active),
+             effective_price(p.price, p.sale_price, p.sale_starts_at, p.sale_ends_at)
+           ) AS price,
+           CASE WHEN v_query IS NULL THEN 0
+                ELSE COALESCE(ts_rank(p.search_vector, v_tsquery), 0) + word_similarity(v_query, p.name)
+           END AS relevance,
+           COALESCE(s.units_sold, 0) AS units_sold
+    FROM products p
+    LEFT JOIN categories c ON c.id = p.category_id
+    LEFT JOIN sales s ON s.product_id = p.id
+    WHERE p.retailer_id = p_retailer_id
+      AND (p_is_active IS NULL OR p.is_active = p_is_active)
+      AND (p_archived IS NULL OR (p.archived_at IS NOT NULL) = p_archived)
+      AND (NOT COALESCE(p_in_stock, false) OR p.stock > 0)
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (v_query IS NULL
+           OR (v_tsquery IS NOT NULL AND p.search_vector @@ v_tsquery)
+           OR v_query <% p.name)
+  ),
+  in_category AS (
+    SELECT * FROM matches
+    WHERE p_category_ids IS NULL OR category_id = ANY(p_category_ids)
+  ),
+  in_price AS (
+    SELECT * FROM matches
+    WHERE (p_min_price IS NULL OR price >= p_min_price)
+      AND (p_max_price IS NULL OR price <= p_max_price)
+  ),
+  filtered AS (
+    SELECT * FROM in_category
+    WHERE (p_min_price IS NULL OR price >= p_min_price)
+      AND (p_max_price IS NULL OR price <= p_max_price)
+  ),
+  page AS (
+    SELECT id
+    FROM filtered
+    ORDER BY
+      CASE WHEN v_sort = 'relevance' AND v_ascending THEN relevance END ASC,
+      CASE WHEN v_sort = 'relevance' AND NOT v_ascending THEN relevance END DESC,
+      CASE WHEN v_sort = 'price' AND v_ascending THEN price END ASC,
+      CASE WHEN v_sort = 'price' AND NOT v_ascending THEN price END DESC,
+      CASE WHEN v_sort = 'name' AND v_ascending THEN lower(name) END ASC,
+      CASE WHEN v_sort = 'name' AND NOT v_ascending THEN lower(name) END DESC,
+      CASE WHEN v_sort = 'best_selling' AND v_ascending THEN units_sold END ASC,
+      CASE WHEN v_sort = 'best_selling' AND NOT v_ascending THEN units_sold END DESC,
+      CASE WHEN v_sort = 'newest' AND v_ascending THEN created_at END ASC,
+      created_at DESC,
+      id
+    LIMIT p_limit
+    OFFSET COALESCE(p_offset, 0)
+  )
+  SELECT jsonb_build_object(
+    'product_ids', COALESCE((SELECT jsonb_agg(id) FROM page), '[]'::jsonb),
+    'total', (SELECT COUNT(*) FROM filtered),
+    'facets', jsonb_build_object(
+      'categories', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('category_id', category_id, 'name', category_name, 'count', count)
+                         ORDER BY count DESC, category_name)
+        FROM (
+          SELECT category_id, category_name, COUNT(*) AS count
+          FROM in_price
+          GROUP BY category_id, category_name
+        ) category_counts
+      ), '[]'::jsonb),
+      'price_bands', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+                 'min', CASE WHEN band = 0 THEN 0 ELSE p_price_bands[band] END,
+                 'max', p_price_bands[band + 1],
+                 'count', count
+               ) ORDER BY band)
+        FROM (
+          SELECT width_bucket(price, p_price_bands) AS band, COUNT(*) AS count
+          FROM in_category
+          GROUP BY band
+        ) band_counts
+      ), '[]'::jsonb)
+    )
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$;
@@ -0,0 +1,61 @@
+-- 022_store_addresses.sql
+-- Store addresses: a unique slug per retailer (with the old ones kept for redirects) and an optional custom domain
+--
+-- Errors are raised with PostgREST "PTxxx" codes so the API answers with status xxx
+
+-- 1. SLUG AND CUSTOM DOMAIN
+-- slug is the store's address, e.g. /api/store/corner-bakery. Reserved words are refused by the API.
+-- custom_domain is a hostname the retailer points at us, e.g. shop.cornerbakery.com
+ALTER TABLE retailers
+  ADD COLUMN slug VARCHAR(63) CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$' AND slug NOT LIKE '%--%'),
+  ADD COLUMN custom_domain VARCHAR(253) CHECK (custom_domain = lower(custom_domain)),
+  ADD CONSTRAINT retailers_slug_key UNIQUE (slug),
+  ADD CONSTRAINT retailers_custom_domain_key UNIQUE (custom_domain);
+
+-- 2. SLUG HISTORY
+-- A store's previous slugs, so addresses printed before a rename still lead to it. They stay
+-- with that store: no other store can claim them, and the store can take one back.
+CREATE TABLE store_slug_history (
+  slug VARCHAR(63) PRIMARY KEY,
+  retailer_id UUID NOT NULL REFERENCES retailers(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_store_slug_history_retailer ON store_slug_history(retailer_id);
+
+CREATE OR REPLACE FUNCTION record_slug_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.slug IS NOT DISTINCT FROM OLD.slug THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.slug IS NOT NULL AND EXISTS (
+    SELECT 1 FROM store_slug_history WHERE slug = NEW.slug AND retailer_id <> NEW.id
+  ) THEN
+    RAISE EXCEPTION 'The store address % is already taken', NEW.slug USING ERRCODE = 'PT409';
+  END IF;
+
+  -- Taking back one of the store's own old slugs
+  DELETE FROM store_slug_history WHERE slug = NEW.slug;
+
+  IF OLD.slug IS NOT NULL THEN
+    INSERT INTO store_slug_history (slug, retailer_id) VALUES (OLD.slug, NEW.id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_slug_change
+    BEFORE UPDATE OF slug ON retailers
+    FOR EACH ROW
+    EXECUTE FUNCTION record_slug_change();
+
+-- 3. ROW LEVEL SECURITY
+ALTER TABLE store_slug_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Retailers can view own slug history" ON store_slug_history
+    FOR SELECT USING (retailer_id IN (
+        SELECT id FROM retailers WHERE user_id = auth.uid()
+    ));
@@ -0,0 +1,5 @@
+-- 023_show_sold_out.sql
+-- Store setting: list out-of-stock products as "sold out" in the public store instead of hiding them
+
+ALTER TABLE retailers
+  ADD COLUMN show_sold_out BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,86 @@
+// middleware/abuseProtection.js
+// Abuse protection for public (unauthenticated) endpoints: rate limiting, honeypot and captcha
+
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Per-IP rate limit for public checkout
+ * Defaults to 10 checkout attempts per IP every 15 minutes
+ */
+const checkoutRateLimit = rateLimit({
+  windowMs: parseInt(process.env.CHECKOUT_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  limit: parseInt(process.env.CHECKOUT_RATE_LIMIT_MAX) || 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many checkout attempts. Please try again later.'
+  }
+});
+
+/**
+ * Honeypot check
+ * Storefront forms include a hidden "website" field that people never fill in but bots do
+ */
+const rejectHoneypot = (req, res, next) => {
+  if (req.body && req.body.website) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unable to process this request'
+    });
+  }
+  next();
+};
+
+/**
+ * Captcha hook
+ * Disabled unless CAPTCHA_SECRET is set. Verifies body.captcha_token against a
+ * siteverify endpoint (Cloudflare Turnstile by default; hCaptcha and reCAPTCHA use the same contract)
+ */
+const verifyCaptcha = async (req, res, next) => {
+  const secret = process.env.CAPTCHA_SECRET;
+
+  if (!secret) {
+    return next();
+  }
+
+  const token = req.body && req.body.captcha_token;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Captcha verification is required'
+    });
+  }
+
+  try {
+    const verifyUrl = process.env.CAPTCHA_VERIFY_URL || 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+    const response = await fetch(verifyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ secret, response: token, remoteip: req.ip })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Captcha verification failed'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Captcha verification error:', error);
+    return res.status(503).json({
+      success: false,
+      message: 'Captcha verification is temporarily unavailable'
+    });
+  }
+};
+
+module.exports = {
+  checkoutRateLimit,
+  rejectHoneypot,
+  verifyCaptcha
+};
@@ -33,8 +33,14 @@ const errorHandler = (err, req, res, next) => {
         error.message = 'Required field is missing';
         break;
       default:
-        error.statusCode = 400;
-        error.message = 'Database operation failed';
+        // Errors raised by our database functions with a PTxxx code carry their HTTP status
+        if (/^PT\d{3}$/.test(err.code)) {
+          error.statusCode = parseInt(err.code.slice(2));
+          error.message = err.message;
+        } else {
+          error.statusCode = 400;
+          error.message = 'Database operation failed';
+        }
     }
   }
 
@@ -45,6 +51,12 @@ const errorHandler = (err, req, res, next) => {
     error.errors = err.errors;
   }
 
+  // File upload errors (from multer), e.g. a file over the size limit
+  if (err.name === 'MulterError') {
+    error.statusCode = 400;
+    error.message = err.message;
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     error.statusCode = 401;
@@ -77,6 +89,16 @@ const notFound = (req, res) => {
   });
 };
 
+/**
+ * Create an error carrying an HTTP status code
+ * Picked up by errorHandler through err.statusCode
+ */
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * Async error wrapper
  * Wraps async route handlers to catch errors automatically
@@ -88,5 +110,6 @@ const asyncHandler = (fn) => (req, res, next) => {
 module.exports = {
   errorHandler,
   notFound,
-  asyncHandler
+  asyncHandler,
+  createError
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+// middleware/idempotency.js
+// Idempotency-Key support: a retried request replays the stored response instead of running again
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+
+// How long a key (and its stored response) is kept, in hours
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+/**
+ * JSON.stringify with sorted object keys, so the same body always hashes the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint of the request a key was first used with: method, path and body
+ */
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Keys are scoped to the authenticated retailer, or to the store for public routes
+ */
+const getScope = (req) => (req.retailer ? `retailer:${req.retailer.id}` : `store:${req.params.retailerId}`);
+
+/**
+ * Idempotency middleware
+ * Requests without an Idempotency-Key header pass straight through. Otherwise:
+ * - first use of a key: the request runs and its response is stored
+ * - same key, same request: the stored response is replayed (Idempotent-Replayed: true)
+ * - same key, different request: 422
+ * - same key while the first request is still running: 409
+ * Server errors (5xx) are not stored, so the client can retry with the same key.
+ * Must run after authentication.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be between 1 and 255 characters'
+    });
+  }
+
+  try {
+    const scope = getScope(req);
+    const requestHash = hashRequest(req);
+
+    // Forget an expired use of this key so it can start over
+    await supabaseAdmin
+      .from('idempotency_keys')
+      .delete()
+      .eq('scope', scope)
+      .eq('idempotency_key', key)
+      .lt('expires_at', new Date().toISOString());
+
+    // Claim the key; the unique constraint makes concurrent claims fail
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('idempotency_keys')
+      .insert([{
+        scope,
+        idempotency_key: key,
+        request_hash: requestHash,
+        status: 'processing',
+        expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      }])
+      .select('id')
+      .single();
+
+    if (claimError) {
+      if (claimError.code !== '23505') {
+        throw claimError;
+      }
+
+      const { data: existing, error: fetchError } = await supabaseAdmin
+        .from('idempotency_keys')
+        .select('request_hash, status, response_status, response_body')
+        .eq('scope', scope)
+        .eq('idempotency_key', key)
+        .single();
+
+      if (fetchError) {
+        throw fetchError;
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the response so it can be stored once it has been sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        if (res.statusCode >= 500 || responseBody === undefined) {
+          await supabaseAdmin.from('idempotency_keys').delete().eq('id', claimed.id);
+          return;
+        }
+
+        await supabaseAdmin
+          .from('idempotency_keys')
+          .update({
+            status: 'completed',
+            response_status: res.statusCode,
+            response_body: responseBody
+          })
+          .eq('id', claimed.id);
+      } catch (error) {
+        console.error('Failed to store idempotent response:', error);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,89 @@
+// middleware/storeResolver.js
+// Finds the store a public request is for - by its slug, or by the custom domain it was sent to
+//
+// The store's id is put in req.params.retailerId, so the storefront controllers (and the idempotency
+// scope) work the same as on /retailer/store/:retailerId.
+
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('./errorHandler');
+const { requestHostname } = require('../utils/storeAddress');
+
+const storeNotFound = (res, message = 'Store not found or not available') =>
+  res.status(404).json({ success: false, message });
+
+/**
+ * Resolve :slug to its store
+ * A slug the store used before a rename redirects to the same path under its current slug:
+ * 301 for reads, 308 otherwise so clients repeat the request with the same method and body.
+ */
+const resolveStoreSlug = asyncHandler(async (req, res, next) => {
+  const slug = String(req.params.slug).toLowerCase();
+
+  const { data: retailer, error } = await supabase
+    .from('retailers')
+    .select('id')
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (retailer) {
+    req.params.retailerId = retailer.id;
+    return next();
+  }
+
+  const { data: previous, error: historyError } = await supabase
+    .from('store_slug_history')
+    .select('retailers ( slug )')
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (historyError) {
+    throw historyError;
+  }
+
+  const currentSlug = previous && previous.retailers && previous.retailers.slug;
+
+  if (!currentSlug) {
+    return storeNotFound(res);
+  }
+
+  // req.url is relative to the router: /<old slug>/rest?query
+  const location = req.baseUrl + req.url.replace(/^\/[^/?]+/, `/${currentSlug}`);
+  res.redirect(['GET', 'HEAD'].includes(req.method) ? 301 : 308, location);
+});
+
+/**
+ * Resolve the store whose custom domain the request was sent to (the Host header)
+ */
+const resolveStoreHost = asyncHandler(async (req, res, next) => {
+  const hostname = requestHostname(req);
+
+  if (!hostname) {
+    return storeNotFound(res, 'No store is set up for this domain');
+  }
+
+  const { data: retailer, error } = await supabase
+    .from('retailers')
+    .select('id')
+    .eq('custom_domain', hostname)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!retailer) {
+    return storeNotFound(res, 'No store is set up for this domain');
+  }
+
+  req.params.retailerId = retailer.id;
+  next();
+});
+
+module.exports = {
+  resolveStoreSlug,
+  resolveStoreHost
+};
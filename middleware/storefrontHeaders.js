@@ -0,0 +1,21 @@
+// middleware/storefrontHeaders.js
+// Headers of the server-rendered storefront pages
+
+const helmet = require('helmet');
+
+/**
+ * Content Security Policy of storefront pages
+ * helmet's defaults (set for every response in server.js), except that images may come from any
+ * https host - logos, banners and product images are stored and linked by URL. Pages have no scripts;
+ * their inline style sheet and the Google Fonts style sheet are already allowed by style-src.
+ */
+const storefrontCsp = helmet.contentSecurityPolicy({
+  useDefaults: true,
+  directives: {
+    imgSrc: ["'self'", 'data:', 'https:']
+  }
+});
+
+module.exports = {
+  storefrontCsp
+};
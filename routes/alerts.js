@@ -0,0 +1,35 @@
+// routes/alerts.js
+// Stock alert routes - low stock and out of stock alerts feed
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getAlerts,
+  acknowledgeAlert
+} = require('../controllers/alertController');
+
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateAlertFilters,
+  validateUUIDParam
+} = require('../utils/validators');
+
+/**
+ * @route   GET /alerts
+ * @desc    Get stock alerts (raised when stock falls to the reorder threshold or reaches zero)
+ * @access  Private (Retailer only)
+ * @query   status (open | resolved | all), type (low_stock | out_of_stock), acknowledged, page, limit
+ */
+router.get('/', authenticateToken, validateAlertFilters, getAlerts);
+
+/**
+ * @route   PATCH /alerts/:id/acknowledge
+ * @desc    Mark an alert as seen
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.patch('/:id/acknowledge', authenticateToken, validateUUIDParam('id'), acknowledgeAlert);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/categories.js
+// Category routes - nested product categories
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryList,
+  validateUUIDParam
+} = require('../utils/validators');
+
+/**
+ * @route   GET /categories
+ * @desc    Get the retailer's categories, nested or as a flat list, with product counts
+ * @access  Private (Retailer only)
+ * @query   format (tree | flat)
+ */
+router.get('/', authenticateToken, validateCategoryList, getCategories);
+
+/**
+ * @route   POST /categories
+ * @desc    Create a category (top level, or under parent_id)
+ * @access  Private (Retailer only)
+ * @body    { name, parent_id, slug, description, image_url, sort_order, tax_rate_id }
+ */
+router.post('/', authenticateToken, validateCategory, createCategory);
+
+/**
+ * @route   GET /categories/:id
+ * @desc    Get a category with its subcategories
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id', authenticateToken, validateUUIDParam('id'), getCategory);
+
+/**
+ * @route   PUT /categories/:id
+ * @desc    Update, rename, reorder or move a category (a new name is applied to its products)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { name, parent_id, slug, description, image_url, sort_order, tax_rate_id }
+ */
+router.put('/:id', authenticateToken, validateCategoryUpdate, updateCategory);
+
+/**
+ * @route   DELETE /categories/:id
+ * @desc    Delete an empty category (no products, no subcategories)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.delete('/:id', authenticateToken, validateUUIDParam('id'), deleteCategory);
+
+module.exports = router;
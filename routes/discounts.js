@@ -0,0 +1,64 @@
+// routes/discounts.js
+// Discount code routes - coupon codes customers enter at checkout
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getDiscountCodes,
+  getDiscountCode,
+  createDiscountCode,
+  updateDiscountCode,
+  deleteDiscountCode
+} = require('../controllers/discountController');
+
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateDiscountCode,
+  validateDiscountCodeUpdate,
+  validateUUIDParam
+} = require('../utils/validators');
+
+/**
+ * @route   GET /discounts
+ * @desc    Get the retailer's discount codes with times used and total discount given
+ * @access  Private (Retailer only)
+ */
+router.get('/', authenticateToken, getDiscountCodes);
+
+/**
+ * @route   POST /discounts
+ * @desc    Create a discount code (percentage, fixed_amount or free_delivery)
+ * @access  Private (Retailer only)
+ * @body    { code, description, type, value, max_discount_amount, min_order_amount, starts_at, ends_at,
+ *            usage_limit, usage_limit_per_customer, product_ids, category_ids, is_active }
+ */
+router.post('/', authenticateToken, validateDiscountCode, createDiscountCode);
+
+/**
+ * @route   GET /discounts/:id
+ * @desc    Get a discount code with its usage
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id', authenticateToken, validateUUIDParam('id'), getDiscountCode);
+
+/**
+ * @route   PUT /discounts/:id
+ * @desc    Update a discount code
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    Any of the fields accepted when creating a code
+ */
+router.put('/:id', authenticateToken, validateDiscountCodeUpdate, updateDiscountCode);
+
+/**
+ * @route   DELETE /discounts/:id
+ * @desc    Delete a discount code (orders keep the discount they got)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.delete('/:id', authenticateToken, validateUUIDParam('id'), deleteDiscountCode);
+
+module.exports = router;
@@ -8,16 +8,30 @@ const router = express.Router();
 const {
   createOrder,
   getOrders,
+  exportOrders,
   getOrder,
   updateOrderStatus,
   deleteOrder,
-  getOrderStats
+  getOrderStats,
+  getOrderInvoice
 } = require('../controllers/orderController');
 
+const {
+  createReturn,
+  getReturns,
+  updateReturn,
+  createRefund
+} = require('../controllers/returnController');
+
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
   validateOrder,
   validateOrderStatus,
+  validateOrderFilters,
+  validateReturnRequest,
+  validateReturnUpdate,
+  validateRefund,
   validateUUIDParam
 } = require('../utils/validators');
 
@@ -25,17 +39,27 @@ const {
  * @route   POST /orders
  * @desc    Create a new order
  * @access  Private (Retailer only)
- * @body    { customer_name, customer_email, customer_phone, product_id, quantity, notes }
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes, discount_code, delivery_fee }
  */
-router.post('/', authenticateToken, validateOrder, createOrder);
+router.post('/', authenticateToken, idempotency, validateOrder, createOrder);
 
 /**
  * @route   GET /orders
  * @desc    Get all orders for logged-in retailer
  * @access  Private (Retailer only)
- * @query   status, page, limit, customer_name
+ * @query   status (comma separated for several), customer_name, from, to, min_total, max_total,
+ *          product_id, q (customer name/email/phone, order ID/reference, notes), sort, order, page, limit
+ */
+router.get('/', authenticateToken, validateOrderFilters, getOrders);
+
+/**
+ * @route   GET /orders/export
+ * @desc    Download orders as CSV or XLSX (one row per line item), streamed
+ * @access  Private (Retailer only)
+ * @query   format (csv | xlsx), plus the same filters as GET /orders
  */
-router.get('/', authenticateToken, getOrders);
+router.get('/export', authenticateToken, validateOrderFilters, exportOrders);
 
 /**
  * @route   GET /orders/stats
@@ -46,24 +70,67 @@ router.get('/stats', authenticateToken, getOrderStats);
 
 /**
  * @route   GET /orders/:id
- * @desc    Get a single order by ID
+ * @desc    Get a single order by ID, with its line items and status timeline
  * @access  Private (Retailer only)
  * @params  id (UUID)
  */
 router.get('/:id', authenticateToken, validateUUIDParam('id'), getOrder);
 
+/**
+ * @route   GET /orders/:id/invoice
+ * @desc    Download the order's invoice as a PDF (issued with the next invoice number on first download)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id/invoice', authenticateToken, validateUUIDParam('id'), getOrderInvoice);
+
 /**
  * @route   PUT /orders/:id
- * @desc    Update order status
+ * @desc    Update order status (pending → confirmed → processing → shipped → delivered, cancel before shipping)
  * @access  Private (Retailer only)
  * @params  id (UUID)
- * @body    { status, notes }
+ * @body    { status, note, notes, cancellation_reason (required when cancelling) }
  */
 router.put('/:id', authenticateToken, validateOrderStatus, updateOrderStatus);
 
+/**
+ * @route   POST /orders/:id/returns
+ * @desc    Request a return for a delivered order
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { reason, items: [{ order_item_id, quantity }] }
+ */
+router.post('/:id/returns', authenticateToken, validateReturnRequest, createReturn);
+
+/**
+ * @route   GET /orders/:id/returns
+ * @desc    Get all returns of an order
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id/returns', authenticateToken, validateUUIDParam('id'), getReturns);
+
+/**
+ * @route   PUT /orders/:id/returns/:returnId
+ * @desc    Approve, reject or receive a return (requested → approved/rejected, approved → received)
+ * @access  Private (Retailer only)
+ * @params  id (UUID), returnId (UUID)
+ * @body    { status, note, restock (when receiving) }
+ */
+router.put('/:id/returns/:returnId', authenticateToken, validateReturnUpdate, updateReturn);
+
+/**
+ * @route   POST /orders/:id/refunds
+ * @desc    Record a partial or full refund for a delivered order
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { amount, return_id, note }
+ */
+router.post('/:id/refunds', authenticateToken, validateRefund, createRefund);
+
 /**
  * @route   DELETE /orders/:id
- * @desc    Delete an order (only pending/cancelled)
+ * @desc    Delete an order (only pending/cancelled; stock not yet returned is restored)
  * @access  Private (Retailer only)
  * @params  id (UUID)
  */
@@ -2,6 +2,7 @@
 // Product routes - handles all product-related endpoints
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 // Import controllers and middleware
@@ -12,39 +13,163 @@ const {
   updateProduct,
   deleteProduct,
   toggleProductStatus,
-  getCategories
+  archiveProduct,
+  restoreProduct,
+  archiveProducts,
+  restoreProducts,
+  getArchivedProducts,
+  getCategories,
+  importProducts,
+  exportProducts
 } = require('../controllers/productController');
 
+const {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../controllers/variantController');
+
+const {
+  getProductImages,
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+} = require('../controllers/productImageController');
+
+const {
+  createStockAdjustment,
+  getStockMovements
+} = require('../controllers/inventoryController');
+
+const { getPriceHistory } = require('../controllers/priceController');
+
+const { lookupProduct, printLabels } = require('../controllers/barcodeController');
+
 const { authenticateToken } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const {
   validateProduct,
+  validateProductFilters,
+  validateProductImport,
+  validateProductExport,
   validateProductUpdate,
+  validateProductLookup,
+  validateBarcodeLabels,
+  validateProductIds,
+  validateProductTrash,
+  validateVariant,
+  validateVariantUpdate,
+  validateImageOrder,
+  validateStockAdjustment,
+  validateStockMovements,
+  validatePriceHistory,
   validateUUIDParam
 } = require('../utils/validators');
 
+// Import files are parsed in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Gallery images are resized in memory before being stored
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(createError(400, 'Only JPEG, PNG, WebP, GIF, AVIF or TIFF images can be uploaded'));
+    }
+    cb(null, true);
+  }
+});
+
 /**
  * @route   POST /products
  * @desc    Create a new product
  * @access  Private (Retailer only)
- * @body    { name, description, price, stock, category, image_url }
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { name, description, sku, barcode (EAN-13, EAN-8 or UPC-A), price, sale_price, sale_starts_at,
+ *            sale_ends_at, compare_at_price, stock, category_id, category, tax_rate_id, image_url, options,
+ *            reorder_threshold }
  */
-router.post('/', authenticateToken, validateProduct, createProduct);
+router.post('/', authenticateToken, idempotency, validateProduct, createProduct);
 
 /**
  * @route   GET /products
- * @desc    Get all products for logged-in retailer
+ * @desc    Search, filter and sort the retailer's products (archived ones excluded), with facet counts per category and price band
  * @access  Private (Retailer only)
- * @query   category, is_active, page, limit
+ * @query   q, category_id (includes subcategories), category, min_price, max_price, in_stock, is_active,
+ *          sort (relevance | newest | price | name | best_selling), order (asc | desc), page, limit
  */
-router.get('/', authenticateToken, getProducts);
+router.get('/', authenticateToken, validateProductFilters, getProducts);
 
 /**
  * @route   GET /products/categories
- * @desc    Get all product categories for the retailer
+ * @desc    Get the names of the retailer's categories (see /categories for the full tree)
  * @access  Private (Retailer only)
  */
 router.get('/categories', authenticateToken, getCategories);
 
+/**
+ * @route   POST /products/import
+ * @desc    Create or update products from a CSV or XLSX file (rows are matched to products by SKU, then by name)
+ * @access  Private (Retailer only)
+ * @query   dry_run (true = preview the result with per-row errors, nothing is written)
+ * @body    multipart/form-data with "file" - columns: name, price, description, sku, barcode, stock, category,
+ *          image_url, is_active
+ */
+router.post('/import', authenticateToken, upload.single('file'), validateProductImport, importProducts);
+
+/**
+ * @route   GET /products/export
+ * @desc    Download the catalogue as CSV or XLSX, in the import format
+ * @access  Private (Retailer only)
+ * @query   format (csv | xlsx), category, is_active
+ */
+router.get('/export', authenticateToken, validateProductExport, exportProducts);
+
+/**
+ * @route   GET /products/lookup
+ * @desc    Find the product (and variant) with a scanned barcode or a SKU
+ * @access  Private (Retailer only)
+ * @query   code (barcode or SKU)
+ */
+router.get('/lookup', authenticateToken, validateProductLookup, lookupProduct);
+
+/**
+ * @route   POST /products/labels
+ * @desc    Download a sheet of barcode labels; items without a barcode get an in-store EAN-13 first
+ * @access  Private (Retailer only)
+ * @body    { product_ids, format (pdf | svg), copies (per item, default 1), show_price (default true) }
+ */
+router.post('/labels', authenticateToken, validateBarcodeLabels, printLabels);
+
+/**
+ * @route   GET /products/trash
+ * @desc    Get the archived products, most recently archived first
+ * @access  Private (Retailer only)
+ * @query   page, limit
+ */
+router.get('/trash', authenticateToken, validateProductTrash, getArchivedProducts);
+
+/**
+ * @route   POST /products/archive
+ * @desc    Archive several products (they are deactivated and leave the product list and storefront)
+ * @access  Private (Retailer only)
+ * @body    { product_ids }
+ */
+router.post('/archive', authenticateToken, validateProductIds, archiveProducts);
+
+/**
+ * @route   POST /products/restore
+ * @desc    Restore several archived products (they come back inactive)
+ * @access  Private (Retailer only)
+ * @body    { product_ids }
+ */
+router.post('/restore', authenticateToken, validateProductIds, restoreProducts);
+
 /**
  * @route   GET /products/:id
  * @desc    Get a single product by ID
@@ -55,10 +180,11 @@ router.get('/:id', authenticateToken, validateUUIDParam('id'), getProduct);
 
 /**
  * @route   PUT /products/:id
- * @desc    Update a product
+ * @desc    Update a product (a new stock level is recorded as a manual adjustment)
  * @access  Private (Retailer only)
  * @params  id (UUID)
- * @body    { name, description, price, stock, category, image_url, is_active }
+ * @body    { name, description, sku, barcode, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price,
+ *            stock, category_id, category, tax_rate_id, image_url, is_active, options, reorder_threshold }
  */
 router.put('/:id', authenticateToken, validateProductUpdate, updateProduct);
 
@@ -70,12 +196,134 @@ router.put('/:id', authenticateToken, validateProductUpdate, updateProduct);
  */
 router.patch('/:id/toggle-status', authenticateToken, validateUUIDParam('id'), toggleProductStatus);
 
+/**
+ * @route   PATCH /products/:id/archive
+ * @desc    Archive a product (kept for order history, hidden from the product list and storefront)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.patch('/:id/archive', authenticateToken, validateUUIDParam('id'), archiveProduct);
+
+/**
+ * @route   PATCH /products/:id/restore
+ * @desc    Restore an archived product (it comes back inactive)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.patch('/:id/restore', authenticateToken, validateUUIDParam('id'), restoreProduct);
+
 /**
  * @route   DELETE /products/:id
- * @desc    Delete a product
+ * @desc    Delete a product for good (only if it was never ordered - archive it otherwise)
  * @access  Private (Retailer only)
  * @params  id (UUID)
  */
 router.delete('/:id', authenticateToken, validateUUIDParam('id'), deleteProduct);
 
+/**
+ * @route   GET /products/:id/variants
+ * @desc    Get all variants of a product
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id/variants', authenticateToken, validateUUIDParam('id'), getVariants);
+
+/**
+ * @route   POST /products/:id/variants
+ * @desc    Create a variant (one value per product option, own price/stock/SKU/image)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, sku, barcode,
+ *            image_url, is_active }
+ */
+router.post('/:id/variants', authenticateToken, validateVariant, createVariant);
+
+/**
+ * @route   PUT /products/:id/variants/:variantId
+ * @desc    Update a variant
+ * @access  Private (Retailer only)
+ * @params  id (UUID), variantId (UUID)
+ * @body    { option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, sku, barcode,
+ *            image_url, is_active }
+ */
+router.put('/:id/variants/:variantId', authenticateToken, validateVariantUpdate, updateVariant);
+
+/**
+ * @route   DELETE /products/:id/variants/:variantId
+ * @desc    Delete a variant (only if it was never ordered)
+ * @access  Private (Retailer only)
+ * @params  id (UUID), variantId (UUID)
+ */
+router.delete('/:id/variants/:variantId', authenticateToken, validateUUIDParam('id'), validateUUIDParam('variantId'), deleteVariant);
+
+/**
+ * @route   GET /products/:id/images
+ * @desc    Get a product's image gallery (each image in thumbnail, card and full size)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id/images', authenticateToken, validateUUIDParam('id'), getProductImages);
+
+/**
+ * @route   POST /products/:id/images
+ * @desc    Upload up to 10 images at once; each is resized to the standard sizes and stored as WebP
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    multipart/form-data with one or more "images" files (max 10 MB each)
+ */
+router.post('/:id/images', authenticateToken, validateUUIDParam('id'), imageUpload.array('images', 10), uploadProductImages);
+
+/**
+ * @route   PUT /products/:id/images/order
+ * @desc    Reorder a product's images
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { image_ids } - every image ID of the product, in the new order
+ */
+router.put('/:id/images/order', authenticateToken, validateImageOrder, reorderProductImages);
+
+/**
+ * @route   PATCH /products/:id/images/:imageId/primary
+ * @desc    Make an image the product's primary image
+ * @access  Private (Retailer only)
+ * @params  id (UUID), imageId (UUID)
+ */
+router.patch('/:id/images/:imageId/primary', authenticateToken, validateUUIDParam('id'), validateUUIDParam('imageId'), setPrimaryProductImage);
+
+/**
+ * @route   DELETE /products/:id/images/:imageId
+ * @desc    Delete an image (the next image becomes primary if it was the primary one)
+ * @access  Private (Retailer only)
+ * @params  id (UUID), imageId (UUID)
+ */
+router.delete('/:id/images/:imageId', authenticateToken, validateUUIDParam('id'), validateUUIDParam('imageId'), deleteProductImage);
+
+/**
+ * @route   POST /products/:id/stock-adjustments
+ * @desc    Adjust stock by hand - by a delta or to the counted quantity - recording the reason
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { variant_id, delta | quantity, reason (manual_adjustment | damage | restock), note }
+ */
+router.post('/:id/stock-adjustments', authenticateToken, validateStockAdjustment, createStockAdjustment);
+
+/**
+ * @route   GET /products/:id/stock-movements
+ * @desc    Get the product's stock history: every change with its reason, actor and order
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @query   variant_id, reason, page, limit
+ */
+router.get('/:id/stock-movements', authenticateToken, validateStockMovements, getStockMovements);
+
+/**
+ * @route   GET /products/:id/price-history
+ * @desc    Get the product's price changes (price, sale and compare-at price), newest first; with at,
+ *          also the price it sold for at that moment
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @query   variant_id, at, page, limit
+ */
+router.get('/:id/price-history', authenticateToken, validatePriceHistory, getPriceHistory);
+
 module.exports = router;
\ No newline at end of file
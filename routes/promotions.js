@@ -0,0 +1,64 @@
+// routes/promotions.js
+// Promotion routes - automatic offers applied without a code
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/discountController');
+
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validatePromotion,
+  validatePromotionUpdate,
+  validateUUIDParam
+} = require('../utils/validators');
+
+/**
+ * @route   GET /promotions
+ * @desc    Get the retailer's promotions with times applied and total discount given
+ * @access  Private (Retailer only)
+ */
+router.get('/', authenticateToken, getPromotions);
+
+/**
+ * @route   POST /promotions
+ * @desc    Create a promotion (buy_x_get_y or percentage)
+ * @access  Private (Retailer only)
+ * @body    { name, description, type, buy_quantity, get_quantity, value, min_order_amount,
+ *            starts_at, ends_at, product_ids, category_ids, is_active }
+ */
+router.post('/', authenticateToken, validatePromotion, createPromotion);
+
+/**
+ * @route   GET /promotions/:id
+ * @desc    Get a promotion with its usage
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.get('/:id', authenticateToken, validateUUIDParam('id'), getPromotion);
+
+/**
+ * @route   PUT /promotions/:id
+ * @desc    Update a promotion
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    Any of the fields accepted when creating a promotion
+ */
+router.put('/:id', authenticateToken, validatePromotionUpdate, updatePromotion);
+
+/**
+ * @route   DELETE /promotions/:id
+ * @desc    Delete a promotion
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.delete('/:id', authenticateToken, validateUUIDParam('id'), deletePromotion);
+
+module.exports = router;
@@ -14,9 +14,30 @@ const {
   getPublicStore
 } = require('../controllers/retailerController');
 
+const {
+  getStoreProfile,
+  getStoreProducts,
+  getStoreProduct
+} = require('../controllers/storeController');
+
+const {
+  createCheckoutOrder,
+  trackOrder
+} = require('../controllers/orderController');
+
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  checkoutRateLimit,
+  rejectHoneypot,
+  verifyCaptcha
+} = require('../middleware/abuseProtection');
 const {
   validateRetailerSettings,
+  validateCheckout,
+  validateStoreProductFilters,
+  validateStoreProducts,
+  validateStoreProduct,
   validateUUIDParam
 } = require('../utils/validators');
 const { body } = require('express-validator');
@@ -32,13 +53,14 @@ router.get('/settings', authenticateToken, getSettings);
  * @route   PUT /retailer/settings
  * @desc    Update retailer settings
  * @access  Private (Retailer only)
- * @body    { name, logo_url, theme }
+ * @body    { name, slug, custom_domain, logo_url, theme, low_stock_threshold, delivery_fee, free_delivery_min_order,
+ *            prices_include_tax, show_sold_out }
  */
 router.put('/settings', authenticateToken, validateRetailerSettings, updateSettings);
 
 /**
  * @route   GET /retailer/dashboard
- * @desc    Get retailer dashboard summary with statistics
+ * @desc    Get retailer dashboard summary with statistics, low stock and open stock alerts
  * @access  Private (Retailer only)
  */
 router.get('/dashboard', authenticateToken, getDashboard);
@@ -69,10 +91,63 @@ router.patch('/theme',
 
 /**
  * @route   GET /retailer/store/:retailerId
- * @desc    Get public store information (for customer-facing store)
+ * @desc    Get public store information with every matching product in one response
+ *          (for customer-facing store; see /store for slugs, custom domains and paged products)
+ * @access  Public
+ * @params  retailerId (UUID)
+ * @query   q, category_id, min_price, max_price, sort (relevance | newest | price | name | best_selling), order (asc | desc)
+ */
+router.get('/store/:retailerId', validateStoreProductFilters, getPublicStore);
+
+/**
+ * @route   GET /retailer/store/:retailerId/profile
+ * @desc    Get the public store profile and category tree
+ * @access  Public
+ * @params  retailerId (UUID)
+ */
+router.get('/store/:retailerId/profile', validateUUIDParam('retailerId'), getStoreProfile);
+
+/**
+ * @route   GET /retailer/store/:retailerId/products
+ * @desc    Get a page of the public store's products
  * @access  Public
  * @params  retailerId (UUID)
+ * @query   q, category_id, min_price, max_price, in_stock, sort (relevance | newest | price | name | best_selling),
+ *          order (asc | desc), page, limit
+ */
+router.get('/store/:retailerId/products', validateStoreProducts, getStoreProducts);
+
+/**
+ * @route   GET /retailer/store/:retailerId/products/:id
+ * @desc    Get a single product of the public store
+ * @access  Public
+ * @params  retailerId (UUID), id (UUID)
+ */
+router.get('/store/:retailerId/products/:id', validateStoreProduct, getStoreProduct);
+
+/**
+ * @route   POST /retailer/store/:retailerId/checkout
+ * @desc    Place an order from the public store (rate limited per IP, honeypot + optional captcha)
+ * @access  Public
+ * @params  retailerId (UUID)
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes, discount_code, captcha_token }
+ */
+router.post('/store/:retailerId/checkout',
+  checkoutRateLimit,
+  rejectHoneypot,
+  idempotency,
+  validateCheckout,
+  verifyCaptcha,
+  createCheckoutOrder
+);
+
+/**
+ * @route   GET /retailer/store/:retailerId/orders/:trackingToken
+ * @desc    Track a storefront order using the token returned at checkout
+ * @access  Public
+ * @params  retailerId (UUID), trackingToken
  */
-router.get('/store/:retailerId', validateUUIDParam('retailerId'), getPublicStore);
+router.get('/store/:retailerId/orders/:trackingToken', validateUUIDParam('retailerId'), trackOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,137 @@
+// routes/store.js
+// Public store routes - the storefront by store slug, or by custom domain (Host header)
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getStoreProfile,
+  getStoreProducts,
+  getStoreProduct
+} = require('../controllers/storeController');
+
+const {
+  createCheckoutOrder,
+  trackOrder
+} = require('../controllers/orderController');
+
+const { resolveStoreSlug, resolveStoreHost } = require('../middleware/storeResolver');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  checkoutRateLimit,
+  rejectHoneypot,
+  verifyCaptcha
+} = require('../middleware/abuseProtection');
+const {
+  validateCheckout,
+  validateStoreProducts,
+  validateStoreProduct
+} = require('../utils/validators');
+
+/**
+ * @route   GET /store
+ * @desc    Get the profile and category tree of the store of the custom domain the request was sent to
+ * @access  Public
+ * @headers Host - the store's custom domain
+ */
+router.get('/', resolveStoreHost, getStoreProfile);
+
+/**
+ * @route   GET /store/products
+ * @desc    Get a page of products of the store of the custom domain the request was sent to
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @query   q, category_id, min_price, max_price, in_stock, sort (relevance | newest | price | name | best_selling),
+ *          order (asc | desc), page, limit
+ */
+router.get('/products', resolveStoreHost, validateStoreProducts, getStoreProducts);
+
+/**
+ * @route   GET /store/products/:id
+ * @desc    Get a product of the store of the custom domain the request was sent to
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @params  id (UUID)
+ */
+router.get('/products/:id', resolveStoreHost, validateStoreProduct, getStoreProduct);
+
+/**
+ * @route   POST /store/checkout
+ * @desc    Place an order on the store of the custom domain the request was sent to
+ * @access  Public
+ * @headers Host - the store's custom domain; Idempotency-Key (optional)
+ * @body    { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes, discount_code, captcha_token }
+ */
+router.post('/checkout',
+  checkoutRateLimit,
+  rejectHoneypot,
+  resolveStoreHost,
+  idempotency,
+  validateCheckout,
+  verifyCaptcha,
+  createCheckoutOrder
+);
+
+/**
+ * @route   GET /store/orders/:trackingToken
+ * @desc    Track an order on the store of the custom domain the request was sent to
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @params  trackingToken
+ */
+router.get('/orders/:trackingToken', resolveStoreHost, trackOrder);
+
+/**
+ * @route   GET /store/:slug
+ * @desc    Get a public store's profile and category tree by its slug (old slugs redirect to the current one)
+ * @access  Public
+ * @params  slug
+ */
+router.get('/:slug', resolveStoreSlug, getStoreProfile);
+
+/**
+ * @route   GET /store/:slug/products
+ * @desc    Get a page of a public store's products (sold-out ones are marked or hidden, per the store's show_sold_out)
+ * @access  Public
+ * @params  slug
+ * @query   q, category_id, min_price, max_price, in_stock, sort (relevance | newest | price | name | best_selling),
+ *          order (asc | desc), page, limit
+ */
+router.get('/:slug/products', resolveStoreSlug, validateStoreProducts, getStoreProducts);
+
+/**
+ * @route   GET /store/:slug/products/:id
+ * @desc    Get a single product of a public store, with its variants and images
+ * @access  Public
+ * @params  slug, id (UUID)
+ */
+router.get('/:slug/products/:id', resolveStoreSlug, validateStoreProduct, getStoreProduct);
+
+/**
+ * @route   POST /store/:slug/checkout
+ * @desc    Place an order from a public store (rate limited per IP, honeypot + optional captcha)
+ * @access  Public
+ * @params  slug
+ * @headers Idempotency-Key (optional) - retries with the same key replay the first response
+ * @body    { customer_name, customer_email, customer_phone, items: [{ product_id, variant_id, quantity }], notes, discount_code, captcha_token }
+ */
+router.post('/:slug/checkout',
+  checkoutRateLimit,
+  rejectHoneypot,
+  resolveStoreSlug,
+  idempotency,
+  validateCheckout,
+  verifyCaptcha,
+  createCheckoutOrder
+);
+
+/**
+ * @route   GET /store/:slug/orders/:trackingToken
+ * @desc    Track a storefront order using the token returned at checkout
+ * @access  Public
+ * @params  slug, trackingToken
+ */
+router.get('/:slug/orders/:trackingToken', resolveStoreSlug, trackOrder);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// routes/storefront.js
+// Storefront pages by store slug - the server-rendered HTML store (mounted at /shop)
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  renderHomePage,
+  renderCategoryPage,
+  renderProductPage
+} = require('../controllers/storefrontController');
+
+const { resolveStoreSlug } = require('../middleware/storeResolver');
+const { storefrontCsp } = require('../middleware/storefrontHeaders');
+
+/**
+ * @route   GET /shop/:slug
+ * @desc    Store home page: banner, categories and products (old slugs redirect to the current one)
+ * @access  Public
+ * @params  slug
+ * @query   q, sort (relevance | newest | best_selling | price_asc | price_desc | name), page
+ */
+router.get('/:slug', resolveStoreSlug, storefrontCsp, renderHomePage);
+
+/**
+ * @route   GET /shop/:slug/c/:categorySlug
+ * @desc    Category page with the products of the category and its subcategories
+ * @access  Public
+ * @params  slug, categorySlug
+ * @query   q, sort (relevance | newest | best_selling | price_asc | price_desc | name), page
+ */
+router.get('/:slug/c/:categorySlug', resolveStoreSlug, storefrontCsp, renderCategoryPage);
+
+/**
+ * @route   GET /shop/:slug/p/:id
+ * @desc    Product page
+ * @access  Public
+ * @params  slug, id (UUID)
+ */
+router.get('/:slug/p/:id', resolveStoreSlug, storefrontCsp, renderProductPage);
+
+module.exports = router;
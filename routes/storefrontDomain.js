@@ -0,0 +1,45 @@
+// routes/storefrontDomain.js
+// Storefront pages on a store's custom domain - the store is the one whose domain the request was sent to
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  renderHomePage,
+  renderCategoryPage,
+  renderProductPage
+} = require('../controllers/storefrontController');
+
+const { resolveStoreHost } = require('../middleware/storeResolver');
+const { storefrontCsp } = require('../middleware/storefrontHeaders');
+
+/**
+ * @route   GET /
+ * @desc    Store home page: banner, categories and products
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @query   q, sort (relevance | newest | best_selling | price_asc | price_desc | name), page
+ */
+router.get('/', resolveStoreHost, storefrontCsp, renderHomePage);
+
+/**
+ * @route   GET /c/:categorySlug
+ * @desc    Category page with the products of the category and its subcategories
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @params  categorySlug
+ * @query   q, sort (relevance | newest | best_selling | price_asc | price_desc | name), page
+ */
+router.get('/c/:categorySlug', resolveStoreHost, storefrontCsp, renderCategoryPage);
+
+/**
+ * @route   GET /p/:id
+ * @desc    Product page
+ * @access  Public
+ * @headers Host - the store's custom domain
+ * @params  id (UUID)
+ */
+router.get('/p/:id', resolveStoreHost, storefrontCsp, renderProductPage);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// routes/taxes.js
+// Tax routes - tax rates and tax summaries
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  getTaxSummary
+} = require('../controllers/taxController');
+
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateTaxRate,
+  validateTaxRateUpdate,
+  validateTaxSummary,
+  validateUUIDParam
+} = require('../utils/validators');
+
+/**
+ * @route   GET /taxes
+ * @desc    Get the retailer's tax rates
+ * @access  Private (Retailer only)
+ */
+router.get('/', authenticateToken, getTaxRates);
+
+/**
+ * @route   GET /taxes/summary
+ * @desc    Tax collected over a period, per rate and per tax
+ * @access  Private (Retailer only)
+ * @query   from, to (required; a plain date includes that whole day)
+ */
+router.get('/summary', authenticateToken, validateTaxSummary, getTaxSummary);
+
+/**
+ * @route   POST /taxes
+ * @desc    Create a tax rate, optionally split into components (e.g. CGST + SGST)
+ * @access  Private (Retailer only)
+ * @body    { name, rate, components: [{ name, rate }], is_default }
+ */
+router.post('/', authenticateToken, validateTaxRate, createTaxRate);
+
+/**
+ * @route   PUT /taxes/:id
+ * @desc    Update a tax rate (orders already placed keep their tax)
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ * @body    { name, rate, components, is_default }
+ */
+router.put('/:id', authenticateToken, validateTaxRateUpdate, updateTaxRate);
+
+/**
+ * @route   DELETE /taxes/:id
+ * @desc    Delete a tax rate
+ * @access  Private (Retailer only)
+ * @params  id (UUID)
+ */
+router.delete('/:id', authenticateToken, validateUUIDParam('id'), deleteTaxRate);
+
+module.exports = router;
@@ -46,63 +46,62 @@ async function seed() {
     if (productError) throw productError;
     console.log('Products created:', products.map(p => p.name));
 
-    // 3. Create 5 orders
+    // 3. Create 5 orders with their line items
     const ordersToInsert = [
-  { 
-    retailer_id: retailer.id, 
-    product_id: products[0].id, 
-    customer_name: 'John Doe', 
-    quantity: 2, 
-    unit_price: 50, 
-    total_amount: 100, 
-    status: 'pending' 
-  },
-  { 
-    retailer_id: retailer.id, 
-    product_id: products[1].id, 
-    customer_name: 'Jane Smith', 
-    quantity: 1, 
-    unit_price: 50, 
-    total_amount: 50, 
-    status: 'delivered' 
-  },
-  { 
-    retailer_id: retailer.id, 
-    product_id: products[2].id, 
-    customer_name: 'Alice Brown', 
-    quantity: 3, 
-    unit_price: 10, 
-    total_amount: 30, 
-    status: 'pending' 
-  },
-  { 
-    retailer_id: retailer.id, 
-    product_id: products[3].id, 
-    customer_name: 'Bob Johnson', 
-    quantity: 1, 
-    unit_price: 10, 
-    total_amount: 10, 
-    status: 'delivered' 
-  },
-  { 
-    retailer_id: retailer.id, 
-    product_id: products[4].id, 
-    customer_name: 'Charlie Lee', 
-    quantity: 4, 
-    unit_price: 10, 
-    total_amount: 40, 
-    status: 'cancelled' 
-  }
-];
+      {
+        order: { retailer_id: retailer.id, customer_name: 'John Doe', total_amount: 230, status: 'pending' },
+        items: [
+          { product: products[0], quantity: 2 },
+          { product: products[2], quantity: 1 }
+        ]
+      },
+      {
+        order: { retailer_id: retailer.id, customer_name: 'Jane Smith', total_amount: 50, status: 'delivered' },
+        items: [{ product: products[1], quantity: 1 }]
+      },
+      {
+        order: { retailer_id: retailer.id, customer_name: 'Alice Brown', total_amount: 90, status: 'pending' },
+        items: [{ product: products[2], quantity: 3 }]
+      },
+      {
+        order: { retailer_id: retailer.id, customer_name: 'Bob Johnson', total_amount: 60, status: 'delivered' },
+        items: [
+          { product: products[3], quantity: 1 },
+          { product: products[1], quantity: 1 }
+        ]
+      },
+      {
+        order: { retailer_id: retailer.id, customer_name: 'Charlie Lee', total_amount: 160, status: 'cancelled' },
+        items: [{ product: products[4], quantity: 4 }]
+      }
+    ];
 
     const { data: orders, error: orderError } = await supabaseAdmin
       .from('orders')
-      .insert(ordersToInsert)
+      .insert(ordersToInsert.map(o => o.order))
       .select();
 
     if (orderError) throw orderError;
     console.log('Orders created:', orders.map(o => o.status));
 
+    const itemsToInsert = ordersToInsert.flatMap((o, index) =>
+      o.items.map(({ product, quantity }) => ({
+        order_id: orders[index].id,
+        product_id: product.id,
+        product_name: product.name,
+        quantity,
+        unit_price: product.price,
+        line_total: product.price * quantity
+      }))
+    );
+
+    const { error: itemsError } = await supabaseAdmin
+      .from('order_items')
+      .insert(itemsToInsert);
+
+    if (itemsError) throw itemsError;
+    console.log('Order items created:', itemsToInsert.length);
+
     console.log('Seeding completed successfully!');
   } catch (err) {
     console.error('Seed error:', err);
@@ -15,6 +15,14 @@ const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const retailerRoutes = require('./routes/retailer');
+const alertRoutes = require('./routes/alerts');
+const categoryRoutes = require('./routes/categories');
+const discountRoutes = require('./routes/discounts');
+const promotionRoutes = require('./routes/promotions');
+const taxRoutes = require('./routes/taxes');
+const storeRoutes = require('./routes/store');
+const storefrontRoutes = require('./routes/storefront');
+const storefrontDomainRoutes = require('./routes/storefrontDomain');
 
 // Initialize Express app
 const app = express();
@@ -24,6 +32,11 @@ const PORT = process.env.PORT || 5000;
 // MIDDLEWARE SETUP
 // =======================
 
+// Behind a load balancer / reverse proxy, trust it so req.ip is the client IP (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -32,7 +45,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:8080',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Body parsing middleware
@@ -61,8 +75,14 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/taxes', taxRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/retailer', retailerRoutes);
+app.use('/api/store', storeRoutes);
+app.use('/api/alerts', alertRoutes);
 app.use('/api/uploads', require('./routes/uploads'));
 
 // API documentation endpoint
@@ -85,15 +105,70 @@ app.get('/api', (req, res) => {
         update: 'PUT /api/products/:id',
         delete: 'DELETE /api/products/:id',
         toggleStatus: 'PATCH /api/products/:id/toggle-status',
-        categories: 'GET /api/products/categories'
+        archive: 'PATCH /api/products/:id/archive',
+        restore: 'PATCH /api/products/:id/restore',
+        archiveMany: 'POST /api/products/archive',
+        restoreMany: 'POST /api/products/restore',
+        trash: 'GET /api/products/trash',
+        categories: 'GET /api/products/categories',
+        import: 'POST /api/products/import',
+        export: 'GET /api/products/export',
+        lookup: 'GET /api/products/lookup?code=',
+        labels: 'POST /api/products/labels',
+        variants: 'GET /api/products/:id/variants',
+        createVariant: 'POST /api/products/:id/variants',
+        updateVariant: 'PUT /api/products/:id/variants/:variantId',
+        deleteVariant: 'DELETE /api/products/:id/variants/:variantId',
+        images: 'GET /api/products/:id/images',
+        uploadImages: 'POST /api/products/:id/images',
+        reorderImages: 'PUT /api/products/:id/images/order',
+        setPrimaryImage: 'PATCH /api/products/:id/images/:imageId/primary',
+        deleteImage: 'DELETE /api/products/:id/images/:imageId',
+        adjustStock: 'POST /api/products/:id/stock-adjustments',
+        stockMovements: 'GET /api/products/:id/stock-movements',
+        priceHistory: 'GET /api/products/:id/price-history'
+      },
+      categories: {
+        list: 'GET /api/categories',
+        create: 'POST /api/categories',
+        get: 'GET /api/categories/:id',
+        update: 'PUT /api/categories/:id',
+        delete: 'DELETE /api/categories/:id'
+      },
+      discounts: {
+        list: 'GET /api/discounts',
+        create: 'POST /api/discounts',
+        get: 'GET /api/discounts/:id',
+        update: 'PUT /api/discounts/:id',
+        delete: 'DELETE /api/discounts/:id'
+      },
+      promotions: {
+        list: 'GET /api/promotions',
+        create: 'POST /api/promotions',
+        get: 'GET /api/promotions/:id',
+        update: 'PUT /api/promotions/:id',
+        delete: 'DELETE /api/promotions/:id'
+      },
+      taxes: {
+        list: 'GET /api/taxes',
+        create: 'POST /api/taxes',
+        update: 'PUT /api/taxes/:id',
+        delete: 'DELETE /api/taxes/:id',
+        summary: 'GET /api/taxes/summary'
       },
       orders: {
         create: 'POST /api/orders',
         list: 'GET /api/orders',
+        export: 'GET /api/orders/export',
         get: 'GET /api/orders/:id',
         updateStatus: 'PUT /api/orders/:id',
         delete: 'DELETE /api/orders/:id',
-        stats: 'GET /api/orders/stats'
+        stats: 'GET /api/orders/stats',
+        invoice: 'GET /api/orders/:id/invoice',
+        requestReturn: 'POST /api/orders/:id/returns',
+        returns: 'GET /api/orders/:id/returns',
+        updateReturn: 'PUT /api/orders/:id/returns/:returnId',
+        refund: 'POST /api/orders/:id/refunds'
       },
       retailer: {
         settings: 'GET /api/retailer/settings',
@@ -101,12 +176,45 @@ app.get('/api', (req, res) => {
         dashboard: 'GET /api/retailer/dashboard',
         themes: 'GET /api/retailer/themes',
         updateTheme: 'PATCH /api/retailer/theme',
-        publicStore: 'GET /api/retailer/store/:retailerId'
+        publicStore: 'GET /api/retailer/store/:retailerId',
+        storeProfile: 'GET /api/retailer/store/:retailerId/profile',
+        storeProducts: 'GET /api/retailer/store/:retailerId/products',
+        storeProduct: 'GET /api/retailer/store/:retailerId/products/:id',
+        checkout: 'POST /api/retailer/store/:retailerId/checkout',
+        trackOrder: 'GET /api/retailer/store/:retailerId/orders/:trackingToken'
+      },
+      store: {
+        profile: 'GET /api/store/:slug',
+        products: 'GET /api/store/:slug/products',
+        product: 'GET /api/store/:slug/products/:id',
+        checkout: 'POST /api/store/:slug/checkout',
+        trackOrder: 'GET /api/store/:slug/orders/:trackingToken',
+        domainProfile: 'GET /api/store (Host: custom domain)',
+        domainProducts: 'GET /api/store/products (Host: custom domain)',
+        domainProduct: 'GET /api/store/products/:id (Host: custom domain)',
+        domainCheckout: 'POST /api/store/checkout (Host: custom domain)',
+        domainTrackOrder: 'GET /api/store/orders/:trackingToken (Host: custom domain)'
+      },
+      storefront: {
+        home: 'GET /shop/:slug',
+        category: 'GET /shop/:slug/c/:categorySlug',
+        product: 'GET /shop/:slug/p/:id',
+        domainHome: 'GET / (Host: custom domain)',
+        domainCategory: 'GET /c/:categorySlug (Host: custom domain)',
+        domainProduct: 'GET /p/:id (Host: custom domain)'
+      },
+      alerts: {
+        list: 'GET /api/alerts',
+        acknowledge: 'PATCH /api/alerts/:id/acknowledge'
       }
     }
   });
 });
 
+// Server-rendered storefront (HTML): by slug, and at the root of stores' custom domains
+app.use('/shop', storefrontRoutes);
+app.use(storefrontDomainRoutes);
+
 // =======================
 // ERROR HANDLING
 // =======================
@@ -0,0 +1,79 @@
+// tests/abuseProtection.test.js
+// Storefront abuse protection: honeypot field and captcha check
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockRequest, run } = require('./helpers/express');
+const { rejectHoneypot, verifyCaptcha } = require('../middleware/abuseProtection');
+
+/**
+ * Run a test with CAPTCHA_SECRET set and fetch answering the siteverify call
+ */
+const withCaptcha = (verify, body) => async () => {
+  const { CAPTCHA_SECRET } = process.env;
+  const originalFetch = global.fetch;
+  process.env.CAPTCHA_SECRET = 'test-secret';
+  global.fetch = async (url, options) => ({ json: async () => verify(options) });
+
+  try {
+    await body();
+  } finally {
+    global.fetch = originalFetch;
+    if (CAPTCHA_SECRET === undefined) {
+      delete process.env.CAPTCHA_SECRET;
+    } else {
+      process.env.CAPTCHA_SECRET = CAPTCHA_SECRET;
+    }
+  }
+};
+
+test('rejectHoneypot turns away requests that fill in the hidden field', async () => {
+  const { res, nextCalled } = await run(rejectHoneypot, mockRequest({ body: { customer_name: 'Bot', website: 'http://spam.example' } }));
+
+  assert.ok(!nextCalled);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+});
+
+test('rejectHoneypot lets requests with an empty hidden field through', async () => {
+  const { nextCalled } = await run(rejectHoneypot, mockRequest({ body: { customer_name: 'Asha', website: '' } }));
+
+  assert.ok(nextCalled);
+});
+
+test('verifyCaptcha is skipped when no captcha secret is configured', async () => {
+  const { CAPTCHA_SECRET } = process.env;
+  delete process.env.CAPTCHA_SECRET;
+
+  try {
+    const { nextCalled } = await run(verifyCaptcha, mockRequest({ body: {} }));
+    assert.ok(nextCalled);
+  } finally {
+    if (CAPTCHA_SECRET !== undefined) process.env.CAPTCHA_SECRET = CAPTCHA_SECRET;
+  }
+});
+
+test('verifyCaptcha requires a captcha token', withCaptcha(() => ({ success: true }), async () => {
+  const { res, nextCalled } = await run(verifyCaptcha, mockRequest({ body: {} }));
+
+  assert.ok(!nextCalled);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /is required/);
+}));
+
+test('verifyCaptcha rejects a token the provider does not accept', withCaptcha(() => ({ success: false }), async () => {
+  const { res, nextCalled } = await run(verifyCaptcha, mockRequest({ body: { captcha_token: 'forged' } }));
+
+  assert.ok(!nextCalled);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /verification failed/);
+}));
+
+test('verifyCaptcha sends the secret and token and passes valid tokens', withCaptcha(
+  (options) => ({ success: options.body.get('secret') === 'test-secret' && options.body.get('response') === 'valid' }),
+  async () => {
+    const { nextCalled } = await run(verifyCaptcha, mockRequest({ body: { captcha_token: 'valid' } }));
+
+    assert.ok(nextCalled);
+  }
+));
@@ -0,0 +1,48 @@
+// tests/barcodes.test.js
+// Barcodes: check digits, scanner variants and bar patterns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidBarcode,
+  barcodeCandidates,
+  inStoreBarcode,
+  barcodeModules,
+  barRuns
+} = require('../utils/barcodes');
+
+test('isValidBarcode accepts EAN-13, EAN-8 and UPC-A with a correct check digit', () => {
+  assert.ok(isValidBarcode('4006381333931'));
+  assert.ok(isValidBarcode('96385074'));
+  assert.ok(isValidBarcode('036000291452'));
+});
+
+test('isValidBarcode rejects wrong check digits, lengths and characters', () => {
+  assert.ok(!isValidBarcode('4006381333932'));
+  assert.ok(!isValidBarcode('12345'));
+  assert.ok(!isValidBarcode('40063813339a1'));
+});
+
+test('barcodeCandidates pairs UPC-A with its EAN-13 form', () => {
+  assert.deepEqual(barcodeCandidates('036000291452'), ['036000291452', '0036000291452']);
+  assert.deepEqual(barcodeCandidates(' 0036000291452 '), ['0036000291452', '036000291452']);
+  assert.deepEqual(barcodeCandidates('96385074'), ['96385074']);
+});
+
+test('inStoreBarcode makes valid EAN-13 codes in the in-store range', () => {
+  const code = inStoreBarcode();
+
+  assert.match(code, /^20\d{11}$/);
+  assert.ok(isValidBarcode(code));
+});
+
+test('barcodeModules draws 95 modules for EAN-13 and UPC-A and 67 for EAN-8', () => {
+  assert.equal(barcodeModules('4006381333931').length, 95);
+  assert.equal(barcodeModules('036000291452'), barcodeModules('0036000291452'));
+  assert.equal(barcodeModules('96385074').length, 67);
+  assert.match(barcodeModules('4006381333931'), /^101[01]{42}01010[01]{42}101$/);
+});
+
+test('barRuns groups neighbouring bars', () => {
+  assert.deepEqual(barRuns('1011001110'), [[0, 1], [2, 2], [6, 3]]);
+});
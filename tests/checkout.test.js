@@ -0,0 +1,70 @@
+// tests/checkout.test.js
+// Storefront checkout and order tracking by token
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTables } = require('./helpers/supabase');
+const { mockRequest, run } = require('./helpers/express');
+const { createCheckoutOrder, trackOrder } = require('../controllers/orderController');
+
+const ORDER_ID = '3f2a9c1e-0000-4000-8000-000000000001';
+
+/**
+ * A store with one product; place_order keeps what it was called with, and orders are
+ * found only by the tracking token hash it stored
+ */
+const store = () => {
+  const placed = [];
+
+  const tables = {
+    retailers: [{ id: 'r1', name: 'Corner Shop', delivery_fee: 0, free_delivery_min_order: null, prices_include_tax: true }],
+    products: [{ id: 'p1', name: 'Milk', price: '2.50', stock: 10, options: [], category_id: null, tax_rate_id: null, product_variants: [] }],
+    'rpc:place_order': ([[, args]]) => {
+      placed.push(args);
+      return { data: ORDER_ID, error: null };
+    },
+    orders: (calls) => {
+      const hash = calls.find(([method, column]) => method === 'eq' && column === 'tracking_token_hash')[2];
+      const order = placed.find(args => args.p_tracking_token_hash === hash);
+      return {
+        data: order ? { id: ORDER_ID, status: 'pending', total_amount: order.p_total_amount, order_items: [] } : null,
+        error: null
+      };
+    }
+  };
+
+  return { tables, placed };
+};
+
+const checkout = () => mockRequest({
+  params: { retailerId: 'r1' },
+  body: { customer_name: 'Asha', customer_phone: '+911234567890', items: [{ product_id: 'p1', quantity: 2 }] }
+});
+
+const { tables, placed } = store();
+
+test('checkout gives the customer a tracking token and stores only its hash', withTables(tables, async () => {
+  const { res } = await run(createCheckoutOrder, checkout());
+
+  assert.equal(res.statusCode, 201);
+  const { tracking_token: token } = res.body.data;
+  assert.ok(token.length >= 32);
+
+  const hash = placed[0].p_tracking_token_hash;
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(hash, token);
+  assert.ok(!JSON.stringify(placed[0]).includes(token));
+}));
+
+test('trackOrder finds the order only with its own token', withTables(tables, async () => {
+  const { res: placedRes } = await run(createCheckoutOrder, checkout());
+  const token = placedRes.body.data.tracking_token;
+
+  const { res: found } = await run(trackOrder, mockRequest({ method: 'GET', params: { retailerId: 'r1', trackingToken: token } }));
+  assert.equal(found.statusCode, 200);
+  assert.equal(found.body.data.status, 'pending');
+  assert.equal(found.body.data.id, undefined);
+
+  const { res: wrong } = await run(trackOrder, mockRequest({ method: 'GET', params: { retailerId: 'r1', trackingToken: `${token}x` } }));
+  assert.equal(wrong.statusCode, 404);
+}));
@@ -0,0 +1,76 @@
+// tests/csv.test.js
+// CSV reading and writing helpers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsvValue, unescapeFormula, toCsvRow, parseCsv } = require('../utils/csv');
+
+test('escapeCsvValue leaves plain values alone', () => {
+  assert.equal(escapeCsvValue('Milk'), 'Milk');
+  assert.equal(escapeCsvValue(12.5), '12.5');
+  assert.equal(escapeCsvValue(true), 'true');
+});
+
+test('escapeCsvValue writes null and undefined as empty cells', () => {
+  assert.equal(escapeCsvValue(null), '');
+  assert.equal(escapeCsvValue(undefined), '');
+});
+
+test('escapeCsvValue quotes commas, quotes and line breaks', () => {
+  assert.equal(escapeCsvValue('Milk, 1L'), '"Milk, 1L"');
+  assert.equal(escapeCsvValue('12" pizza'), '"12"" pizza"');
+  assert.equal(escapeCsvValue('line one\nline two'), '"line one\nline two"');
+});
+
+test('escapeCsvValue keeps text that would run as a formula as plain text', () => {
+  assert.equal(escapeCsvValue('=HYPERLINK("http://evil.example")'), '"\'=HYPERLINK(""http://evil.example"")"');
+  assert.equal(escapeCsvValue('+91 99999 99999'), "'+91 99999 99999");
+  assert.equal(escapeCsvValue('-2+3'), "'-2+3");
+  assert.equal(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(escapeCsvValue('\t=1'), "'\t=1");
+  assert.equal(escapeCsvValue('\r=1'), '"\'\r=1"');
+});
+
+test('escapeCsvValue writes negative numbers as numbers', () => {
+  assert.equal(escapeCsvValue(-5), '-5');
+});
+
+test('toCsvRow joins escaped values and ends with CRLF', () => {
+  assert.equal(toCsvRow(['a', null, 'b,c', 3]), 'a,,"b,c",3\r\n');
+});
+
+test('parseCsv reads rows of values', () => {
+  assert.deepEqual(parseCsv('name,price\nMilk,2.50\nBread,1\n'), [
+    ['name', 'price'],
+    ['Milk', '2.50'],
+    ['Bread', '1']
+  ]);
+});
+
+test('parseCsv handles quoted commas, escaped quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('"Milk, 1L","12"" pizza","line one\nline two"'), [
+    ['Milk, 1L', '12" pizza', 'line one\nline two']
+  ]);
+});
+
+test('parseCsv accepts CRLF line endings, a byte order mark and skips blank lines', () => {
+  assert.deepEqual(parseCsv('﻿name,price\r\n\r\nMilk,2\r\n'), [
+    ['name', 'price'],
+    ['Milk', '2']
+  ]);
+});
+
+test('parseCsv keeps empty values', () => {
+  assert.deepEqual(parseCsv('a,,c\n,,'), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('parseCsv reads back what toCsvRow writes', () => {
+  const values = ['Milk, 1L', '12" pizza', 'two\nlines', 'plain'];
+  assert.deepEqual(parseCsv(toCsvRow(values)), [values]);
+});
+
+test('unescapeFormula removes the guard escapeCsvValue adds, and nothing else', () => {
+  ['=1+1', '-Milk', '+91 99999 99999', '@home', 'Milk', "'quoted'"].forEach(text =>
+    assert.equal(unescapeFormula(escapeCsvValue(text)), text));
+  assert.equal(unescapeFormula("'Milk"), "'Milk");
+});
@@ -0,0 +1,164 @@
+// tests/discounts.test.js
+// Order discounts: promotions, discount codes and the delivery fee
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTables } = require('./helpers/supabase');
+const { normalizeCode, isCurrent, applyDiscounts } = require('../utils/discounts');
+
+const retailer = { id: 'r1', delivery_fee: 3, free_delivery_min_order: null };
+
+// 2 x 10.00 and 1 x 5.00
+const lines = [
+  { product_id: 'p1', quantity: 2, unit_price: 10, line_total: 20 },
+  { product_id: 'p2', quantity: 1, unit_price: 5, line_total: 5 }
+];
+const productCategories = new Map([['p1', 'c2'], ['p2', 'c3']]);
+
+const promotion = (fields) => ({
+  id: 'promo1',
+  name: 'Promotion',
+  is_active: true,
+  starts_at: null,
+  ends_at: null,
+  min_order_amount: null,
+  product_ids: [],
+  category_ids: [],
+  ...fields
+});
+
+const discountCode = (fields) => ({
+  id: 'code1',
+  code: 'SAVE',
+  description: null,
+  is_active: true,
+  starts_at: null,
+  ends_at: null,
+  min_order_amount: null,
+  max_discount_amount: null,
+  usage_limit_per_customer: null,
+  product_ids: [],
+  category_ids: [],
+  ...fields
+});
+
+test('normalizeCode trims and upper-cases codes', () => {
+  assert.equal(normalizeCode('  save10 '), 'SAVE10');
+});
+
+test('isCurrent checks the switch and the validity window', () => {
+  const now = new Date('2025-06-15T12:00:00Z');
+  assert.ok(isCurrent({ is_active: true }, now));
+  assert.ok(!isCurrent({ is_active: false }, now));
+  assert.ok(!isCurrent({ is_active: true, starts_at: '2025-06-16T00:00:00Z' }, now));
+  assert.ok(!isCurrent({ is_active: true, ends_at: '2025-06-15T12:00:00Z' }, now));
+  assert.ok(isCurrent({ is_active: true, starts_at: '2025-06-01T00:00:00Z', ends_at: '2025-07-01T00:00:00Z' }, now));
+});
+
+test('an order without offers pays the subtotal plus delivery', withTables({ promotions: [] }, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories });
+
+  assert.equal(result.subtotalAmount, 25);
+  assert.equal(result.discountAmount, 0);
+  assert.equal(result.deliveryFee, 3);
+  assert.equal(result.totalAmount, 28);
+  assert.deepEqual(result.discounts, []);
+}));
+
+test('a percentage promotion is split over the lines by amount', withTables({
+  promotions: [promotion({ type: 'percentage', value: '10' })]
+}, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories });
+
+  assert.equal(result.discountAmount, 2.5);
+  assert.deepEqual(result.lines.map(line => line.discount_amount), [2, 0.5]);
+  assert.equal(result.totalAmount, 25.5);
+  assert.equal(result.discounts[0].promotion_id, 'promo1');
+}));
+
+test('buy X get Y discounts the cheapest units', withTables({
+  promotions: [promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, value: '100' })]
+}, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories });
+
+  assert.deepEqual(result.lines.map(line => line.discount_amount), [0, 5]);
+  assert.equal(result.discountAmount, 5);
+}));
+
+test('a promotion limited to a category includes its subcategories', withTables({
+  promotions: [promotion({ type: 'percentage', value: '10', category_ids: ['c1'] })],
+  categories: [{ id: 'c1', parent_id: null }, { id: 'c2', parent_id: 'c1' }, { id: 'c3', parent_id: null }]
+}, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories });
+
+  assert.deepEqual(result.lines.map(line => line.discount_amount), [2, 0]);
+}));
+
+test('a discount code applies after promotions, up to its maximum', withTables({
+  promotions: [promotion({ type: 'percentage', value: '10' })],
+  discount_codes: [discountCode({ type: 'percentage', value: '50', max_discount_amount: '5' })]
+}, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories, code: 'save' });
+
+  assert.equal(result.discountAmount, 7.5);
+  assert.deepEqual(result.lines.map(line => line.discount_amount), [6, 1.5]);
+  assert.deepEqual(result.discounts.map(discount => [discount.code, discount.amount]), [[null, 2.5], ['SAVE', 5]]);
+  assert.equal(result.totalAmount, 20.5);
+}));
+
+test('free delivery is decided on the discounted amount', withTables({
+  promotions: [promotion({ type: 'percentage', value: '10' })]
+}, async () => {
+  const qualifying = await applyDiscounts({ retailer: { ...retailer, free_delivery_min_order: 20 }, lines, productCategories });
+  assert.equal(qualifying.deliveryFee, 0);
+
+  const short = await applyDiscounts({ retailer: { ...retailer, free_delivery_min_order: 24 }, lines, productCategories });
+  assert.equal(short.deliveryFee, 3);
+}));
+
+test('a free delivery code takes off the delivery fee', withTables({
+  promotions: [],
+  discount_codes: [discountCode({ type: 'free_delivery', value: null })]
+}, async () => {
+  const result = await applyDiscounts({ retailer, lines, productCategories, code: 'SAVE' });
+
+  assert.equal(result.discountAmount, 3);
+  assert.equal(result.totalAmount, 25);
+}));
+
+test('a free delivery code is refused when there is no delivery fee', withTables({
+  promotions: [],
+  discount_codes: [discountCode({ type: 'free_delivery', value: null })]
+}, async () => {
+  await assert.rejects(
+    applyDiscounts({ retailer: { ...retailer, delivery_fee: 0 }, lines, productCategories, code: 'SAVE' }),
+    { statusCode: 400, message: /no delivery fee/ }
+  );
+}));
+
+test('expired, inactive and unknown codes are refused', async () => {
+  const cases = [
+    [[discountCode({ type: 'percentage', value: '10', ends_at: '2000-01-01T00:00:00Z' })], /has expired/],
+    [[discountCode({ type: 'percentage', value: '10', is_active: false })], /is not valid/],
+    [[], /is not valid/]
+  ];
+
+  for (const [codes, message] of cases) {
+    await withTables({ promotions: [], discount_codes: codes }, async () => {
+      await assert.rejects(
+        applyDiscounts({ retailer, lines, productCategories, code: 'SAVE' }),
+        { statusCode: 400, message }
+      );
+    })();
+  }
+});
+
+test('a code below its minimum order amount is refused', withTables({
+  promotions: [],
+  discount_codes: [discountCode({ type: 'fixed_amount', value: '5', min_order_amount: '30' })]
+}, async () => {
+  await assert.rejects(
+    applyDiscounts({ retailer, lines, productCategories, code: 'SAVE' }),
+    { statusCode: 400, message: /at least 30.00/ }
+  );
+}));
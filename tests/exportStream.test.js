@@ -0,0 +1,104 @@
+// tests/exportStream.test.js
+// Streaming exports to a response
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('node:stream');
+const { streamExport } = require('../utils/exportStream');
+
+// A writable stand-in for the response that keeps what was written
+const fakeResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.body = () => chunks.join('');
+  return res;
+};
+
+const columns = [{ header: 'Name', key: 'name' }, { header: 'Qty', key: 'quantity' }];
+
+test('streamExport writes the header row and every batch as CSV', async () => {
+  const res = fakeResponse();
+  const batches = [[{ name: 'Milk', quantity: 2 }], [{ name: 'Bread, white', quantity: 1 }], []];
+
+  await streamExport(res, {
+    format: 'csv',
+    filename: 'orders.csv',
+    sheetName: 'Orders',
+    columns,
+    batch: batches.shift(),
+    nextBatch: async () => batches.shift(),
+    toRows: record => [record]
+  });
+
+  assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['Content-Disposition'], 'attachment; filename="orders.csv"');
+  assert.equal(res.body(), 'Name,Qty\r\nMilk,2\r\n"Bread, white",1\r\n');
+});
+
+test('streamExport does not pile up listeners while waiting for a slow client', async () => {
+  // Every write fills the buffer, so each batch waits for drain
+  const res = new Writable({
+    highWaterMark: 1,
+    write(chunk, encoding, callback) {
+      setImmediate(callback);
+    }
+  });
+  res.setHeader = () => {};
+
+  const closeListeners = res.listenerCount('close');
+  const counts = [];
+  let batches = 30;
+
+  await streamExport(res, {
+    format: 'csv',
+    filename: 'orders.csv',
+    sheetName: 'Orders',
+    columns,
+    batch: [{ name: 'Milk', quantity: 2 }],
+    nextBatch: async (batch) => {
+      counts.push(res.listenerCount('close'));
+      return --batches ? batch : [];
+    },
+    toRows: record => [record]
+  });
+
+  assert.equal(counts.length, 30);
+  assert.ok(counts.every(count => count === closeListeners));
+  assert.equal(res.listenerCount('drain'), 0);
+});
+
+test('streamExport destroys the response when a later batch fails', async () => {
+  const res = fakeResponse();
+  const failure = new Error('connection lost');
+  let destroyedWith;
+  res.on('error', error => { destroyedWith = error; });
+
+  const originalConsoleError = console.error;
+  console.error = () => {};
+
+  try {
+    await streamExport(res, {
+      format: 'csv',
+      filename: 'orders.csv',
+      sheetName: 'Orders',
+      columns,
+      batch: [{ name: 'Milk', quantity: 2 }],
+      nextBatch: async () => { throw failure; },
+      toRows: record => [record]
+    });
+  } finally {
+    console.error = originalConsoleError;
+  }
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(res.destroyed);
+  assert.equal(destroyedWith, failure);
+  assert.ok(!res.writableEnded);
+});
@@ -0,0 +1,7 @@
+// tests/helpers/env.js
+// Placeholder Supabase settings so modules that create the client can be loaded.
+// Unit tests never reach the database; a real .env still takes precedence.
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-anon-key';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
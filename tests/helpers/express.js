@@ -0,0 +1,66 @@
+// tests/helpers/express.js
+// Minimal Express request and response stand-ins for calling middleware and controllers directly
+
+const { EventEmitter } = require('node:events');
+
+/**
+ * A request with the fields our handlers read; headers are matched case-insensitively
+ */
+const mockRequest = ({ headers = {}, ...fields } = {}) => {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  return {
+    method: 'POST',
+    baseUrl: '',
+    path: '/',
+    params: {},
+    query: {},
+    body: {},
+    ip: '127.0.0.1',
+    get: (name) => lowerCased[name.toLowerCase()],
+    ...fields
+  };
+};
+
+/**
+ * A response that records its status, headers and JSON body, and emits 'finish' once sent
+ */
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    setImmediate(() => res.emit('finish'));
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Call a middleware or controller and wait until it answers or calls next
+ * Resolves to { res, nextCalled, error }
+ */
+const run = (handler, req, res = mockResponse()) => new Promise(resolve => {
+  const json = res.json;
+  res.json = (body) => {
+    json(body);
+    resolve({ res, nextCalled: false });
+    return res;
+  };
+  handler(req, res, (error) => resolve({ res, nextCalled: true, error }));
+});
+
+module.exports = {
+  mockRequest,
+  mockResponse,
+  run
+};
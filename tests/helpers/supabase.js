@@ -0,0 +1,78 @@
+// tests/helpers/supabase.js
+// Stand-in for Supabase queries: every query on a table is answered from what the test gives for it.
+// Both the user and the admin client are replaced.
+
+require('./env');
+
+const { supabase, supabaseAdmin } = require('../../config/database');
+
+/**
+ * A query builder that records its calls and resolves to answer(calls, single)
+ */
+const stubQuery = (answer, calls) => {
+  let single = false;
+
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve()
+          .then(() => answer(calls, single))
+          .then(resolve, reject);
+      }
+      return (...args) => {
+        if (method === 'single' || method === 'maybeSingle') single = true;
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+
+  return query;
+};
+
+/**
+ * Answer queries from canned data: stubTables({ promotions: [...], 'rpc:place_order': ... })
+ * Rows: every query on the table resolves to them, filters ignored; .single() and .maybeSingle()
+ * resolve to the first row (or null). A function is called with the query's calls, e.g.
+ * [['insert', [row]], ['select', 'id'], ['single']], and returns { data, error } itself.
+ * rpc(name, args) is answered by 'rpc:name', called with [['rpc', args], ...].
+ * Tables that aren't given have no rows. Returns a function that puts the real clients back.
+ */
+const stubTables = (tables) => {
+  const answer = (name) => (calls, single) => {
+    const table = tables[name] || [];
+    if (typeof table === 'function') return table(calls);
+    return { data: single ? table[0] || null : table, error: null };
+  };
+
+  const clients = [supabase, supabaseAdmin].map(client => ({ client, from: client.from, rpc: client.rpc }));
+
+  clients.forEach(({ client }) => {
+    client.from = (name) => stubQuery(answer(name), []);
+    client.rpc = (name, args) => stubQuery(answer(`rpc:${name}`), [['rpc', args]]);
+  });
+
+  return () => {
+    clients.forEach(({ client, from, rpc }) => {
+      client.from = from;
+      client.rpc = rpc;
+    });
+  };
+};
+
+/**
+ * A test body run with stubbed tables: test('...', withTables({ ... }, async () => { ... }))
+ */
+const withTables = (tables, run) => async (...args) => {
+  const restore = stubTables(tables);
+  try {
+    await run(...args);
+  } finally {
+    restore();
+  }
+};
+
+module.exports = {
+  stubTables,
+  withTables
+};
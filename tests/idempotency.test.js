@@ -0,0 +1,114 @@
+// tests/idempotency.test.js
+// Idempotency-Key handling: replays, mismatched bodies and requests still in flight
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTables } = require('./helpers/supabase');
+const { mockRequest, run } = require('./helpers/express');
+const { idempotency } = require('../middleware/idempotency');
+
+/**
+ * An in-memory idempotency_keys table: unique on (scope, idempotency_key), filtered by eq and lt
+ */
+const keyTable = () => {
+  const rows = [];
+
+  const matches = (calls) => (row) => calls.every(([method, column, value]) =>
+    (method !== 'eq' || row[column] === value) && (method !== 'lt' || row[column] < value));
+
+  const table = (calls) => {
+    const [method, value] = calls[0];
+
+    if (method === 'insert') {
+      const [row] = value;
+      if (rows.some(existing => existing.scope === row.scope && existing.idempotency_key === row.idempotency_key)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+      }
+      const stored = { id: `key-${rows.length + 1}`, ...row };
+      rows.push(stored);
+      return { data: { id: stored.id }, error: null };
+    }
+
+    const found = rows.filter(matches(calls));
+
+    if (method === 'update') {
+      found.forEach(row => Object.assign(row, value));
+      return { data: null, error: null };
+    }
+
+    if (method === 'delete') {
+      found.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { data: null, error: null };
+    }
+
+    return { data: found[0] || null, error: null };
+  };
+
+  return { table, rows };
+};
+
+const createOrder = (body, key = 'order-1') => mockRequest({
+  baseUrl: '/api/orders',
+  retailer: { id: 'r1' },
+  headers: { 'Idempotency-Key': key },
+  body
+});
+
+// Wait for the response to be stored after 'finish'
+const stored = () => new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+const { table, rows } = keyTable();
+
+test('requests without an Idempotency-Key pass straight through', withTables({ idempotency_keys: table }, async () => {
+  const { nextCalled } = await run(idempotency, mockRequest({ retailer: { id: 'r1' } }));
+
+  assert.ok(nextCalled);
+  assert.equal(rows.length, 0);
+}));
+
+test('a retry with the same key and body replays the stored response', withTables({ idempotency_keys: table }, async () => {
+  const body = { customer_name: 'Asha', items: [{ product_id: 'p1', quantity: 1 }] };
+
+  const first = await run(idempotency, createOrder(body));
+  assert.ok(first.nextCalled);
+  first.res.status(201).json({ success: true, data: { id: 'o1' } });
+  await stored();
+
+  assert.equal(rows[0].status, 'completed');
+
+  // Same body with its keys in another order
+  const retry = await run(idempotency, createOrder({ items: [{ quantity: 1, product_id: 'p1' }], customer_name: 'Asha' }));
+  assert.ok(!retry.nextCalled);
+  assert.equal(retry.res.statusCode, 201);
+  assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+  assert.deepEqual(retry.res.body, { success: true, data: { id: 'o1' } });
+}));
+
+test('the same key with a different body is rejected', withTables({ idempotency_keys: table }, async () => {
+  const { res, nextCalled } = await run(idempotency, createOrder({ customer_name: 'Ravi', items: [] }));
+
+  assert.ok(!nextCalled);
+  assert.equal(res.statusCode, 422);
+}));
+
+test('a retry while the first request is still running gets 409', withTables({ idempotency_keys: table }, async () => {
+  const body = { customer_name: 'Asha', items: [] };
+
+  const first = await run(idempotency, createOrder(body, 'order-2'));
+  assert.ok(first.nextCalled);
+
+  const retry = await run(idempotency, createOrder(body, 'order-2'));
+  assert.ok(!retry.nextCalled);
+  assert.equal(retry.res.statusCode, 409);
+}));
+
+test('server errors are not stored, so the key can be retried', withTables({ idempotency_keys: table }, async () => {
+  const body = { customer_name: 'Asha', items: [] };
+
+  const first = await run(idempotency, createOrder(body, 'order-3'));
+  first.res.status(500).json({ success: false, message: 'Internal server error' });
+  await stored();
+
+  const retry = await run(idempotency, createOrder(body, 'order-3'));
+  assert.ok(retry.nextCalled);
+}));
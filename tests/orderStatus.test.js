@@ -0,0 +1,44 @@
+// tests/orderStatus.test.js
+// Order status state machine
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, canTransition } = require('../utils/orderStatus');
+
+test('orders move forward one step at a time', () => {
+  assert.ok(canTransition('pending', 'confirmed'));
+  assert.ok(canTransition('confirmed', 'processing'));
+  assert.ok(canTransition('processing', 'shipped'));
+  assert.ok(canTransition('shipped', 'delivered'));
+
+  assert.ok(!canTransition('pending', 'shipped'));
+  assert.ok(!canTransition('confirmed', 'delivered'));
+});
+
+test('orders cannot go back to an earlier status', () => {
+  assert.ok(!canTransition('confirmed', 'pending'));
+  assert.ok(!canTransition('shipped', 'processing'));
+  assert.ok(!canTransition('pending', 'pending'));
+});
+
+test('orders can be cancelled until they ship', () => {
+  ['pending', 'confirmed', 'processing'].forEach(status => assert.ok(canTransition(status, 'cancelled'), status));
+  ['shipped', 'delivered'].forEach(status => assert.ok(!canTransition(status, 'cancelled'), status));
+});
+
+test('delivered and cancelled are final', () => {
+  ORDER_STATUSES.forEach(status => {
+    assert.ok(!canTransition('delivered', status));
+    assert.ok(!canTransition('cancelled', status));
+  });
+});
+
+test('unknown statuses have no transitions', () => {
+  assert.ok(!canTransition('lost', 'delivered'));
+  assert.ok(!canTransition('pending', 'lost'));
+});
+
+test('every status has a transition list and only leads to known statuses', () => {
+  assert.deepEqual(Object.keys(ORDER_TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+  Object.values(ORDER_TRANSITIONS).flat().forEach(status => assert.ok(ORDER_STATUSES.includes(status), status));
+});
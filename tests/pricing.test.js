@@ -0,0 +1,118 @@
+// tests/pricing.test.js
+// Order pricing helpers: cent arithmetic, sale windows and merging cart lines
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTables } = require('./helpers/supabase');
+const { toCents, fromCents, isOnSale, effectivePrice, storePrice, mergeItems, priceOrderItems } = require('../utils/pricing');
+
+test('toCents rounds amounts to whole cents', () => {
+  assert.equal(toCents(19.99), 1999);
+  assert.equal(toCents('0.1'), 10);
+});
+
+test('fromCents turns cents back into an amount', () => {
+  assert.equal(fromCents(1999), 19.99);
+  assert.equal(fromCents(10 + 20), 0.3);
+});
+
+test('summing in cents avoids floating point drift', () => {
+  assert.equal(fromCents(toCents(0.1) + toCents(0.2)), 0.3);
+});
+
+test('mergeItems merges lines of the same product and variant', () => {
+  const merged = mergeItems([
+    { product_id: 'p1', quantity: 1 },
+    { product_id: 'p2', variant_id: 'v1', quantity: 2 },
+    { product_id: 'p1', quantity: '3' },
+    { product_id: 'p2', variant_id: 'v2', quantity: 1 },
+    { product_id: 'p2', variant_id: 'v1', quantity: 1 }
+  ]);
+
+  assert.deepEqual(merged, [
+    { product_id: 'p1', variant_id: null, quantity: 4 },
+    { product_id: 'p2', variant_id: 'v1', quantity: 3 },
+    { product_id: 'p2', variant_id: 'v2', quantity: 1 }
+  ]);
+});
+
+const shirt = (variants) => ({
+  id: 'p1',
+  name: 'Shirt',
+  price: '20.00',
+  stock: 5,
+  options: [{ name: 'size', values: ['S', 'M'] }],
+  product_variants: variants
+});
+
+test('priceOrderItems asks for a variant of a product with active variants', withTables({
+  products: [shirt([{ id: 'v1', option_values: { size: 'M' }, price: '22.00', stock: 3, is_active: true }])]
+}, async () => {
+  await assert.rejects(
+    priceOrderItems('r1', [{ product_id: 'p1', quantity: 1 }]),
+    { statusCode: 400, message: /choose a variant/ }
+  );
+
+  const { lines } = await priceOrderItems('r1', [{ product_id: 'p1', variant_id: 'v1', quantity: 2 }]);
+  assert.equal(lines[0].variant_label, 'M');
+  assert.equal(lines[0].line_total, 44);
+}));
+
+test('priceOrderItems sells a product whose variants are all inactive as a plain product', withTables({
+  products: [shirt([{ id: 'v1', option_values: { size: 'M' }, price: '22.00', stock: 3, is_active: false }])]
+}, async () => {
+  const { lines } = await priceOrderItems('r1', [{ product_id: 'p1', quantity: 2 }]);
+  assert.deepEqual(
+    [lines[0].variant_id, lines[0].unit_price, lines[0].line_total],
+    [null, 20, 40]
+  );
+
+  await assert.rejects(
+    priceOrderItems('r1', [{ product_id: 'p1', variant_id: 'v1', quantity: 1 }]),
+    { statusCode: 404 }
+  );
+}));
+
+const sale = {
+  price: '20.00',
+  sale_price: '15.00',
+  sale_starts_at: '2025-06-01T00:00:00Z',
+  sale_ends_at: '2025-07-01T00:00:00Z',
+  compare_at_price: null
+};
+
+test('isOnSale is true only inside the sale window', () => {
+  assert.ok(!isOnSale(sale, new Date('2025-05-31T23:59:59Z')));
+  assert.ok(isOnSale(sale, new Date('2025-06-01T00:00:00Z')));
+  assert.ok(!isOnSale(sale, new Date('2025-07-01T00:00:00Z')));
+  assert.ok(isOnSale({ ...sale, sale_starts_at: null, sale_ends_at: null }, new Date('2030-01-01T00:00:00Z')));
+  assert.ok(!isOnSale({ ...sale, sale_price: null }, new Date('2025-06-15T00:00:00Z')));
+});
+
+test('effectivePrice charges the sale price during the sale', () => {
+  assert.equal(effectivePrice(sale, new Date('2025-06-15T00:00:00Z')), 15);
+  assert.equal(effectivePrice(sale, new Date('2025-07-15T00:00:00Z')), 20);
+});
+
+test('storePrice strikes through the regular price during a sale', () => {
+  const during = storePrice({ id: 'p1', ...sale }, new Date('2025-06-15T00:00:00Z'));
+  assert.deepEqual(during, {
+    id: 'p1',
+    price: 15,
+    compare_at_price: 20,
+    on_sale: true,
+    sale_ends_at: '2025-07-01T00:00:00Z'
+  });
+
+  const after = storePrice({ id: 'p1', ...sale }, new Date('2025-07-15T00:00:00Z'));
+  assert.deepEqual(after, { id: 'p1', price: 20, compare_at_price: null, on_sale: false, sale_ends_at: null });
+});
+
+test('storePrice keeps a higher compare-at price and drops a lower one', () => {
+  const at = new Date('2025-06-15T00:00:00Z');
+
+  assert.equal(storePrice({ ...sale, compare_at_price: '25.00' }, at).compare_at_price, 25);
+  assert.equal(storePrice({ ...sale, sale_price: null, compare_at_price: '18.00' }, at).compare_at_price, null);
+});
@@ -0,0 +1,40 @@
+// tests/storeAddress.test.js
+// Store addresses: slug rules and the hostname of custom domain requests
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidSlug, requestHostname } = require('../utils/storeAddress');
+
+test('isValidSlug accepts lowercase letters, digits and single hyphens', () => {
+  assert.ok(isValidSlug('corner-shop'));
+  assert.ok(isValidSlug('shop24'));
+  assert.ok(isValidSlug('a-b-c'));
+});
+
+test('isValidSlug enforces 3 to 63 characters', () => {
+  assert.ok(!isValidSlug('ab'));
+  assert.ok(isValidSlug('abc'));
+  assert.ok(isValidSlug('a'.repeat(63)));
+  assert.ok(!isValidSlug('a'.repeat(64)));
+});
+
+test('isValidSlug rejects misplaced hyphens and other characters', () => {
+  assert.ok(!isValidSlug('-shop'));
+  assert.ok(!isValidSlug('shop-'));
+  assert.ok(!isValidSlug('corner--shop'));
+  assert.ok(!isValidSlug('Corner-Shop'));
+  assert.ok(!isValidSlug('corner_shop'));
+  assert.ok(!isValidSlug('corner.shop'));
+});
+
+test('isValidSlug rejects reserved words', () => {
+  assert.ok(!isValidSlug('admin'));
+  assert.ok(!isValidSlug('checkout'));
+  assert.ok(!isValidSlug('www'));
+});
+
+test('requestHostname lowercases and drops a trailing dot', () => {
+  assert.equal(requestHostname({ hostname: 'Shop.Example.COM' }), 'shop.example.com');
+  assert.equal(requestHostname({ hostname: 'shop.example.com.' }), 'shop.example.com');
+  assert.equal(requestHostname({}), '');
+});
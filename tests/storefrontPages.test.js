@@ -0,0 +1,82 @@
+// tests/storefrontPages.test.js
+// Storefront pages: escaping of store data, safe URLs and colors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, safeUrl, cssColor, fontName, productPage } = require('../utils/storefrontPages');
+
+test('escapeHtml escapes markup and both kinds of quotes', () => {
+  assert.equal(escapeHtml('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(escapeHtml('" onmouseover="alert(1)'), '&quot; onmouseover=&quot;alert(1)');
+  assert.equal(escapeHtml("' autofocus onfocus='x"), '&#39; autofocus onfocus=&#39;x');
+  assert.equal(escapeHtml('Fish & Chips'), 'Fish &amp; Chips');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('safeUrl keeps http(s) URLs and paths on this site', () => {
+  assert.equal(safeUrl(' https://cdn.example.com/a.webp '), 'https://cdn.example.com/a.webp');
+  assert.equal(safeUrl('http://example.com'), 'http://example.com');
+  assert.equal(safeUrl('/images/logo.png'), '/images/logo.png');
+});
+
+test('safeUrl drops script, data and protocol-relative URLs', () => {
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl(' JavaScript:alert(1)'), null);
+  assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), null);
+  assert.equal(safeUrl('//evil.example.com/x.js'), null);
+  assert.equal(safeUrl({ href: 'https://example.com' }), null);
+});
+
+test('cssColor accepts hex, rgb()/hsl() and color names', () => {
+  assert.equal(cssColor('#ff6600', '#000'), '#ff6600');
+  assert.equal(cssColor('rgba(0, 0, 0, 0.5)', '#000'), 'rgba(0, 0, 0, 0.5)');
+  assert.equal(cssColor('hsl(200 50% 40%)', '#000'), 'hsl(200 50% 40%)');
+  assert.equal(cssColor('rebeccapurple', '#000'), 'rebeccapurple');
+});
+
+test('cssColor falls back for anything that could break out of the style sheet', () => {
+  assert.equal(cssColor('expression(alert(1))', '#000'), '#000');
+  assert.equal(cssColor('red; background: url(https://evil.example.com)', '#000'), '#000');
+  assert.equal(cssColor('#fff}</style><script>alert(1)</script>', '#000'), '#000');
+  assert.equal(cssColor('url(javascript:alert(1))', '#000'), '#000');
+  assert.equal(cssColor(null, '#000'), '#000');
+});
+
+test('fontName keeps plain family names only', () => {
+  assert.equal(fontName('open sans'), 'Open Sans');
+  assert.equal(fontName('Inter"; } body { display: none'), null);
+});
+
+test('productPage renders hostile store data inert', () => {
+  const html = productPage({
+    store: {
+      name: 'Shop</title><script>alert(1)</script>',
+      theme: 'bold',
+      primary_color: 'red;}</style><script>alert(2)</script>',
+      logo_url: 'javascript:alert(3)'
+    },
+    categories: [],
+    basePath: '/shop/corner',
+    canonical: 'https://corner.example.com/p/p1',
+    product: {
+      id: 'p1',
+      name: '"><img src=x onerror=alert(4)>',
+      description: '</script><script>alert(5)</script>',
+      price: 10,
+      stock: 1,
+      image_url: 'javascript:alert(6)',
+      images: [{ full: 'data:image/svg+xml,<svg onload=alert(7)>' }],
+      variants: [],
+      category_id: null
+    }
+  });
+
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.doesNotMatch(html, /javascript:/);
+  assert.doesNotMatch(html, /data:image/);
+  assert.doesNotMatch(html, /red;\}/);
+  // The JSON-LD block carries the description without closing its script element
+  assert.equal(html.match(/<\/script>/g).length, 1);
+});
@@ -0,0 +1,119 @@
+// tests/taxes.test.js
+// Order taxes: line tax, tax rate lookup and totals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withTables } = require('./helpers/supabase');
+const { lineTax, summarizeTaxes, applyTaxes } = require('../utils/taxes');
+
+const gst = { id: 'gst18', name: 'GST', rate: '18', components: [{ name: 'CGST', rate: '9' }, { name: 'SGST', rate: '9' }], is_default: false };
+const reduced = { id: 'gst5', name: 'GST', rate: '5', components: [], is_default: false };
+const standard = { id: 'vat20', name: 'VAT', rate: '20', components: [], is_default: true };
+
+test('lineTax adds each component on top of tax-exclusive prices', () => {
+  assert.deepEqual(lineTax(1000, gst, false), {
+    taxableCents: 1000,
+    taxCents: 180,
+    taxes: [{ name: 'CGST', rate: 9, cents: 90 }, { name: 'SGST', rate: 9, cents: 90 }]
+  });
+});
+
+test('lineTax takes the tax out of tax-inclusive prices', () => {
+  const tax = lineTax(1180, gst, true);
+
+  assert.equal(tax.taxableCents, 1000);
+  assert.equal(tax.taxCents, 180);
+  assert.deepEqual(tax.taxes.map(component => component.cents), [90, 90]);
+});
+
+test('lineTax gives the rounding leftover of inclusive tax to the first component', () => {
+  const tax = lineTax(1000, gst, true);
+
+  assert.equal(tax.taxCents, 153);
+  assert.equal(tax.taxableCents, 847);
+  assert.deepEqual(tax.taxes.map(component => component.cents), [77, 76]);
+});
+
+test('lineTax uses the rate name for a rate without components', () => {
+  assert.deepEqual(lineTax(1000, reduced, false).taxes, [{ name: 'GST', rate: 5, cents: 50 }]);
+});
+
+test('lineTax charges nothing at a zero rate', () => {
+  assert.deepEqual(lineTax(1000, { name: 'Exempt', rate: '0', components: [] }, false), {
+    taxableCents: 1000,
+    taxCents: 0,
+    taxes: []
+  });
+});
+
+test('summarizeTaxes adds up line taxes per tax and rate', () => {
+  const lines = [
+    { taxes: [{ name: 'CGST', rate: 9, amount: 0.9 }, { name: 'SGST', rate: 9, amount: 0.9 }] },
+    { taxes: [{ name: 'CGST', rate: 9, amount: 0.1 }, { name: 'SGST', rate: 9, amount: 0.1 }] },
+    { taxes: [{ name: 'GST', rate: 5, amount: 0.25 }] },
+    { taxes: [] }
+  ];
+
+  assert.deepEqual(summarizeTaxes(lines), [
+    { name: 'CGST', rate: 9, amount: 1 },
+    { name: 'SGST', rate: 9, amount: 1 },
+    { name: 'GST', rate: 5, amount: 0.25 }
+  ]);
+});
+
+test('applyTaxes picks the product rate, then the category tree, then the default', withTables({
+  tax_rates: [gst, reduced, standard],
+  categories: [
+    { id: 'food', parent_id: null, tax_rate_id: 'gst5' },
+    { id: 'fruit', parent_id: 'food', tax_rate_id: null }
+  ]
+}, async () => {
+  const order = {
+    lines: [
+      { product_id: 'p1', line_total: 10, discount_amount: 0 },
+      { product_id: 'p2', line_total: 10, discount_amount: 2 },
+      { product_id: 'p3', line_total: 10, discount_amount: 0 }
+    ],
+    totalAmount: 28
+  };
+
+  const result = await applyTaxes({
+    retailer: { id: 'r1', prices_include_tax: false },
+    order,
+    productCategories: new Map([['p1', 'fruit'], ['p2', 'fruit'], ['p3', null]]),
+    productTaxRates: new Map([['p1', 'gst18']])
+  });
+
+  assert.deepEqual(result.lines.map(line => line.tax_rate), [18, 5, 20]);
+  // p2 is taxed on 10.00 less its 2.00 discount
+  assert.deepEqual(result.lines.map(line => line.tax_amount), [1.8, 0.4, 2]);
+  assert.equal(result.taxAmount, 4.2);
+  assert.equal(result.totalAmount, 32.2);
+  assert.equal(result.pricesIncludeTax, false);
+}));
+
+test('applyTaxes leaves the total alone when prices include tax', withTables({ tax_rates: [standard] }, async () => {
+  const result = await applyTaxes({
+    retailer: { id: 'r1', prices_include_tax: true },
+    order: { lines: [{ product_id: 'p1', line_total: 12, discount_amount: 0 }], totalAmount: 12 },
+    productCategories: new Map([['p1', null]]),
+    productTaxRates: new Map()
+  });
+
+  assert.equal(result.lines[0].taxable_amount, 10);
+  assert.equal(result.taxAmount, 2);
+  assert.equal(result.totalAmount, 12);
+}));
+
+test('applyTaxes charges no tax when the store has no tax rates', withTables({ tax_rates: [] }, async () => {
+  const result = await applyTaxes({
+    retailer: { id: 'r1', prices_include_tax: false },
+    order: { lines: [{ product_id: 'p1', line_total: 12, discount_amount: 0 }], totalAmount: 12 },
+    productCategories: new Map([['p1', null]]),
+    productTaxRates: new Map()
+  });
+
+  assert.equal(result.lines[0].tax_amount, 0);
+  assert.deepEqual(result.taxes, []);
+  assert.equal(result.totalAmount, 12);
+}));
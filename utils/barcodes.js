@@ -0,0 +1,105 @@
+// utils/barcodes.js
+// Barcodes - EAN-13, EAN-8 and UPC-A check digits, in-store codes and bar patterns for labels
+
+const crypto = require('crypto');
+
+// EAN-8, UPC-A and EAN-13
+const BARCODE_LENGTHS = [8, 12, 13];
+
+// EAN-13 codes starting 20-29 are reserved for use inside a store; ours start with 20
+const IN_STORE_PREFIX = '20';
+
+// Digit patterns (1 = bar): L and G encode the left half, R the right half
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const G_CODES = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const R_CODES = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// The first EAN-13 digit isn't drawn: it picks L or G for each of the next six digits
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * GS1 check digit for the digits before it (weights 3 and 1, from the right)
+ */
+const checkDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Whether a code is a well-formed EAN-13, EAN-8 or UPC-A with a correct check digit
+ */
+const isValidBarcode = (code) => {
+  const value = String(code);
+  return /^\d+$/.test(value) &&
+    BARCODE_LENGTHS.includes(value.length) &&
+    checkDigit(value.slice(0, -1)) === value.slice(-1);
+};
+
+/**
+ * Codes a scan may stand for: scanners read UPC-A as EAN-13 with a leading 0, and the other way round
+ */
+const barcodeCandidates = (code) => {
+  const value = String(code).trim();
+  if (/^0\d{12}$/.test(value)) return [value, value.slice(1)];
+  if (/^\d{12}$/.test(value)) return [value, `0${value}`];
+  return [value];
+};
+
+/**
+ * A new random in-store EAN-13 (prefix 20), for products without a manufacturer barcode
+ */
+const inStoreBarcode = () => {
+  const digits = IN_STORE_PREFIX + String(crypto.randomInt(0, 1e10)).padStart(10, '0');
+  return digits + checkDigit(digits);
+};
+
+/**
+ * Bars of a barcode as a string of modules ('1' = bar, '0' = space), guard bars included
+ * EAN-13 and UPC-A (drawn as EAN-13) give 95 modules, EAN-8 gives 67
+ */
+const barcodeModules = (code) => {
+  const value = String(code).length === 12 ? `0${code}` : String(code);
+  const digits = value.split('').map(Number);
+
+  if (value.length === 8) {
+    return '101' +
+      digits.slice(0, 4).map(digit => L_CODES[digit]).join('') +
+      '01010' +
+      digits.slice(4).map(digit => R_CODES[digit]).join('') +
+      '101';
+  }
+
+  const parity = EAN13_PARITY[digits[0]];
+  return '101' +
+    digits.slice(1, 7).map((digit, index) => (parity[index] === 'L' ? L_CODES : G_CODES)[digit]).join('') +
+    '01010' +
+    digits.slice(7).map(digit => R_CODES[digit]).join('') +
+    '101';
+};
+
+/**
+ * The bars as [start, width] runs of modules, ready to draw as rectangles
+ */
+const barRuns = (modules) => {
+  const runs = [];
+  for (let i = 0; i < modules.length; i++) {
+    if (modules[i] !== '1') continue;
+    let width = 1;
+    while (modules[i + width] === '1') width++;
+    runs.push([i, width]);
+    i += width - 1;
+  }
+  return runs;
+};
+
+module.exports = {
+  BARCODE_LENGTHS,
+  isValidBarcode,
+  barcodeCandidates,
+  inStoreBarcode,
+  barcodeModules,
+  barRuns
+};
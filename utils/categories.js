@@ -0,0 +1,52 @@
+// utils/categories.js
+// Category helpers - building the category tree and finding subcategories
+
+// Columns returned for a category
+const CATEGORY_SELECT = 'id, parent_id, name, slug, description, image_url, sort_order, tax_rate_id, created_at, updated_at';
+
+// Siblings are shown by sort_order, then name
+const compareCategories = (a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name);
+
+/**
+ * Nest a flat list of categories: top-level categories, each with its children
+ * Returns [{ ...category, children: [...] }], every level sorted
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortLevel = (level) => {
+    level.sort(compareCategories);
+    level.forEach(node => sortLevel(node.children));
+    return level;
+  };
+
+  return sortLevel(roots);
+};
+
+/**
+ * Ids of a category and all of its subcategories, at any depth
+ */
+const categoryWithDescendants = (categories, categoryId) => {
+  const ids = [categoryId];
+
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parent_id === ids[i])
+      .forEach(category => ids.push(category.id));
+  }
+
+  return ids;
+};
+
+module.exports = {
+  CATEGORY_SELECT,
+  compareCategories,
+  buildCategoryTree,
+  categoryWithDescendants
+};
@@ -0,0 +1,84 @@
+// utils/csv.js
+// Minimal CSV reading and writing helpers (RFC 4180)
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value when it contains a comma, quote or line break
+ * Text that would open as a formula (customer names and notes come from the public checkout)
+ * is prefixed with ' so it stays plain text; numbers are written as they are.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the ' escapeCsvValue puts before formula-like text, so exported files import unchanged
+ */
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Turn an array of values into one CSV line (with trailing CRLF)
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Handles quoted values with commas, escaped quotes and line breaks, CRLF or LF line endings
+ * and a leading byte order mark. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    value = '';
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  escapeCsvValue,
+  unescapeFormula,
+  toCsvRow,
+  parseCsv
+};
@@ -0,0 +1,268 @@
+// utils/discounts.js
+// Order discounts - automatic promotions, discount codes and the delivery fee
+
+const { supabase } = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+const { toCents, fromCents } = require('./pricing');
+const { categoryWithDescendants } = require('./categories');
+
+// What a discount code takes off
+const DISCOUNT_CODE_TYPES = ['percentage', 'fixed_amount', 'free_delivery'];
+
+// Automatic promotions: buy X get Y (cheapest units discounted) or a percentage off
+const PROMOTION_TYPES = ['buy_x_get_y', 'percentage'];
+
+// Codes are stored and matched in upper case
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Whether a code or promotion is switched on and inside its validity window
+ */
+const isCurrent = (offer, now = new Date()) =>
+  offer.is_active &&
+  (!offer.starts_at || new Date(offer.starts_at) <= now) &&
+  (!offer.ends_at || new Date(offer.ends_at) > now);
+
+/**
+ * Indexes of the lines an offer applies to: every line, unless the offer is limited
+ * to some products or categories (a category includes its subcategories)
+ */
+const eligibleLines = (offer, lines, productCategories, categories) => {
+  const productIds = offer.product_ids || [];
+  const categoryIds = (offer.category_ids || []).flatMap(id => categoryWithDescendants(categories, id));
+  const scoped = productIds.length || categoryIds.length;
+
+  return lines
+    .map((line, index) => index)
+    .filter(index => !scoped
+      || productIds.includes(lines[index].product_id)
+      || categoryIds.includes(productCategories.get(lines[index].product_id)));
+};
+
+/**
+ * Split an amount (cents) over lines in proportion to what is left of each line
+ * Returns { [lineIndex]: cents }, adding up exactly to the amount
+ */
+const spread = (amountCents, indexes, remaining) => {
+  const base = indexes.reduce((sum, index) => sum + remaining[index], 0);
+  const shares = {};
+  let left = amountCents;
+
+  indexes.forEach(index => {
+    shares[index] = base ? Math.floor(amountCents * remaining[index] / base) : 0;
+    left -= shares[index];
+  });
+
+  // Rounding leftovers go to the first lines that still have room
+  for (const index of indexes) {
+    if (left <= 0) break;
+    const extra = Math.min(left, remaining[index] - shares[index]);
+    shares[index] += extra;
+    left -= extra;
+  }
+
+  return shares;
+};
+
+/**
+ * Cents a promotion takes off each eligible line
+ */
+const promotionShares = (promotion, indexes, lines, remaining) => {
+  if (promotion.type === 'percentage') {
+    const base = indexes.reduce((sum, index) => sum + remaining[index], 0);
+    return spread(Math.round(base * parseFloat(promotion.value) / 100), indexes, remaining);
+  }
+
+  // buy_x_get_y: every full group of buy + get units makes get units discounted, cheapest first
+  const units = indexes.reduce((sum, index) => sum + lines[index].quantity, 0);
+  let discountedUnits = Math.floor(units / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+  const shares = {};
+
+  [...indexes]
+    .sort((a, b) => toCents(lines[a].unit_price) - toCents(lines[b].unit_price))
+    .forEach(index => {
+      const taken = Math.min(discountedUnits, lines[index].quantity);
+      discountedUnits -= taken;
+      shares[index] = Math.min(
+        Math.round(taken * toCents(lines[index].unit_price) * parseFloat(promotion.value) / 100),
+        remaining[index]
+      );
+    });
+
+  return shares;
+};
+
+/**
+ * Load a discount code and check that it can be used on this order
+ * Usage limits are checked when the order is placed (place_order), where the code is locked
+ */
+const findDiscountCode = async (retailerId, code, subtotalCents, customer) => {
+  const { data, error } = await supabase
+    .from('discount_codes')
+    .select('*')
+    .eq('retailer_id', retailerId)
+    .eq('code', normalizeCode(code))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const now = new Date();
+  const label = normalizeCode(code);
+
+  if (!data || !data.is_active) {
+    throw createError(400, `Discount code ${label} is not valid`);
+  }
+  if (data.starts_at && new Date(data.starts_at) > now) {
+    throw createError(400, `Discount code ${label} is not active yet`);
+  }
+  if (data.ends_at && new Date(data.ends_at) <= now) {
+    throw createError(400, `Discount code ${label} has expired`);
+  }
+  if (data.min_order_amount !== null && subtotalCents < toCents(data.min_order_amount)) {
+    throw createError(400, `Discount code ${label} needs an order of at least ${parseFloat(data.min_order_amount).toFixed(2)}`);
+  }
+  if (data.usage_limit_per_customer !== null && !customer.email && !customer.phone) {
+    throw createError(400, `Discount code ${label} needs the customer's email address or phone number`);
+  }
+
+  return data;
+};
+
+/**
+ * Work out an order's discounts and delivery fee
+ * Automatic promotions apply first, then the discount code on what is left of each line.
+ * The store's delivery fee is waived once the discounted order reaches free_delivery_min_order;
+ * deliveryFee replaces the store's fee (orders entered by the retailer).
+ * Returns { lines (each with discount_amount), subtotalAmount, discountAmount, deliveryFee,
+ *           totalAmount, discounts: [{ discount_code_id, promotion_id, code, name, type, amount }] }
+ */
+const applyDiscounts = async ({ retailer, lines, productCategories, code, customer = {}, deliveryFee }) => {
+  const lineCents = lines.map(line => toCents(line.line_total));
+  const subtotalCents = lineCents.reduce((sum, cents) => sum + cents, 0);
+
+  const [{ data: promotions, error: promotionError }, discountCode] = await Promise.all([
+    supabase
+      .from('promotions')
+      .select('*')
+      .eq('retailer_id', retailer.id)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true }),
+    code ? findDiscountCode(retailer.id, code, subtotalCents, customer) : null
+  ]);
+
+  if (promotionError) {
+    throw promotionError;
+  }
+
+  const offers = promotions
+    .filter(promotion => isCurrent(promotion))
+    .filter(promotion => promotion.min_order_amount === null || subtotalCents >= toCents(promotion.min_order_amount));
+
+  let categories = [];
+  if ([...offers, discountCode].some(offer => offer && offer.category_ids.length)) {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('id, parent_id')
+      .eq('retailer_id', retailer.id);
+
+    if (error) {
+      throw error;
+    }
+    categories = data;
+  }
+
+  const remaining = [...lineCents];
+  const discounts = [];
+
+  const take = (shares) => {
+    let total = 0;
+    Object.entries(shares).forEach(([index, cents]) => {
+      remaining[index] -= cents;
+      total += cents;
+    });
+    return total;
+  };
+
+  offers.forEach(promotion => {
+    const indexes = eligibleLines(promotion, lines, productCategories, categories);
+    const cents = take(promotionShares(promotion, indexes, lines, remaining));
+
+    if (cents > 0) {
+      discounts.push({
+        discount_code_id: null,
+        promotion_id: promotion.id,
+        code: null,
+        name: promotion.name,
+        type: promotion.type,
+        amount: fromCents(cents)
+      });
+    }
+  });
+
+  let codeCents = 0;
+  if (discountCode && discountCode.type !== 'free_delivery') {
+    const indexes = eligibleLines(discountCode, lines, productCategories, categories);
+    const base = indexes.reduce((sum, index) => sum + remaining[index], 0);
+
+    if (!base) {
+      throw createError(400, `Discount code ${discountCode.code} doesn't apply to any item in this order`);
+    }
+
+    const wanted = discountCode.type === 'percentage'
+      ? Math.round(base * parseFloat(discountCode.value) / 100)
+      : toCents(discountCode.value);
+    const cap = discountCode.max_discount_amount !== null ? toCents(discountCode.max_discount_amount) : Infinity;
+
+    codeCents = take(spread(Math.min(wanted, cap, base), indexes, remaining));
+  }
+
+  // Delivery: the given fee, or the store's fee unless the discounted order qualifies for free delivery
+  let deliveryCents;
+  if (deliveryFee !== undefined && deliveryFee !== null) {
+    deliveryCents = toCents(deliveryFee);
+  } else {
+    const freeFrom = retailer.free_delivery_min_order;
+    const itemsCents = remaining.reduce((sum, cents) => sum + cents, 0);
+    const qualifies = freeFrom !== null && freeFrom !== undefined && itemsCents >= toCents(freeFrom);
+    deliveryCents = qualifies ? 0 : toCents(retailer.delivery_fee || 0);
+  }
+
+  if (discountCode && discountCode.type === 'free_delivery') {
+    if (!deliveryCents) {
+      throw createError(400, `Discount code ${discountCode.code} gives free delivery, but this order has no delivery fee`);
+    }
+    codeCents = deliveryCents;
+  }
+
+  if (discountCode) {
+    discounts.push({
+      discount_code_id: discountCode.id,
+      promotion_id: null,
+      code: discountCode.code,
+      name: discountCode.description || `Code ${discountCode.code}`,
+      type: discountCode.type,
+      amount: fromCents(codeCents)
+    });
+  }
+
+  const discountCents = discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, discount_amount: fromCents(lineCents[index] - remaining[index]) })),
+    subtotalAmount: fromCents(subtotalCents),
+    discountAmount: fromCents(discountCents),
+    deliveryFee: fromCents(deliveryCents),
+    totalAmount: fromCents(subtotalCents - discountCents + deliveryCents),
+    discounts
+  };
+};
+
+module.exports = {
+  DISCOUNT_CODE_TYPES,
+  PROMOTION_TYPES,
+  normalizeCode,
+  isCurrent,
+  applyDiscounts
+};
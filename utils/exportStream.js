@@ -0,0 +1,71 @@
+// utils/exportStream.js
+// Streams large exports (orders, catalogue) to the response as CSV or XLSX, batch by batch
+
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+/**
+ * Write an export to the response
+ * columns: [{ header, key, width }]
+ * batch: the first batch of records, fetched before calling so query errors still get a JSON response
+ * nextBatch(batch): the records after a batch ([] when there are no more)
+ * toRows(record): the export rows of one record
+ * Once the headers are out a failure can't be answered with JSON any more: it is logged and the
+ * response destroyed, so the client sees a failed download rather than a file that looks complete.
+ */
+const streamExport = async (res, { format, filename, sheetName, columns, batch, nextBatch, toRows }) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.columns = columns;
+
+      while (batch.length && !res.destroyed) {
+        batch.forEach(record => toRows(record).forEach(row => worksheet.addRow(row).commit()));
+        batch = await nextBatch(batch);
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+    // Write a chunk, waiting for the client to catch up when the socket buffer is full
+    // (or gives up); whichever of drain and close comes first, the other listener is removed
+    const write = (chunk) => new Promise(resolve => {
+      if (res.write(chunk)) return resolve();
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.once('drain', done);
+      res.once('close', done);
+    });
+
+    await write(toCsvRow(columns.map(column => column.header)));
+
+    while (batch.length && !res.destroyed) {
+      const lines = batch
+        .flatMap(toRows)
+        .map(row => toCsvRow(columns.map(column => row[column.key])));
+      await write(lines.join(''));
+      batch = await nextBatch(batch);
+    }
+
+    res.end();
+  } catch (error) {
+    console.error(`Export ${filename} failed:`, error.message);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  streamExport
+};
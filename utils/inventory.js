@@ -0,0 +1,58 @@
+// utils/inventory.js
+// Inventory helpers - stock movement reasons, reorder thresholds and stock alerts
+
+const { variantLabel } = require('./variants');
+
+// Every reason a stock movement can have
+const STOCK_MOVEMENT_REASONS = ['sale', 'cancellation', 'manual_adjustment', 'damage', 'restock', 'return'];
+
+/**
+ * Reasons a retailer can give for a manual stock adjustment
+ * (sales, cancellations and returns are recorded by the order workflow)
+ */
+const STOCK_ADJUSTMENT_REASONS = ['manual_adjustment', 'damage', 'restock'];
+
+// Store-wide low stock threshold when the retailer hasn't set one
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// low_stock: stock fell to the reorder threshold; out_of_stock: stock reached zero
+const STOCK_ALERT_TYPES = ['low_stock', 'out_of_stock'];
+
+/**
+ * Stock level at or below which a product (or its variants) needs reordering:
+ * the product's own reorder_threshold, else the store's low_stock_threshold
+ */
+const reorderThreshold = (product, retailer) => {
+  if (product.reorder_threshold !== null && product.reorder_threshold !== undefined) {
+    return product.reorder_threshold;
+  }
+  return retailer.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+// Stock alert with the product (and variant) it is about
+const STOCK_ALERT_SELECT = `
+  id, product_id, variant_id, type, stock, threshold, acknowledged_at, resolved_at, created_at,
+  products ( name, options, image_url ),
+  product_variants ( option_values, sku )
+`;
+
+/**
+ * Flatten an alert row: name is "T-shirt - M / red" for variant alerts, the product name otherwise
+ */
+const describeAlert = ({ products, product_variants, ...alert }) => ({
+  ...alert,
+  name: product_variants
+    ? `${products.name} - ${variantLabel(products.options, product_variants.option_values)}`
+    : products.name,
+  image_url: products.image_url,
+  sku: product_variants ? product_variants.sku : null
+});
+
+module.exports = {
+  STOCK_MOVEMENT_REASONS,
+  STOCK_ADJUSTMENT_REASONS,
+  STOCK_ALERT_TYPES,
+  STOCK_ALERT_SELECT,
+  reorderThreshold,
+  describeAlert
+};
@@ -0,0 +1,145 @@
+// utils/invoicePdf.js
+// Renders an issued invoice (its stored snapshot) as a PDF document
+
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// INV-000042
+const formatInvoiceNumber = (number) => `INV-${String(number).padStart(6, '0')}`;
+
+/**
+ * Download the store logo for the header
+ * Returns null when there is no logo or it can't be fetched quickly - the invoice is still rendered
+ */
+const fetchLogo = async (logoUrl) => {
+  if (!logoUrl) return null;
+
+  try {
+    const response = await fetch(logoUrl, { signal: AbortSignal.timeout(3000) });
+    const contentType = response.headers.get('content-type') || '';
+
+    // PDFKit can only embed PNG and JPEG images
+    if (!response.ok || !/image\/(png|jpe?g)/.test(contentType)) return null;
+
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    console.error('Invoice logo fetch failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * contact_info may be a plain string or an object like { email, phone, address }
+ */
+const contactLines = (contactInfo) => {
+  if (!contactInfo) return [];
+  if (typeof contactInfo === 'string') return [contactInfo];
+
+  return Object.entries(contactInfo)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key.charAt(0).toUpperCase()}${key.slice(1)}: ${value}`);
+};
+
+/**
+ * Write the invoice PDF to a writable stream (usually the response)
+ * invoice: { invoice_number, issued_at, snapshot: { store, customer, order, items, subtotal, discounts, delivery_fee, taxes, total } }
+ */
+const renderInvoicePdf = async (invoice, stream) => {
+  const { store, customer, order, items, subtotal, discounts = [], delivery_fee, taxes = [], total } = invoice.snapshot;
+  const logo = await fetchLogo(store.logo_url);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  // Header: logo, store name and contact details
+  if (logo) {
+    try {
+      doc.image(logo, 50, 45, { fit: [80, 80] });
+    } catch (error) {
+      console.error('Invoice logo could not be embedded:', error.message);
+    }
+  }
+
+  doc.fontSize(18).text(store.name, 150, 50, { align: 'right' });
+  doc.fontSize(9);
+  contactLines(store.contact_info).forEach(line => doc.text(line, { align: 'right' }));
+
+  // Invoice details and customer
+  doc.moveDown(3);
+  const detailsTop = Math.max(doc.y, 140);
+  doc.fontSize(16).text('INVOICE', 50, detailsTop);
+  doc.fontSize(10)
+    .text(`Invoice number: ${formatInvoiceNumber(invoice.invoice_number)}`)
+    .text(`Invoice date: ${formatDate(invoice.issued_at)}`)
+    .text(`Order: ${order.reference} (${formatDate(order.created_at)})`);
+
+  doc.fontSize(10).text('Bill to:', 350, detailsTop + 22);
+  [customer.name, customer.email, customer.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, 350));
+
+  // Line items table
+  const columns = { item: 50, quantity: 320, unitPrice: 380, amount: 470 };
+  let y = Math.max(doc.y, detailsTop + 80) + 20;
+
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Item', columns.item, y);
+  doc.text('Qty', columns.quantity, y, { width: 50, align: 'right' });
+  doc.text('Unit price', columns.unitPrice, y, { width: 80, align: 'right' });
+  doc.text('Amount', columns.amount, y, { width: 75, align: 'right' });
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  doc.font('Helvetica');
+  y += 25;
+
+  items.forEach(item => {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.text(item.name, columns.item, y, { width: 260 });
+    const rowHeight = Math.max(doc.y - y, 15);
+    doc.text(String(item.quantity), columns.quantity, y, { width: 50, align: 'right' });
+    doc.text(formatAmount(item.unit_price), columns.unitPrice, y, { width: 80, align: 'right' });
+    doc.text(formatAmount(item.line_total), columns.amount, y, { width: 75, align: 'right' });
+    y += rowHeight + 5;
+  });
+
+  // Totals: subtotal, each discount, delivery, each tax line, grand total
+  doc.moveTo(320, y).lineTo(545, y).stroke();
+  y += 10;
+
+  const totalRow = (label, amount, bold = false, sign = '') => {
+    if (y > 740) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, columns.quantity, y, { width: 140, align: 'right' });
+    doc.text(`${sign}${formatAmount(amount)}`, columns.amount, y, { width: 75, align: 'right' });
+    y += 18;
+  };
+
+  totalRow('Subtotal', subtotal);
+  discounts.forEach(discount => totalRow(discount.name, discount.amount, false, '-'));
+  if (parseFloat(delivery_fee) > 0) totalRow('Delivery', delivery_fee);
+  taxes.forEach(tax => totalRow(tax.name, tax.amount));
+  totalRow('Total', total, true);
+  doc.font('Helvetica');
+
+  // Footer
+  if (store.footer_text) {
+    doc.fontSize(8).text(store.footer_text, 50, 760, { width: 495, align: 'center' });
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  renderInvoicePdf
+};
@@ -0,0 +1,132 @@
+// utils/labelSheets.js
+// Printable barcode label sheets - A4, 3 x 8 labels of 63.5 x 33.9 mm, as PDF or SVG
+
+const PDFDocument = require('pdfkit');
+const { barcodeModules, barRuns } = require('./barcodes');
+
+// Sheet geometry in points (1 mm = 2.835 pt)
+const PAGE = { width: 595.28, height: 841.89 };
+const LABEL = { width: 180, height: 96 };
+const COLUMNS = 3;
+const ROWS = 8;
+const GAP = 7;
+const MARGIN_X = (PAGE.width - COLUMNS * LABEL.width - (COLUMNS - 1) * GAP) / 2;
+const MARGIN_Y = (PAGE.height - ROWS * LABEL.height) / 2;
+const LABELS_PER_PAGE = COLUMNS * ROWS;
+
+// Bars: module width, bar height, and how far the guard bars reach below the others
+const MODULE = 1.2;
+const BAR_TOP = 30;
+const BAR_HEIGHT = 42;
+const GUARD_EXTRA = 5;
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+/**
+ * Where each label goes: { page, x, y } of its top-left corner
+ */
+const labelPosition = (index) => {
+  const slot = index % LABELS_PER_PAGE;
+  return {
+    page: Math.floor(index / LABELS_PER_PAGE),
+    x: MARGIN_X + (slot % COLUMNS) * (LABEL.width + GAP),
+    y: MARGIN_Y + Math.floor(slot / COLUMNS) * LABEL.height
+  };
+};
+
+/**
+ * The bars of a label as rectangles { x, y, width, height }, centred on the label
+ * Guard bars (the start, middle and end patterns) are drawn a little longer
+ */
+const barRects = (barcode, x, y) => {
+  const modules = barcodeModules(barcode);
+  const guards = modules.length === 95 ? [[0, 3], [45, 50], [92, 95]] : [[0, 3], [31, 36], [64, 67]];
+  const left = x + (LABEL.width - modules.length * MODULE) / 2;
+
+  return barRuns(modules).map(([start, width]) => ({
+    x: left + start * MODULE,
+    y: y + BAR_TOP,
+    width: width * MODULE,
+    height: BAR_HEIGHT + (guards.some(([from, to]) => start >= from && start < to) ? GUARD_EXTRA : 0)
+  }));
+};
+
+/**
+ * Write the labels as a PDF to a writable stream (usually the response)
+ * labels: [{ name, price, barcode }]; price is left out when showPrice is false
+ */
+const renderLabelsPdf = (labels, stream, { showPrice = true } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 0 });
+  doc.pipe(stream);
+
+  labels.forEach((label, index) => {
+    const { x, y } = labelPosition(index);
+    if (index && !(index % LABELS_PER_PAGE)) doc.addPage();
+
+    doc.font('Helvetica-Bold').fontSize(8)
+      .text(label.name, x + 6, y + 6, { width: LABEL.width - 12, height: 10, align: 'center', lineBreak: false, ellipsis: true });
+
+    if (showPrice) {
+      doc.font('Helvetica').fontSize(8)
+        .text(formatAmount(label.price), x + 6, y + 17, { width: LABEL.width - 12, align: 'center', lineBreak: false });
+    }
+
+    barRects(label.barcode, x, y).forEach(bar => doc.rect(bar.x, bar.y, bar.width, bar.height));
+    doc.fill('black');
+
+    doc.font('Helvetica').fontSize(8)
+      .text(label.barcode, x, y + BAR_TOP + BAR_HEIGHT + GUARD_EXTRA + 2, { width: LABEL.width, align: 'center', lineBreak: false, characterSpacing: 1 });
+  });
+
+  doc.end();
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The name is cut to what fits on one line at 8pt
+const fitName = (name) => (name.length > 32 ? `${name.slice(0, 31)}…` : name);
+
+/**
+ * The labels as one SVG, A4 wide, with the pages one under the other
+ * labels: [{ name, price, barcode }]; price is left out when showPrice is false
+ */
+const renderLabelsSvg = (labels, { showPrice = true } = {}) => {
+  const pages = Math.max(1, Math.ceil(labels.length / LABELS_PER_PAGE));
+  const height = PAGE.height * pages;
+  const centre = LABEL.width / 2;
+
+  const body = labels.map((label, index) => {
+    const { page, x, y: labelY } = labelPosition(index);
+    const y = labelY + page * PAGE.height;
+    const bars = barRects(label.barcode, x, y)
+      .map(bar => `<rect x="${bar.x.toFixed(2)}" y="${bar.y.toFixed(2)}" width="${bar.width.toFixed(2)}" height="${bar.height}"/>`)
+      .join('');
+
+    return [
+      `<g>`,
+      `<text x="${(x + centre).toFixed(2)}" y="${(y + 13).toFixed(2)}" font-weight="bold">${escapeXml(fitName(label.name))}</text>`,
+      showPrice ? `<text x="${(x + centre).toFixed(2)}" y="${(y + 24).toFixed(2)}">${formatAmount(label.price)}</text>` : '',
+      bars,
+      `<text x="${(x + centre).toFixed(2)}" y="${(y + BAR_TOP + BAR_HEIGHT + GUARD_EXTRA + 9).toFixed(2)}" letter-spacing="1">${label.barcode}</text>`,
+      `</g>`
+    ].join('');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="210mm" height="${297 * pages}mm" viewBox="0 0 ${PAGE.width} ${height.toFixed(2)}"` +
+      ' font-family="Helvetica, Arial, sans-serif" font-size="8" text-anchor="middle">',
+    body,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  renderLabelsPdf,
+  renderLabelsSvg
+};
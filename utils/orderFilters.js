@@ -0,0 +1,119 @@
+// utils/orderFilters.js
+// Order list filters and sorting - shared by the paginated order list, its count and the export
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns the order list can be sorted by
+const ORDER_SORT_COLUMNS = [
+  'created_at',
+  'updated_at',
+  'total_amount',
+  'refunded_amount',
+  'customer_name',
+  'customer_email',
+  'status',
+  'reference'
+];
+
+// Columns the search box looks in
+const ORDER_SEARCH_COLUMNS = ['customer_name', 'customer_email', 'customer_phone', 'notes', 'reference'];
+
+/**
+ * End of a date range: a plain date ("2025-01-31") includes that whole day
+ */
+const rangeEnd = (to) => {
+  if (!DATE_ONLY.test(to)) return { op: 'lte', value: to };
+
+  const nextDay = new Date(`${to}T00:00:00.000Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return { op: 'lt', value: nextDay.toISOString() };
+};
+
+/**
+ * Quote a value for use inside a PostgREST or() filter, so commas and parentheses are literal
+ */
+const quoteFilterValue = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * status can be a single status or a comma separated list ("pending,confirmed")
+ */
+const parseStatuses = (status) => String(status).split(',').map(value => value.trim()).filter(Boolean);
+
+/**
+ * Extra embed needed in the select when filtering by product:
+ * an inner join on the order's items, so only orders containing the product match
+ * (the order's full item list is still returned by the regular order_items embed)
+ */
+const orderFilterEmbeds = ({ product_id }) => (product_id ? ', matched_items:order_items!inner(product_id)' : '');
+
+/**
+ * Apply the order list filters to a Supabase query on orders
+ * Filters: { status, customer_name, from, to, min_total, max_total, product_id, q }
+ * The query's select must include orderFilterEmbeds(filters)
+ */
+const applyOrderFilters = (query, { status, customer_name, from, to, min_total, max_total, product_id, q }) => {
+  if (status) {
+    const statuses = parseStatuses(status);
+    query = statuses.length === 1 ? query.eq('status', statuses[0]) : query.in('status', statuses);
+  }
+
+  if (customer_name) {
+    query = query.ilike('customer_name', `%${customer_name}%`);
+  }
+
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+
+  if (to) {
+    const { op, value } = rangeEnd(to);
+    query = query[op]('created_at', value);
+  }
+
+  if (min_total !== undefined && min_total !== '') {
+    query = query.gte('total_amount', parseFloat(min_total));
+  }
+
+  if (max_total !== undefined && max_total !== '') {
+    query = query.lte('total_amount', parseFloat(max_total));
+  }
+
+  if (product_id) {
+    query = query.eq('matched_items.product_id', product_id);
+  }
+
+  // One search box: customer name, email, phone, notes, order reference or full order ID
+  if (q && q.trim()) {
+    const term = q.trim();
+    const conditions = ORDER_SEARCH_COLUMNS.map(column => `${column}.ilike.${quoteFilterValue(`%${term}%`)}`);
+
+    if (UUID.test(term)) {
+      conditions.push(`id.eq.${term}`);
+    }
+
+    query = query.or(conditions.join(','));
+  }
+
+  return query;
+};
+
+/**
+ * Sort the order list by any of ORDER_SORT_COLUMNS (newest first by default)
+ * id is used as a tie-breaker so pages don't overlap
+ */
+const applyOrderSort = (query, { sort = 'created_at', order = 'desc' }) => {
+  const ascending = order === 'asc';
+  return query
+    .order(sort, { ascending })
+    .order('id', { ascending });
+};
+
+module.exports = {
+  ORDER_SORT_COLUMNS,
+  rangeEnd,
+  parseStatuses,
+  orderFilterEmbeds,
+  applyOrderFilters,
+  applyOrderSort
+};
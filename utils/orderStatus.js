@@ -0,0 +1,45 @@
+// utils/orderStatus.js
+// Order status state machine - the allowed transitions between order statuses
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * Allowed transitions: pending → confirmed → processing → shipped → delivered
+ * Cancellation is only possible before the order has shipped
+ * delivered and cancelled are final
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Why an order was cancelled - required when cancelling, reported in order stats
+const CANCELLATION_REASONS = ['customer_request', 'out_of_stock', 'payment_failed'];
+
+/**
+ * Return (RMA) workflow: the retailer approves or rejects a requested return,
+ * then marks approved returns as received (optionally restocking them)
+ */
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  rejected: [],
+  received: []
+};
+
+/**
+ * Check whether an order may move from one status to another
+ */
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  CANCELLATION_REASONS,
+  RETURN_TRANSITIONS,
+  canTransition
+};
@@ -0,0 +1,177 @@
+// utils/pricing.js
+// Order pricing helpers - turns requested items into priced line items
+
+const { supabase } = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+const { variantLabel } = require('./variants');
+
+/**
+ * Money helpers
+ * Amounts are summed in integer cents to avoid floating point drift
+ */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => Math.round(cents) / 100;
+
+/**
+ * Whether a product's or variant's sale price applies at a moment (now by default)
+ * A sale without start or end time is open-ended on that side
+ */
+const isOnSale = (item, at = new Date()) =>
+  item.sale_price !== null && item.sale_price !== undefined &&
+  (!item.sale_starts_at || new Date(item.sale_starts_at) <= at) &&
+  (!item.sale_ends_at || new Date(item.sale_ends_at) > at);
+
+/**
+ * The price charged for a product or variant at a moment: the sale price during its sale
+ */
+const effectivePrice = (item, at = new Date()) =>
+  parseFloat(isOnSale(item, at) ? item.sale_price : item.price);
+
+/**
+ * Add the price charged now to a product or variant: effective_price and on_sale
+ */
+const withEffectivePrice = (item, at = new Date()) => ({
+  ...item,
+  effective_price: effectivePrice(item, at),
+  on_sale: isOnSale(item, at)
+});
+
+/**
+ * Prices as customers see them: price is what they pay now, compare_at_price the higher
+ * "was" price to strike through (the regular price during a sale, or the compare-at price),
+ * and sale_ends_at while on sale
+ */
+const storePrice = ({ price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, ...item }, at = new Date()) => {
+  const onSale = isOnSale({ sale_price, sale_starts_at, sale_ends_at }, at);
+  const current = onSale ? parseFloat(sale_price) : parseFloat(price);
+  const compareAt = compare_at_price === null || compare_at_price === undefined ? 0 : parseFloat(compare_at_price);
+  const was = Math.max(onSale ? parseFloat(price) : 0, compareAt);
+
+  return {
+    ...item,
+    price: current,
+    compare_at_price: was > current ? was : null,
+    on_sale: onSale,
+    sale_ends_at: onSale ? sale_ends_at : null
+  };
+};
+
+/**
+ * Merge duplicate products (or variants) in a cart into a single line
+ * [{ product_id, variant_id, quantity }] -> [{ product_id, variant_id, quantity }]
+ */
+const mergeItems = (items) => {
+  const merged = new Map();
+
+  items.forEach(({ product_id, variant_id = null, quantity }) => {
+    const key = `${product_id}:${variant_id || ''}`;
+    const current = merged.get(key);
+
+    if (current) {
+      current.quantity += parseInt(quantity);
+    } else {
+      merged.set(key, { product_id, variant_id, quantity: parseInt(quantity) });
+    }
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Price the requested items against the retailer's active products
+ * Products with variants must be ordered by variant; the variant's price and stock apply.
+ * The price charged is the effective price at the time of ordering (sale prices included)
+ * Returns line items with a unit price snapshot, the order total, and each product's category_id
+ * (productCategories, used to scope discounts and find tax rates) and tax_rate_id (productTaxRates)
+ * Throws 404 for unknown/inactive products or variants, 400 when a variant is missing
+ * and 409 for insufficient stock
+ */
+const priceOrderItems = async (retailerId, items) => {
+  const requested = mergeItems(items);
+  const productIds = [...new Set(requested.map(item => item.product_id))];
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select(`
+      id, name, price, sale_price, sale_starts_at, sale_ends_at, stock, options, category_id, tax_rate_id,
+      product_variants ( id, option_values, price, sale_price, sale_starts_at, sale_ends_at, stock, is_active )
+    `)
+    .in('id', productIds)
+    .eq('retailer_id', retailerId)
+    .eq('is_active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const now = new Date();
+  let totalCents = 0;
+
+  const lines = requested.map(({ product_id, variant_id, quantity }) => {
+    const product = productsById.get(product_id);
+
+    if (!product) {
+      throw createError(404, `Product ${product_id} not found or not available`);
+    }
+
+    // What is being bought: the product itself, or one of its variants
+    let sellable = product;
+    let label = null;
+
+    // Once every variant is deactivated the product sells as a plain product again
+    const variants = product.product_variants.filter(variant => variant.is_active);
+
+    if (variants.length || variant_id) {
+      if (!variant_id) {
+        throw createError(400, `Please choose a variant of ${product.name}`);
+      }
+
+      sellable = variants.find(variant => variant.id === variant_id);
+
+      if (!sellable) {
+        throw createError(404, `Variant ${variant_id} of ${product.name} not found or not available`);
+      }
+
+      label = variantLabel(product.options, sellable.option_values);
+    }
+
+    const displayName = label ? `${product.name} - ${label}` : product.name;
+
+    if (sellable.stock < quantity) {
+      throw createError(409, `Insufficient stock for ${displayName}. Available: ${sellable.stock}, Requested: ${quantity}`);
+    }
+
+    const unitCents = toCents(effectivePrice(sellable, now));
+    const lineCents = unitCents * quantity;
+    totalCents += lineCents;
+
+    return {
+      product_id,
+      variant_id: variant_id || null,
+      product_name: product.name,
+      variant_label: label,
+      quantity,
+      unit_price: fromCents(unitCents),
+      line_total: fromCents(lineCents)
+    };
+  });
+
+  return {
+    lines,
+    totalAmount: fromCents(totalCents),
+    productCategories: new Map(products.map(product => [product.id, product.category_id])),
+    productTaxRates: new Map(products.map(product => [product.id, product.tax_rate_id]))
+  };
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  isOnSale,
+  effectivePrice,
+  withEffectivePrice,
+  storePrice,
+  mergeItems,
+  priceOrderItems
+};
@@ -0,0 +1,118 @@
+// utils/productImages.js
+// Product image processing - resizes uploads to the standard sizes as WebP and stores them
+
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+
+// Same bucket as logo and banner uploads
+const IMAGE_BUCKET = 'public-assets';
+
+// Most images a product's gallery can hold
+const MAX_PRODUCT_IMAGES = 20;
+
+/**
+ * Standard sizes: thumbnail is cropped square (lists, order items),
+ * card and full keep the aspect ratio (product cards, product page / zoom)
+ */
+const IMAGE_SIZES = {
+  thumbnail: { width: 150, height: 150, fit: 'cover' },
+  card: { width: 600, height: 600, fit: 'inside' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+/**
+ * Folder of an image's size files: retailer-uploads/<retailer>/products/<product>/<image>
+ */
+const imageStoragePath = (retailerId, productId, imageId) =>
+  `retailer-uploads/${retailerId}/products/${productId}/${imageId}`;
+
+const sizeFiles = (storagePath) => Object.keys(IMAGE_SIZES).map(size => `${storagePath}/${size}.webp`);
+
+/**
+ * Resize an uploaded image to every standard size as WebP
+ * Photos are rotated by their EXIF orientation and never enlarged.
+ * Returns { files: { thumbnail, card, full } (buffers), width, height } - width/height of the full size
+ */
+const renderImageSizes = async (buffer) => {
+  try {
+    const files = {};
+    let fullInfo;
+
+    for (const [size, { width, height, fit }] of Object.entries(IMAGE_SIZES)) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      files[size] = data;
+      if (size === 'full') fullInfo = info;
+    }
+
+    return { files, width: fullInfo.width, height: fullInfo.height };
+  } catch (error) {
+    throw createError(400, 'The file could not be read as an image');
+  }
+};
+
+/**
+ * Upload an image's size files and return their public URLs ({ thumbnail, card, full })
+ */
+const storeImageSizes = async (storagePath, files) => {
+  const urls = {};
+
+  for (const [size, data] of Object.entries(files)) {
+    const filePath = `${storagePath}/${size}.webp`;
+
+    const { error } = await supabaseAdmin.storage
+      .from(IMAGE_BUCKET)
+      .upload(filePath, data, { contentType: 'image/webp', cacheControl: '31536000', upsert: false });
+
+    if (error) {
+      await removeImageFiles([storagePath]);
+      throw error;
+    }
+
+    urls[size] = supabaseAdmin.storage.from(IMAGE_BUCKET).getPublicUrl(filePath).data.publicUrl;
+  }
+
+  return urls;
+};
+
+/**
+ * Delete the size files of images (best effort - a leftover file only costs storage)
+ */
+const removeImageFiles = async (storagePaths) => {
+  if (!storagePaths.length) return;
+
+  const { error } = await supabaseAdmin.storage
+    .from(IMAGE_BUCKET)
+    .remove(storagePaths.flatMap(sizeFiles));
+
+  if (error) {
+    console.error('Failed to remove product image files:', error);
+  }
+};
+
+/**
+ * Gallery image as returned by the API: its id, order and size URLs
+ */
+const formatImage = ({ id, urls, width, height, position, is_primary }) => ({
+  id,
+  position,
+  is_primary,
+  width,
+  height,
+  ...urls
+});
+
+module.exports = {
+  IMAGE_SIZES,
+  MAX_PRODUCT_IMAGES,
+  imageStoragePath,
+  renderImageSizes,
+  storeImageSizes,
+  removeImageFiles,
+  formatImage
+};
@@ -0,0 +1,145 @@
+// utils/productImport.js
+// Product spreadsheet format - reading CSV/XLSX uploads and checking each row like POST /products
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { parseCsv, unescapeFormula } = require('./csv');
+const { productRules } = require('./validators');
+const { createError } = require('../middleware/errorHandler');
+
+// Columns of the import file and the export (headers are the field names, so an export can be re-imported)
+const PRODUCT_COLUMNS = [
+  { header: 'name', key: 'name', width: 30 },
+  { header: 'description', key: 'description', width: 50 },
+  { header: 'sku', key: 'sku', width: 20 },
+  { header: 'barcode', key: 'barcode', width: 16 },
+  { header: 'price', key: 'price', width: 10 },
+  { header: 'stock', key: 'stock', width: 10 },
+  { header: 'category', key: 'category', width: 20 },
+  { header: 'image_url', key: 'image_url', width: 40 },
+  { header: 'is_active', key: 'is_active', width: 10 }
+];
+
+const MAX_IMPORT_ROWS = 5000;
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, 1: true,
+  false: false, no: false, 0: false
+};
+
+// "Image URL", "image url" and "image_url" all name the image_url column
+const columnKey = (header) => String(header).trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file (first worksheet)
+ * Returns [{ rowNumber, values: [string] }], including the header row
+ */
+const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return parseCsv(file.buffer.toString('utf8'))
+      .map((values, index) => ({ rowNumber: index + 1, values: values.map(unescapeFormula) }));
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw createError(400, 'The file is not a valid XLSX workbook');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    const rows = [];
+
+    if (worksheet) {
+      worksheet.eachRow((row, rowNumber) => {
+        // Cells are 1-based; text gives numbers, dates and links as displayed
+        const values = [];
+        for (let column = 1; column <= row.cellCount; column++) {
+          values.push(row.getCell(column).text);
+        }
+        rows.push({ rowNumber, values });
+      });
+    }
+
+    return rows;
+  }
+
+  throw createError(400, 'Upload a .csv or .xlsx file');
+};
+
+/**
+ * Turn spreadsheet rows into product rows keyed by field name
+ * Unknown columns are ignored and empty cells are left out, so they don't change existing values
+ */
+const toProductRows = (rows) => {
+  const [header, ...dataRows] = rows;
+
+  if (!header) {
+    throw createError(400, 'The file is empty');
+  }
+
+  const knownKeys = PRODUCT_COLUMNS.map(column => column.key);
+  const keys = header.values.map(value => {
+    const key = columnKey(value);
+    return knownKeys.includes(key) ? key : null;
+  });
+
+  if (!keys.includes('name') || !keys.includes('price')) {
+    throw createError(400, 'The header row must contain at least the name and price columns');
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw createError(400, `A file can contain at most ${MAX_IMPORT_ROWS} products`);
+  }
+
+  return dataRows.map(({ rowNumber, values }) => {
+    const fields = {};
+    keys.forEach((key, index) => {
+      const value = (values[index] || '').trim();
+      if (key && value !== '') {
+        fields[key] = value;
+      }
+    });
+    return { rowNumber, fields };
+  });
+};
+
+/**
+ * Check one product row with the same rules as POST /products
+ * Returns { data, errors }: data is the sanitized row with typed values, errors is [{ field, message }]
+ */
+const checkProductRow = async (fields) => {
+  const req = { body: { ...fields } };
+
+  for (const rule of productRules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+  const data = { ...req.body };
+
+  if (data.is_active !== undefined) {
+    const isActive = BOOLEAN_VALUES[String(data.is_active).toLowerCase()];
+    if (isActive === undefined) {
+      errors.push({ field: 'is_active', message: 'is_active must be true or false' });
+    }
+    data.is_active = isActive;
+  }
+
+  if (data.price !== undefined) data.price = parseFloat(data.price);
+  if (data.stock !== undefined) data.stock = parseInt(data.stock);
+
+  return { data, errors };
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  readSpreadsheet,
+  toProductRows,
+  checkProductRow
+};
@@ -0,0 +1,97 @@
+// utils/productSearch.js
+// Catalogue search - filters, sorting and facets shared by the product list and the public store
+
+const { supabase } = require('../config/database');
+const { categoryWithDescendants } = require('./categories');
+
+// Ways the catalogue can be sorted (relevance needs a search term)
+const PRODUCT_SORTS = ['relevance', 'newest', 'price', 'name', 'best_selling'];
+
+// Price band edges for the price facet: 0-100, 100-250, ... 5000 and up
+const PRICE_BANDS = [100, 250, 500, 1000, 2500, 5000];
+
+// Product ids per query when loading search results
+const ID_BATCH_SIZE = 100;
+
+/**
+ * Run the catalogue search for a retailer
+ * Filters: { q, category_id (includes subcategories), category, min_price, max_price,
+ *            in_stock, is_active, sort, order, page, limit } - without limit, every match is returned
+ * Returns { productIds (in order), total, facets: { categories, price_bands } }
+ */
+const searchProducts = async (retailerId, filters) => {
+  const { q, category_id, category, min_price, max_price, in_stock, is_active, sort, order, page = 1, limit } = filters;
+
+  let categoryIds = null;
+  if (category_id) {
+    const { data: categories, error } = await supabase
+      .from('categories')
+      .select('id, parent_id')
+      .eq('retailer_id', retailerId);
+
+    if (error) {
+      throw error;
+    }
+
+    categoryIds = categoryWithDescendants(categories, category_id);
+  }
+
+  const toBoolean = (value) => (value === undefined || value === null ? null : String(value) === 'true');
+  const toNumber = (value) => (value === undefined || value === '' ? null : parseFloat(value));
+
+  const { data, error } = await supabase.rpc('search_products', {
+    p_retailer_id: retailerId,
+    p_query: q || null,
+    p_category_ids: categoryIds,
+    p_category: category || null,
+    p_min_price: toNumber(min_price),
+    p_max_price: toNumber(max_price),
+    p_in_stock: toBoolean(in_stock) || false,
+    p_is_active: toBoolean(is_active),
+    p_sort: sort || null,
+    p_ascending: order ? order === 'asc' : null,
+    p_limit: limit ? parseInt(limit) : null,
+    p_offset: limit ? (page - 1) * limit : 0,
+    p_price_bands: PRICE_BANDS
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    productIds: data.product_ids,
+    total: data.total,
+    facets: data.facets
+  };
+};
+
+/**
+ * Load products by id (with the given select) in the order of the ids
+ */
+const fetchProductsInOrder = async (productIds, select) => {
+  const products = [];
+
+  for (let i = 0; i < productIds.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('products')
+      .select(select)
+      .in('id', productIds.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      throw error;
+    }
+
+    products.push(...data);
+  }
+
+  const byId = new Map(products.map(product => [product.id, product]));
+  return productIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+module.exports = {
+  PRODUCT_SORTS,
+  PRICE_BANDS,
+  searchProducts,
+  fetchProductsInOrder
+};
@@ -0,0 +1,30 @@
+// utils/storeAddress.js
+// Store addresses - slug rules, reserved words and custom domain hostnames
+
+// 3-63 lowercase letters, digits and single hyphens, not starting or ending with a hyphen
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9]|-(?!-)){1,61}[a-z0-9]$/;
+
+// Words a store can't take: our own pages and routes, and names that could pass for us
+const RESERVED_SLUGS = new Set([
+  'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'billing', 'blog', 'cart', 'cdn',
+  'checkout', 'contact', 'dashboard', 'docs', 'help', 'home', 'login', 'logout', 'mail', 'new',
+  'orders', 'pricing', 'privacy', 'products', 'register', 'retailer', 'search', 'settings', 'shop',
+  'signup', 'static', 'status', 'store', 'stores', 'support', 'terms', 'uploads', 'www'
+]);
+
+/**
+ * Whether a slug is well-formed and free to claim (it may still be taken by another store)
+ */
+const isValidSlug = (slug) => SLUG_PATTERN.test(slug) && !RESERVED_SLUGS.has(slug);
+
+/**
+ * Hostname a request was made to, lowercase without the port or a trailing dot
+ * Behind a proxy, req.hostname follows X-Forwarded-Host when TRUST_PROXY is set
+ */
+const requestHostname = (req) => (req.hostname || '').toLowerCase().replace(/\.$/, '');
+
+module.exports = {
+  RESERVED_SLUGS,
+  isValidSlug,
+  requestHostname
+};
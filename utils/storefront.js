@@ -0,0 +1,71 @@
+// utils/storefront.js
+// Public store data - the store profile and products as customers see them
+
+const { formatImage } = require('./productImages');
+const { buildCategoryTree } = require('./categories');
+const { storePrice } = require('./pricing');
+const { variantLabel } = require('./variants');
+
+// Store settings shown to customers
+const STORE_PROFILE_SELECT = `
+  id, name, slug, custom_domain, logo_url, theme,
+  primary_color, secondary_color, font,
+  banner_url, nav_menu, nav_source, layout_preference,
+  contact_info, social_links, footer_text,
+  delivery_fee, free_delivery_min_order, prices_include_tax, show_sold_out
+`;
+
+// Categories of the store's menu
+const STORE_CATEGORY_SELECT = 'id, parent_id, name, slug, description, image_url, sort_order';
+
+// A product as shown in the store, with its variants and gallery
+const STORE_PRODUCT_SELECT = `
+  id, name, description, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price,
+  stock, category_id, category, image_url, options, primary_image,
+  product_variants (
+    id, option_values, price, sale_price, sale_starts_at, sale_ends_at, compare_at_price, stock, image_url, is_active
+  ),
+  product_images ( id, urls, width, height, position, is_primary )
+`;
+
+/**
+ * The store profile with its category tree
+ * With nav_source 'categories', nav_menu is the names of the top-level categories
+ * Returns { store, categories }
+ */
+const storeProfile = (retailer, categories) => {
+  const categoryTree = buildCategoryTree(categories || []);
+  const store = retailer.nav_source === 'categories'
+    ? { ...retailer, nav_menu: categoryTree.map(category => category.name) }
+    : retailer;
+
+  return { store, categories: categoryTree };
+};
+
+/**
+ * A product as customers see it, at today's prices
+ * Only active variants are listed. Out-of-stock variants are left out, or kept and marked
+ * sold_out when the store shows sold-out items (show_sold_out).
+ */
+const toStoreProduct = ({ product_variants, product_images, ...product }, showSoldOut = false) => ({
+  ...storePrice(product),
+  ...(showSoldOut ? { sold_out: product.stock <= 0 } : {}),
+  images: product_images
+    .sort((a, b) => a.position - b.position)
+    .map(formatImage),
+  variants: product_variants
+    .filter(variant => variant.is_active && (showSoldOut || variant.stock > 0))
+    .map(({ is_active, ...variant }) => ({
+      ...storePrice(variant),
+      ...(showSoldOut ? { sold_out: variant.stock <= 0 } : {}),
+      label: variantLabel(product.options, variant.option_values)
+    }))
+});
+
+module.exports = {
+  STORE_PROFILE_SELECT,
+  STORE_CATEGORY_SELECT,
+  STORE_PRODUCT_SELECT,
+  storeProfile,
+  toStoreProduct
+};
@@ -0,0 +1,410 @@
+// utils/storefrontPages.js
+// Server-rendered storefront - the home, category, product and not-found pages as HTML
+//
+// Pages are plain HTML and CSS (no scripts), styled by the store's theme and its own colors and font.
+// Everything from the store's data is escaped; links and images only take http(s) or same-site URLs.
+
+const { getTheme } = require('./themes');
+
+// Sort choices of the product list, as the search's sort and order
+const PAGE_SORTS = {
+  relevance: { label: 'Featured' },
+  newest: { label: 'Newest', sort: 'newest' },
+  best_selling: { label: 'Best selling', sort: 'best_selling' },
+  price_asc: { label: 'Price: low to high', sort: 'price', order: 'asc' },
+  price_desc: { label: 'Price: high to low', sort: 'price', order: 'desc' },
+  name: { label: 'Name', sort: 'name', order: 'asc' }
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) =>
+  (value === null || value === undefined ? '' : String(value)).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * The URL if it is safe to put in href/src (http(s), or a path on this site), else null
+ */
+const safeUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  return /^https?:\/\//i.test(trimmed) || /^\/(?!\/)/.test(trimmed) ? trimmed : null;
+};
+
+// Hex, rgb()/hsl() or a color name - anything else could break out of the style sheet
+const cssColor = (value, fallback) =>
+  typeof value === 'string' && /^(#[0-9a-f]{3,8}|[a-z]{3,20}|(rgb|hsl)a?\([\d\s.,%/]+\))$/i.test(value.trim())
+    ? value.trim()
+    : fallback;
+
+/**
+ * The store's font as a font family name ("inter" -> "Inter"), or null when unset or unsafe
+ */
+const fontName = (font) => {
+  if (typeof font !== 'string' || !/^[a-z0-9 -]{2,50}$/i.test(font.trim())) return null;
+  return font.trim().replace(/\b[a-z]/g, char => char.toUpperCase());
+};
+
+const formatPrice = (amount) => parseFloat(amount || 0).toFixed(2);
+
+/**
+ * The theme's style sheet with the store's colors and font
+ */
+const themeCss = (store) => {
+  const style = getTheme(store.theme).style;
+  const font = fontName(store.font);
+  const primary = cssColor(store.primary_color, style.primary);
+  const secondary = cssColor(store.secondary_color, style.secondary);
+  const headerBackground = { light: style.surface, dark: style.text, primary }[style.header];
+  const headerText = style.header === 'light' ? style.text : '#ffffff';
+
+  return `
+:root {
+  --background: ${style.background}; --surface: ${style.surface}; --text: ${style.text};
+  --muted: ${style.muted}; --border: ${style.border};
+  --primary: ${primary}; --secondary: ${secondary};
+  --header-background: ${headerBackground}; --header-text: ${headerText};
+  --font: ${font ? `"${font}", ` : ''}${style.font};
+  --heading-font: ${font ? `"${font}", ` : ''}${style.headingFont || style.font};
+  --radius: ${style.radius}; --shadow: ${style.shadow};
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--background); color: var(--text); font-family: var(--font); line-height: 1.5; }
+a { color: var(--primary); text-decoration: none; }
+a:hover { text-decoration: underline; }
+img { max-width: 100%; height: auto; display: block; }
+h1, h2, h3 { font-family: var(--heading-font); line-height: 1.2;${style.uppercaseHeadings ? ' text-transform: uppercase; letter-spacing: 0.03em;' : ''} }
+.container { max-width: 1200px; margin: 0 auto; padding: 0 16px; }
+.site-header { background: var(--header-background); color: var(--header-text); border-bottom: 1px solid var(--border); }
+.site-header .container { display: flex; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: 12px; padding-top: 12px; padding-bottom: 12px; }
+.site-header a { color: var(--header-text); }
+.brand { display: flex; align-items: center; gap: 10px; font-family: var(--heading-font); font-size: 1.4rem; font-weight: 700; }
+.brand img { max-height: 48px; width: auto; }
+.site-nav ul { list-style: none; display: flex; flex-wrap: wrap; gap: 16px; margin: 0; padding: 0; }
+.banner { position: relative; margin-bottom: 24px; }
+.banner img { width: 100%; max-height: 420px; object-fit: cover; }
+main { padding: 24px 0 48px; }
+.breadcrumbs { color: var(--muted); font-size: 0.9rem; margin-bottom: 8px; }
+.toolbar { display: flex; flex-wrap: wrap; gap: 8px; margin: 16px 0 24px; }
+.toolbar input, .toolbar select, .toolbar button { font: inherit; padding: 8px 12px; border: 1px solid var(--border); border-radius: var(--radius); background: var(--surface); color: var(--text); }
+.toolbar input { flex: 1 1 220px; }
+.toolbar button { background: var(--primary); border-color: var(--primary); color: #ffffff; cursor: pointer; }
+.categories { list-style: none; display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 16px; padding: 0; margin: 0 0 32px; }
+.categories a { display: block; padding: 12px; background: var(--surface); border: 1px solid var(--border); border-radius: var(--radius); box-shadow: var(--shadow); color: var(--text); font-weight: 600; }
+.categories img { aspect-ratio: 1; object-fit: cover; border-radius: var(--radius); margin-bottom: 8px; }
+.products { list-style: none; padding: 0; margin: 0; display: grid; gap: 20px; }
+.products-grid { grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+.products-list { grid-template-columns: 1fr; }
+.product-card { height: 100%; background: var(--surface); border: 1px solid var(--border); border-radius: var(--radius); box-shadow: var(--shadow); overflow: hidden; }
+.product-card a { display: flex; flex-direction: column; height: 100%; color: var(--text); }
+.products-list .product-card a { flex-direction: row; }
+.product-card img, .product-card .no-image { aspect-ratio: 1; object-fit: cover; width: 100%; background: var(--border); }
+.products-list .product-card img, .products-list .product-card .no-image { width: 140px; flex: none; }
+.product-card .details { padding: 12px; }
+.product-card h3 { font-size: 1rem; margin: 0 0 6px; }
+.price { font-weight: 700; color: var(--primary); }
+.was { color: var(--muted); margin-left: 6px; }
+.badge { display: inline-block; padding: 2px 8px; margin-left: 6px; border-radius: var(--radius); font-size: 0.75rem; font-weight: 700; background: var(--secondary); color: #ffffff; }
+.badge-sold-out { background: var(--muted); }
+.pagination { display: flex; justify-content: center; align-items: center; gap: 16px; margin-top: 32px; }
+.product { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 32px; }
+.gallery { display: grid; gap: 12px; }
+.gallery img { border-radius: var(--radius); border: 1px solid var(--border); }
+.product .price { font-size: 1.5rem; }
+.variants { width: 100%; border-collapse: collapse; margin-top: 16px; }
+.variants th, .variants td { text-align: left; padding: 8px; border-bottom: 1px solid var(--border); }
+.muted { color: var(--muted); }
+.site-footer { background: var(--surface); border-top: 1px solid var(--border); padding: 24px 0; color: var(--muted); font-size: 0.9rem; }
+.site-footer ul { list-style: none; display: flex; flex-wrap: wrap; gap: 16px; margin: 0 0 12px; padding: 0; }
+`;
+};
+
+/**
+ * Flatten a category tree (with children) into a list, parents first
+ */
+const flattenCategories = (tree) =>
+  tree.flatMap(category => [category, ...flattenCategories(category.children || [])]);
+
+// Menu entries: nav_menu names linked to the category of that name, or to a search for it
+const navLinks = (store, categories, basePath) => {
+  const all = flattenCategories(categories);
+  const names = Array.isArray(store.nav_menu) ? store.nav_menu : [];
+
+  return names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => {
+      const key = name.trim().toLowerCase();
+      const category = all.find(item => item.name.toLowerCase() === key || item.slug === key);
+      const href = category
+        ? `${basePath}/c/${encodeURIComponent(category.slug)}`
+        : `${basePath}/?q=${encodeURIComponent(name.trim())}`;
+      return `<li><a href="${escapeHtml(href)}">${escapeHtml(category ? category.name : name)}</a></li>`;
+    })
+    .join('');
+};
+
+const footer = (store) => {
+  const contact = store.contact_info && typeof store.contact_info === 'object' ? store.contact_info : {};
+  const social = store.social_links && typeof store.social_links === 'object' ? store.social_links : {};
+
+  const contactItems = [
+    contact.email && `<li><a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a></li>`,
+    contact.phone && `<li><a href="tel:${escapeHtml(String(contact.phone).replace(/[^\d+]/g, ''))}">${escapeHtml(contact.phone)}</a></li>`,
+    contact.address && `<li>${escapeHtml(contact.address)}</li>`
+  ].filter(Boolean);
+
+  const socialItems = Object.entries(social)
+    .filter(([, url]) => safeUrl(url))
+    .map(([network, url]) =>
+      `<li><a href="${escapeHtml(safeUrl(url))}" rel="noopener">${escapeHtml(network.charAt(0).toUpperCase() + network.slice(1))}</a></li>`);
+
+  return `<footer class="site-footer"><div class="container">
+${contactItems.length ? `<ul>${contactItems.join('')}</ul>` : ''}
+${socialItems.length ? `<ul>${socialItems.join('')}</ul>` : ''}
+<p>${escapeHtml(store.footer_text || `© ${new Date().getFullYear()} ${store.name}`)}</p>
+</div></footer>`;
+};
+
+/**
+ * A complete page: head (title, description, canonical and social tags), header, main and footer
+ */
+const layout = ({ store, categories, basePath, title, description, canonical, image, body, jsonLd }) => {
+  const font = fontName(store.font);
+  const logo = safeUrl(store.logo_url);
+  const pageTitle = title ? `${title} | ${store.name}` : store.name;
+  const socialImage = safeUrl(image) || safeUrl(store.banner_url) || logo;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle)}</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">` : ''}
+${canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}">` : ''}
+<meta property="og:site_name" content="${escapeHtml(store.name)}">
+<meta property="og:title" content="${escapeHtml(pageTitle)}">
+${canonical ? `<meta property="og:url" content="${escapeHtml(canonical)}">` : ''}
+${socialImage ? `<meta property="og:image" content="${escapeHtml(socialImage)}">` : ''}
+${font ? `<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=${encodeURIComponent(font)}:wght@400;700&amp;display=swap">` : ''}
+<style>${themeCss(store)}</style>
+${jsonLd ? `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>` : ''}
+</head>
+<body class="theme-${escapeHtml(getTheme(store.theme).id)}">
+<header class="site-header"><div class="container">
+<a class="brand" href="${escapeHtml(basePath)}/">${logo ? `<img src="${escapeHtml(logo)}" alt="">` : ''}<span>${escapeHtml(store.name)}</span></a>
+<nav class="site-nav"><ul>${navLinks(store, categories, basePath)}</ul></nav>
+</div></header>
+${body}
+${footer(store)}
+</body>
+</html>
+`;
+};
+
+const priceTag = (item) => `<span class="price">${formatPrice(item.price)}</span>${
+  item.compare_at_price ? `<s class="was">${formatPrice(item.compare_at_price)}</s>` : ''}${
+  item.on_sale ? '<span class="badge">Sale</span>' : ''}${
+  item.sold_out ? '<span class="badge badge-sold-out">Sold out</span>' : ''}`;
+
+const productImage = (product, size) =>
+  safeUrl(product.primary_image && product.primary_image[size]) || safeUrl(product.image_url);
+
+const productCard = (product, basePath) => {
+  const image = productImage(product, 'card');
+
+  return `<li class="product-card"><a href="${escapeHtml(`${basePath}/p/${product.id}`)}">
+${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(product.name)}" loading="lazy">` : '<div class="no-image"></div>'}
+<div class="details"><h3>${escapeHtml(product.name)}</h3>${priceTag(product)}</div>
+</a></li>`;
+};
+
+/**
+ * The search box, sort menu, product list and page links shared by the home and category pages
+ * pageUrl(page) is the URL of another page of the same list
+ */
+const productListing = ({ store, basePath, products, pagination, query, pageUrl }) => {
+  const sortOptions = Object.entries(PAGE_SORTS)
+    .map(([value, { label }]) =>
+      `<option value="${value}"${value === (query.sort || 'relevance') ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+
+  const list = products.length
+    ? `<ul class="products products-${store.layout_preference === 'list' ? 'list' : 'grid'}">${
+      products.map(product => productCard(product, basePath)).join('')}</ul>`
+    : '<p class="muted">No products found.</p>';
+
+  const { page, totalPages } = pagination;
+  const pages = totalPages > 1
+    ? `<nav class="pagination">${page > 1 ? `<a href="${escapeHtml(pageUrl(page - 1))}" rel="prev">Previous</a>` : ''}
+<span>Page ${page} of ${totalPages}</span>${page < totalPages ? `<a href="${escapeHtml(pageUrl(page + 1))}" rel="next">Next</a>` : ''}</nav>`
+    : '';
+
+  return `<form class="toolbar" method="get">
+<input type="search" name="q" value="${escapeHtml(query.q)}" placeholder="Search products" aria-label="Search products">
+<select name="sort" aria-label="Sort by">${sortOptions}</select>
+<button type="submit">Search</button>
+</form>
+${list}
+${pages}`;
+};
+
+const categoryTiles = (categories, basePath) => categories.length
+  ? `<ul class="categories">${categories.map(category => {
+    const image = safeUrl(category.image_url);
+    return `<li><a href="${escapeHtml(`${basePath}/c/${encodeURIComponent(category.slug)}`)}">${
+      image ? `<img src="${escapeHtml(image)}" alt="" loading="lazy">` : ''}${escapeHtml(category.name)}</a></li>`;
+  }).join('')}</ul>`
+  : '';
+
+const breadcrumbs = (basePath, trail) => `<nav class="breadcrumbs"><a href="${escapeHtml(basePath)}/">Home</a>${
+  trail.map(category => ` / <a href="${escapeHtml(`${basePath}/c/${encodeURIComponent(category.slug)}`)}">${escapeHtml(category.name)}</a>`).join('')}</nav>`;
+
+/**
+ * A category and its parents, top-level first
+ */
+const categoryTrail = (categories, categoryId) => {
+  const all = flattenCategories(categories);
+  const trail = [];
+  let category = all.find(item => item.id === categoryId);
+
+  while (category && trail.length < all.length) {
+    trail.unshift(category);
+    category = all.find(item => item.id === category.parent_id);
+  }
+
+  return trail;
+};
+
+// Paragraphs of a plain-text description
+const paragraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .filter(paragraph => paragraph.trim())
+  .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+  .join('');
+
+/**
+ * Home page: banner, top-level categories and the product list
+ */
+const homePage = ({ store, categories, basePath, canonical, products, pagination, query, pageUrl }) => {
+  const banner = safeUrl(store.banner_url);
+
+  return layout({
+    store,
+    categories,
+    basePath,
+    title: query.q ? `Search: ${query.q}` : null,
+    description: `Shop ${store.name} online`,
+    canonical,
+    body: `${banner ? `<div class="banner"><img src="${escapeHtml(banner)}" alt="${escapeHtml(store.name)}"></div>` : ''}
+<main class="container">
+${query.q ? `<h1>Results for “${escapeHtml(query.q)}”</h1>` : ''}
+${query.q || pagination.page > 1 ? '' : categoryTiles(categories, basePath)}
+${productListing({ store, basePath, products, pagination, query, pageUrl })}
+</main>`
+  });
+};
+
+/**
+ * Category page: the category's subcategories and its products (including its subcategories')
+ */
+const categoryPage = ({ store, categories, basePath, canonical, category, products, pagination, query, pageUrl }) => {
+  const trail = categoryTrail(categories, category.id);
+  const node = trail[trail.length - 1] || category;
+
+  return layout({
+    store,
+    categories,
+    basePath,
+    title: category.name,
+    description: category.description || `${category.name} at ${store.name}`,
+    canonical,
+    image: category.image_url,
+    body: `<main class="container">
+${breadcrumbs(basePath, trail.slice(0, -1))}
+<h1>${escapeHtml(category.name)}</h1>
+${paragraphs(category.description)}
+${categoryTiles(node.children || [], basePath)}
+${productListing({ store, basePath, products, pagination, query, pageUrl })}
+</main>`
+  });
+};
+
+/**
+ * Product page: gallery, price, description and variants, with Product structured data for search engines
+ */
+const productPage = ({ store, categories, basePath, canonical, product }) => {
+  const images = product.images
+    .map(image => safeUrl(image.full))
+    .filter(Boolean);
+  if (!images.length && safeUrl(product.image_url)) images.push(safeUrl(product.image_url));
+
+  const available = product.stock > 0 || product.variants.some(variant => variant.stock > 0);
+  const variants = product.variants.length
+    ? `<table class="variants"><thead><tr><th>Option</th><th>Price</th><th>Availability</th></tr></thead><tbody>${
+      product.variants.map(variant => `<tr><td>${escapeHtml(variant.label)}</td><td>${priceTag({ ...variant, sold_out: false })}</td><td>${
+        variant.stock > 0 ? 'In stock' : 'Sold out'}</td></tr>`).join('')}</tbody></table>`
+    : '';
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: product.description || undefined,
+    image: images.length ? images : undefined,
+    offers: {
+      '@type': 'Offer',
+      price: formatPrice(product.price),
+      availability: `https://schema.org/${available ? 'InStock' : 'OutOfStock'}`,
+      url: canonical || undefined
+    }
+  };
+
+  return layout({
+    store,
+    categories,
+    basePath,
+    title: product.name,
+    description: String(product.description || `${product.name} at ${store.name}`).slice(0, 160),
+    canonical,
+    image: images[0],
+    jsonLd,
+    body: `<main class="container">
+${breadcrumbs(basePath, categoryTrail(categories, product.category_id))}
+<article class="product">
+<div class="gallery">${images.map(image => `<img src="${escapeHtml(image)}" alt="${escapeHtml(product.name)}">`).join('')}</div>
+<div>
+<h1>${escapeHtml(product.name)}</h1>
+<p>${priceTag({ ...product, sold_out: !available })}</p>
+${paragraphs(product.description)}
+${variants}
+</div>
+</article>
+</main>`
+  });
+};
+
+/**
+ * Not-found page in the store's look, with a way back to the home page
+ */
+const notFoundPage = ({ store, categories, basePath, message }) => layout({
+  store,
+  categories,
+  basePath,
+  title: 'Not found',
+  body: `<main class="container">
+<h1>${escapeHtml(message)}</h1>
+<p><a href="${escapeHtml(basePath)}/">Continue shopping</a></p>
+</main>`
+});
+
+module.exports = {
+  PAGE_SORTS,
+  escapeHtml,
+  safeUrl,
+  cssColor,
+  fontName,
+  homePage,
+  categoryPage,
+  productPage,
+  notFoundPage
+};
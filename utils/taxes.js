@@ -0,0 +1,182 @@
+// utils/taxes.js
+// Order taxes - picks each line's tax rate and splits its tax into components (e.g. CGST/SGST)
+
+const { supabase } = require('../config/database');
+const { toCents, fromCents } = require('./pricing');
+
+// Columns returned for a tax rate
+const TAX_RATE_SELECT = 'id, name, rate, components, is_default, created_at, updated_at';
+
+/**
+ * The taxes a rate is made of; a rate without components is a single tax with the rate's name
+ */
+const rateComponents = (taxRate) => (taxRate.components && taxRate.components.length
+  ? taxRate.components.map(component => ({ name: component.name, rate: parseFloat(component.rate) }))
+  : [{ name: taxRate.name, rate: parseFloat(taxRate.rate) }]);
+
+/**
+ * Tax of one line, in cents, on the amount paid for it
+ * Tax-inclusive: the tax is taken out of the amount and split over the components by rate
+ * (rounding leftovers go to the first components). Tax-exclusive: each component is rounded
+ * on its own and added on top.
+ * Returns { taxableCents, taxCents, taxes: [{ name, rate, cents }] }
+ */
+const lineTax = (amountCents, taxRate, pricesIncludeTax) => {
+  const rate = parseFloat(taxRate.rate);
+  const components = rateComponents(taxRate).filter(component => component.rate > 0);
+
+  if (!rate || !components.length) {
+    return { taxableCents: amountCents, taxCents: 0, taxes: [] };
+  }
+
+  if (!pricesIncludeTax) {
+    const taxes = components.map(({ name, rate: componentRate }) => ({
+      name,
+      rate: componentRate,
+      cents: Math.round(amountCents * componentRate / 100)
+    }));
+    return {
+      taxableCents: amountCents,
+      taxCents: taxes.reduce((sum, tax) => sum + tax.cents, 0),
+      taxes
+    };
+  }
+
+  const taxCents = Math.round(amountCents * rate / (100 + rate));
+  const componentRates = components.reduce((sum, component) => sum + component.rate, 0);
+  const taxes = components.map(({ name, rate: componentRate }) => ({
+    name,
+    rate: componentRate,
+    cents: Math.floor(taxCents * componentRate / componentRates)
+  }));
+
+  let left = taxCents - taxes.reduce((sum, tax) => sum + tax.cents, 0);
+  for (let i = 0; left > 0; i = (i + 1) % taxes.length, left--) {
+    taxes[i].cents++;
+  }
+
+  return { taxableCents: amountCents - taxCents, taxCents, taxes };
+};
+
+/**
+ * Add up line taxes per tax and rate: [{ name, rate, amount }]
+ * Used for the order's tax lines (invoice, checkout response)
+ */
+const summarizeTaxes = (lines) => {
+  const byTax = new Map();
+
+  lines.forEach(line => {
+    (line.taxes || []).forEach(tax => {
+      const key = `${tax.name}:${tax.rate}`;
+      const entry = byTax.get(key) || { name: tax.name, rate: parseFloat(tax.rate), cents: 0 };
+      entry.cents += toCents(tax.amount);
+      byTax.set(key, entry);
+    });
+  });
+
+  return [...byTax.values()].map(({ name, rate, cents }) => ({ name, rate, amount: fromCents(cents) }));
+};
+
+/**
+ * Tax rate of each product: its own, else the nearest one up its category tree, else the store default
+ * Rates that aren't the retailer's are ignored
+ * Returns Map(product_id -> tax rate or null)
+ */
+const resolveTaxRates = async (retailerId, productCategories, productTaxRates) => {
+  const { data: taxRates, error } = await supabase
+    .from('tax_rates')
+    .select(TAX_RATE_SELECT)
+    .eq('retailer_id', retailerId);
+
+  if (error) {
+    throw error;
+  }
+
+  const ratesById = new Map(taxRates.map(taxRate => [taxRate.id, taxRate]));
+  const defaultRate = taxRates.find(taxRate => taxRate.is_default) || null;
+  const resolved = new Map();
+
+  if (!taxRates.length) {
+    productCategories.forEach((categoryId, productId) => resolved.set(productId, null));
+    return resolved;
+  }
+
+  const needsCategory = [...productCategories.entries()]
+    .some(([productId, categoryId]) => categoryId && !ratesById.has(productTaxRates.get(productId)));
+
+  const categoriesById = new Map();
+  if (needsCategory) {
+    const { data: categories, error: categoryError } = await supabase
+      .from('categories')
+      .select('id, parent_id, tax_rate_id')
+      .eq('retailer_id', retailerId);
+
+    if (categoryError) {
+      throw categoryError;
+    }
+
+    categories.forEach(category => categoriesById.set(category.id, category));
+  }
+
+  const categoryRate = (categoryId) => {
+    for (let category = categoriesById.get(categoryId); category; category = categoriesById.get(category.parent_id)) {
+      if (ratesById.has(category.tax_rate_id)) return ratesById.get(category.tax_rate_id);
+    }
+    return null;
+  };
+
+  productCategories.forEach((categoryId, productId) => {
+    resolved.set(
+      productId,
+      ratesById.get(productTaxRates.get(productId)) || categoryRate(categoryId) || defaultRate
+    );
+  });
+
+  return resolved;
+};
+
+/**
+ * Work out the tax of a discounted order (the result of applyDiscounts)
+ * Each line is taxed on line_total - discount_amount, with the retailer's prices_include_tax setting.
+ * Returns the order with each line's tax_rate, taxable_amount, tax_amount and taxes, plus
+ * taxAmount, taxes (per tax and rate), pricesIncludeTax and the totalAmount including added tax
+ */
+const applyTaxes = async ({ retailer, order, productCategories, productTaxRates }) => {
+  const pricesIncludeTax = Boolean(retailer.prices_include_tax);
+  const taxRates = await resolveTaxRates(retailer.id, productCategories, productTaxRates);
+  let taxCents = 0;
+
+  const lines = order.lines.map(line => {
+    const taxRate = taxRates.get(line.product_id);
+    const amountCents = toCents(line.line_total) - toCents(line.discount_amount || 0);
+    const tax = taxRate
+      ? lineTax(amountCents, taxRate, pricesIncludeTax)
+      : { taxableCents: amountCents, taxCents: 0, taxes: [] };
+
+    taxCents += tax.taxCents;
+
+    return {
+      ...line,
+      tax_rate: taxRate ? parseFloat(taxRate.rate) : 0,
+      taxable_amount: fromCents(tax.taxableCents),
+      tax_amount: fromCents(tax.taxCents),
+      taxes: tax.taxes.map(({ name, rate, cents }) => ({ name, rate, amount: fromCents(cents) }))
+    };
+  });
+
+  return {
+    ...order,
+    lines,
+    taxAmount: fromCents(taxCents),
+    taxes: summarizeTaxes(lines),
+    pricesIncludeTax,
+    totalAmount: pricesIncludeTax ? order.totalAmount : fromCents(toCents(order.totalAmount) + taxCents)
+  };
+};
+
+module.exports = {
+  TAX_RATE_SELECT,
+  lineTax,
+  summarizeTaxes,
+  applyTaxes
+};
@@ -0,0 +1,83 @@
+// utils/themes.js
+// Built-in store themes - what retailers pick from, and the look the storefront pages get from each
+
+/**
+ * Each theme's palette, type and shapes
+ * primary/secondary are replaced by the store's own primary_color/secondary_color, and font
+ * by its font, when set. header is how the top bar is painted: light, dark or primary.
+ */
+const THEMES = [
+  {
+    id: 'default',
+    name: 'Default',
+    description: 'Clean and simple design',
+    style: {
+      background: '#ffffff', surface: '#f8f9fa', text: '#212529', muted: '#6c757d', border: '#dee2e6',
+      primary: '#0d6efd', secondary: '#6c757d',
+      font: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+      headingFont: null,
+      radius: '8px', shadow: 'none', header: 'light', uppercaseHeadings: false
+    }
+  },
+  {
+    id: 'modern',
+    name: 'Modern',
+    description: 'Contemporary and sleek',
+    style: {
+      background: '#f9fafb', surface: '#ffffff', text: '#111827', muted: '#6b7280', border: '#e5e7eb',
+      primary: '#6366f1', secondary: '#0ea5e9',
+      font: '"Inter", system-ui, -apple-system, "Segoe UI", sans-serif',
+      headingFont: null,
+      radius: '14px', shadow: '0 4px 16px rgba(17, 24, 39, 0.08)', header: 'light', uppercaseHeadings: false
+    }
+  },
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Traditional and elegant',
+    style: {
+      background: '#fdfbf7', surface: '#ffffff', text: '#2b2118', muted: '#7a6a58', border: '#e6dccd',
+      primary: '#7b2d26', secondary: '#b08d57',
+      font: 'Georgia, "Times New Roman", serif',
+      headingFont: '"Palatino Linotype", Palatino, Georgia, serif',
+      radius: '2px', shadow: 'none', header: 'dark', uppercaseHeadings: false
+    }
+  },
+  {
+    id: 'minimal',
+    name: 'Minimal',
+    description: 'Simple and focused',
+    style: {
+      background: '#ffffff', surface: '#ffffff', text: '#111111', muted: '#777777', border: '#eeeeee',
+      primary: '#111111', secondary: '#999999',
+      font: '"Helvetica Neue", Helvetica, Arial, sans-serif',
+      headingFont: null,
+      radius: '0', shadow: 'none', header: 'light', uppercaseHeadings: false
+    }
+  },
+  {
+    id: 'bold',
+    name: 'Bold',
+    description: 'Vibrant and eye-catching',
+    style: {
+      background: '#fff7ed', surface: '#ffffff', text: '#1c1917', muted: '#57534e', border: '#fed7aa',
+      primary: '#e11d48', secondary: '#f59e0b',
+      font: '"Montserrat", "Arial Black", Arial, sans-serif',
+      headingFont: null,
+      radius: '12px', shadow: '0 6px 0 rgba(28, 25, 23, 0.12)', header: 'primary', uppercaseHeadings: true
+    }
+  }
+];
+
+const THEME_IDS = THEMES.map(theme => theme.id);
+
+/**
+ * A theme by id; stores with an unknown or missing theme get the default one
+ */
+const getTheme = (id) => THEMES.find(theme => theme.id === id) || THEMES[0];
+
+module.exports = {
+  THEMES,
+  THEME_IDS,
+  getTheme
+};
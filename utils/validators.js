@@ -1,7 +1,15 @@
 // utils/validators.js
 // Input validation helpers using express-validator
 
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { ORDER_STATUSES, CANCELLATION_REASONS } = require('./orderStatus');
+const { ORDER_SORT_COLUMNS, parseStatuses } = require('./orderFilters');
+const { STOCK_MOVEMENT_REASONS, STOCK_ADJUSTMENT_REASONS, STOCK_ALERT_TYPES } = require('./inventory');
+const { PRODUCT_SORTS } = require('./productSearch');
+const { DISCOUNT_CODE_TYPES, PROMOTION_TYPES } = require('./discounts');
+const { isValidBarcode } = require('./barcodes');
+const { RESERVED_SLUGS, isValidSlug } = require('./storeAddress');
+const { THEME_IDS } = require('./themes');
 
 /**
  * Check validation results and return errors if any
@@ -49,8 +57,69 @@ const validateLogin = [
 
 /**
  * Product validation rules
+ * options are the variant axes, e.g. [{ name: 'size', values: ['S', 'M', 'L'] }]
  */
-const validateProduct = [
+const productOptionRules = [
+  body('options')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('Options must be a list of at most 3 option axes'),
+  body('options.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each option needs a name of at most 50 characters'),
+  body('options.*.values')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Each option needs between 1 and 50 values'),
+  body('options.*.values.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Option values must be between 1 and 50 characters')
+];
+
+/**
+ * Sale and compare-at price rules, shared by products and variants
+ */
+const salePriceRules = [
+  body('sale_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Sale price must be a positive number (or null for no sale)'),
+  body('sale_starts_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('sale_starts_at must be a date'),
+  body('sale_ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('sale_ends_at must be a date')
+    .custom((value, { req }) => !req.body.sale_starts_at || new Date(value) > new Date(req.body.sale_starts_at))
+    .withMessage('sale_ends_at must be after sale_starts_at'),
+  body('compare_at_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Compare-at price must be a positive number')
+];
+
+/**
+ * SKU and barcode rules, shared by products and variants (null clears them)
+ */
+const productCodeRules = [
+  body('sku')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('SKU must not exceed 100 characters'),
+  body('barcode')
+    .optional({ values: 'null' })
+    .trim()
+    .custom(isValidBarcode)
+    .withMessage('Barcode must be an EAN-13, EAN-8 or UPC-A with a valid check digit')
+];
+
+const productRules = [
   body('name')
     .notEmpty()
     .trim()
@@ -74,10 +143,135 @@ const validateProduct = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Category must not exceed 100 characters'),
+  body('category_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid category ID format'),
+  body('tax_rate_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid tax rate ID format'),
+  body('reorder_threshold')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Reorder threshold must be a non-negative integer (or null for the store default)'),
   body('image_url')
     .optional()
     .isURL()
     .withMessage('Image URL must be a valid URL'),
+  ...productCodeRules,
+  ...salePriceRules,
+  ...productOptionRules
+];
+
+const validateProduct = [...productRules, checkValidation];
+
+/**
+ * Product import/export options (the file itself is checked row by row with productRules)
+ */
+const validateProductImport = [
+  query('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('dry_run must be true or false'),
+  checkValidation
+];
+
+/**
+ * Catalogue search and filters (product list and public store)
+ */
+const productSearchRules = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  query('category_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid category ID format'),
+  query('min_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('min_price must be a positive number'),
+  query('max_price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('max_price must be a positive number'),
+  query('in_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('in_stock must be true or false'),
+  query('sort')
+    .optional()
+    .isIn(PRODUCT_SORTS)
+    .withMessage(`Sort must be one of: ${PRODUCT_SORTS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc')
+];
+
+const validateProductFilters = [
+  ...productSearchRules,
+  query('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  checkValidation
+];
+
+const validateStoreProductFilters = [
+  param('retailerId')
+    .isUUID()
+    .withMessage('Invalid retailerId format'),
+  ...productSearchRules,
+  checkValidation
+];
+
+const validateStoreProducts = [
+  param('retailerId')
+    .isUUID()
+    .withMessage('Invalid retailerId format'),
+  ...productSearchRules,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  checkValidation
+];
+
+const validateStoreProduct = [
+  param('retailerId')
+    .isUUID()
+    .withMessage('Invalid retailerId format'),
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  checkValidation
+];
+
+const validateProductExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+  query('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be true or false'),
   checkValidation
 ];
 
@@ -109,17 +303,86 @@ const validateProductUpdate = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Category must not exceed 100 characters'),
+  body('category_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid category ID format'),
+  body('tax_rate_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid tax rate ID format'),
+  body('reorder_threshold')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Reorder threshold must be a non-negative integer (or null for the store default)'),
   body('image_url')
     .optional()
     .isURL()
     .withMessage('Image URL must be a valid URL'),
+  ...productCodeRules,
+  ...salePriceRules,
+  ...productOptionRules,
+  checkValidation
+];
+
+/**
+ * Product variant validation rules
+ */
+const variantRules = [
+  body('option_values')
+    .optional()
+    .isObject()
+    .withMessage('option_values must be an object like { "size": "M" }'),
+  ...productCodeRules,
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer'),
+  body('image_url')
+    .optional()
+    .isURL()
+    .withMessage('Image URL must be a valid URL'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be true or false'),
+  ...salePriceRules
+];
+
+const validateVariant = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  body('option_values')
+    .exists()
+    .withMessage('option_values is required'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  ...variantRules,
+  checkValidation
+];
+
+const validateVariantUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  param('variantId')
+    .isUUID()
+    .withMessage('Invalid variant ID format'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  ...variantRules,
   checkValidation
 ];
 
 /**
  * Order validation rules
+ * orderRules are shared by the retailer order form and the public storefront checkout
  */
-const validateOrder = [
+const orderRules = [
   body('customer_name')
     .notEmpty()
     .trim()
@@ -135,10 +398,17 @@ const validateOrder = [
     .trim()
     .isLength({ max: 20 })
     .withMessage('Phone number must not exceed 20 characters'),
-  body('product_id')
+  body('items')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Order must contain between 1 and 100 items'),
+  body('items.*.product_id')
     .isUUID()
     .withMessage('Invalid product ID format'),
-  body('quantity')
+  body('items.*.variant_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid variant ID format'),
+  body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be a positive integer'),
   body('notes')
@@ -146,6 +416,30 @@ const validateOrder = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Notes must not exceed 500 characters'),
+  body('discount_code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Discount code must not exceed 50 characters')
+];
+
+const validateOrder = [
+  ...orderRules,
+  body('delivery_fee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Delivery fee must be a positive number'),
+  checkValidation
+];
+
+const validateCheckout = [
+  param('retailerId')
+    .isUUID()
+    .withMessage('Invalid retailerId format'),
+  ...orderRules,
+  body()
+    .custom(value => Boolean(value.customer_email || value.customer_phone))
+    .withMessage('Please provide an email address or phone number so the store can reach you'),
   checkValidation
 ];
 
@@ -154,8 +448,585 @@ const validateOrderStatus = [
     .isUUID()
     .withMessage('Invalid order ID format'),
   body('status')
-    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'])
+    .isIn(ORDER_STATUSES)
+    .withMessage('Invalid status value'),
+  body('cancellation_reason')
+    .if(body('status').equals('cancelled'))
+    .isIn(CANCELLATION_REASONS)
+    .withMessage(`Cancellation reason must be one of: ${CANCELLATION_REASONS.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  checkValidation
+];
+
+/**
+ * Return and refund validation rules
+ */
+const validateReturnRequest = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid order ID format'),
+  body('reason')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Return reason is required and must not exceed 500 characters'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Return must contain at least one item'),
+  body('items.*.order_item_id')
+    .isUUID()
+    .withMessage('Invalid order item ID format'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  checkValidation
+];
+
+const validateReturnUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid order ID format'),
+  param('returnId')
+    .isUUID()
+    .withMessage('Invalid return ID format'),
+  body('status')
+    .isIn(['approved', 'rejected', 'received'])
+    .withMessage('Status must be approved, rejected or received'),
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('Restock must be true or false'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+  checkValidation
+];
+
+const validateRefund = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid order ID format'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than 0'),
+  body('return_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid return ID format'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+  checkValidation
+];
+
+/**
+ * Category validation rules
+ */
+const categoryRules = [
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid parent category ID format'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single hyphens')
+    .isLength({ max: 120 })
+    .withMessage('Slug must not exceed 120 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+  body('image_url')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('Image URL must be a valid URL'),
+  body('sort_order')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+  body('tax_rate_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid tax rate ID format')
+];
+
+const validateCategory = [
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category name is required and must not exceed 100 characters'),
+  ...categoryRules,
+  checkValidation
+];
+
+const validateCategoryUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid category ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category name must be between 1 and 100 characters'),
+  ...categoryRules,
+  checkValidation
+];
+
+const validateCategoryList = [
+  query('format')
+    .optional()
+    .isIn(['tree', 'flat'])
+    .withMessage('Format must be tree or flat'),
+  checkValidation
+];
+
+/**
+ * Discount code and promotion validation rules
+ * Validity window, minimum order and product/category scope are shared
+ */
+const offerRules = [
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('min_order_amount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order amount must be a positive number'),
+  body('starts_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('starts_at must be a date'),
+  body('ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('ends_at must be a date')
+    .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+    .withMessage('ends_at must be after starts_at'),
+  body('product_ids')
+    .optional()
+    .isArray()
+    .withMessage('product_ids must be a list of product IDs'),
+  body('product_ids.*')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  body('category_ids')
+    .optional()
+    .isArray()
+    .withMessage('category_ids must be a list of category IDs'),
+  body('category_ids.*')
+    .isUUID()
+    .withMessage('Invalid category ID format'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be true or false')
+];
+
+const discountCodeRules = [
+  body('max_discount_amount')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Maximum discount must be a positive number'),
+  body('usage_limit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be a positive integer'),
+  body('usage_limit_per_customer')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit per customer must be a positive integer'),
+  ...offerRules
+];
+
+const validateDiscountCode = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3 to 50 letters, numbers, dashes or underscores'),
+  body('type')
+    .isIn(DISCOUNT_CODE_TYPES)
+    .withMessage(`Type must be one of: ${DISCOUNT_CODE_TYPES.join(', ')}`),
+  body('value')
+    .if(body('type').not().equals('free_delivery'))
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be a positive number'),
+  body('value')
+    .if(body('type').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('A percentage can be at most 100'),
+  ...discountCodeRules,
+  checkValidation
+];
+
+const validateDiscountCodeUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid discount code ID format'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3 to 50 letters, numbers, dashes or underscores'),
+  body('type')
+    .optional()
+    .isIn(DISCOUNT_CODE_TYPES)
+    .withMessage(`Type must be one of: ${DISCOUNT_CODE_TYPES.join(', ')}`),
+  body('value')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be a positive number'),
+  ...discountCodeRules,
+  checkValidation
+];
+
+const promotionRules = [
+  body('buy_quantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('buy_quantity must be a positive integer'),
+  body('get_quantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('get_quantity must be a positive integer'),
+  ...offerRules
+];
+
+const validatePromotion = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Promotion name is required and must not exceed 100 characters'),
+  body('type')
+    .isIn(PROMOTION_TYPES)
+    .withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  body('value')
+    .if(body('type').equals('percentage'))
+    .exists({ values: 'null' })
+    .withMessage('Value (percent off) is required'),
+  body('value')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Value must be a percentage between 0 and 100'),
+  ...promotionRules,
+  checkValidation
+];
+
+const validatePromotionUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid promotion ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Promotion name must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(PROMOTION_TYPES)
+    .withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  body('value')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Value must be a percentage between 0 and 100'),
+  ...promotionRules,
+  checkValidation
+];
+
+/**
+ * Tax rate validation rules
+ * A rate is given as a percentage, or as components (e.g. CGST 9 + SGST 9) that add up to it
+ */
+const taxRateRules = [
+  body('rate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+  body('components')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Components must be a list of 1 to 5 taxes'),
+  body('components.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each component needs a name of at most 50 characters'),
+  body('components.*.rate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Each component needs a rate between 0 and 100'),
+  body('is_default')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default must be true or false')
+];
+
+const validateTaxRate = [
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tax rate name is required and must not exceed 100 characters'),
+  body('rate')
+    .if(body('components').not().exists())
+    .exists()
+    .withMessage('Either rate or components is required'),
+  ...taxRateRules,
+  checkValidation
+];
+
+const validateTaxRateUpdate = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid tax rate ID format'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tax rate name must be between 1 and 100 characters'),
+  ...taxRateRules,
+  checkValidation
+];
+
+const validateTaxSummary = [
+  query('from')
+    .isISO8601()
+    .withMessage('from is required, as an ISO 8601 date, e.g. 2025-04-01'),
+  query('to')
+    .isISO8601()
+    .withMessage('to is required, as an ISO 8601 date, e.g. 2025-06-30')
+    .custom((value, { req }) => new Date(value) >= new Date(req.query.from))
+    .withMessage('to must not be before from'),
+  checkValidation
+];
+
+/**
+ * Product image validation rules
+ */
+const validateImageOrder = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  body('image_ids')
+    .isArray({ min: 1 })
+    .withMessage('image_ids must list the product\'s image IDs in the new order'),
+  body('image_ids.*')
+    .isUUID()
+    .withMessage('Invalid image ID format'),
+  checkValidation
+];
+
+/**
+ * Inventory validation rules
+ * A stock adjustment gives either a delta (+5, -2) or the counted quantity
+ */
+const validateStockAdjustment = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  body('variant_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid variant ID format'),
+  body('delta')
+    .optional()
+    .isInt()
+    .withMessage('delta must be an integer')
+    .not().equals('0')
+    .withMessage('delta must not be 0'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('quantity must be a non-negative integer'),
+  body()
+    .custom(value => (value.delta === undefined) !== (value.quantity === undefined))
+    .withMessage('Give either delta or quantity'),
+  body('reason')
+    .isIn(STOCK_ADJUSTMENT_REASONS)
+    .withMessage(`Reason must be one of: ${STOCK_ADJUSTMENT_REASONS.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+  checkValidation
+];
+
+const validateStockMovements = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  query('variant_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid variant ID format'),
+  query('reason')
+    .optional()
+    .isIn(STOCK_MOVEMENT_REASONS)
+    .withMessage(`Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  checkValidation
+];
+
+const validateProductLookup = [
+  query('code')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('code is required: a scanned barcode or a SKU'),
+  checkValidation
+];
+
+/**
+ * A list of products to act on at once (labels, bulk archive and restore)
+ */
+const productIdsRules = [
+  body('product_ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('product_ids must list 1 to 100 products'),
+  body('product_ids.*')
+    .isUUID()
+    .withMessage('Invalid product ID format')
+];
+
+const validateProductIds = [...productIdsRules, checkValidation];
+
+const validateProductTrash = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  checkValidation
+];
+
+const validateBarcodeLabels = [
+  ...productIdsRules,
+  body('format')
+    .optional()
+    .isIn(['pdf', 'svg'])
+    .withMessage('Format must be pdf or svg'),
+  body('copies')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('copies must be between 1 and 50'),
+  body('show_price')
+    .optional()
+    .isBoolean()
+    .withMessage('show_price must be true or false'),
+  checkValidation
+];
+
+const validatePriceHistory = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  query('variant_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid variant ID format'),
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('at must be an ISO 8601 date, e.g. 2025-05-15T12:00:00Z'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  checkValidation
+];
+
+/**
+ * Order list / export filter validation rules
+ */
+const validateOrderFilters = [
+  query('status')
+    .optional()
+    .custom(value => parseStatuses(value).every(status => ORDER_STATUSES.includes(status)))
     .withMessage('Invalid status value'),
+  query('min_total')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('min_total must be a non-negative number'),
+  query('max_total')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('max_total must be a non-negative number'),
+  query('product_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+  query('q')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  query('sort')
+    .optional()
+    .isIn(ORDER_SORT_COLUMNS)
+    .withMessage(`Sort must be one of: ${ORDER_SORT_COLUMNS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date, e.g. 2025-01-01'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date, e.g. 2025-01-31'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Export format must be csv or xlsx'),
   checkValidation
 ];
 
@@ -172,10 +1043,78 @@ const validateRetailerSettings = [
     .optional()
     .isURL()
     .withMessage('Logo URL must be a valid URL'),
+  body('slug')
+    .optional({ values: 'null' })
+    .trim()
+    .toLowerCase()
+    .custom(slug => !RESERVED_SLUGS.has(slug))
+    .withMessage('This store address is reserved. Please choose another one.')
+    .bail()
+    .custom(isValidSlug)
+    .withMessage('Store address must be 3-63 lowercase letters, digits and single hyphens, not starting or ending with a hyphen'),
+  body('custom_domain')
+    .optional({ values: 'null' })
+    .trim()
+    .toLowerCase()
+    .isFQDN()
+    .withMessage('Custom domain must be a hostname like shop.example.com'),
   body('theme')
     .optional()
-    .isIn(['default', 'modern', 'classic', 'minimal', 'bold'])
+    .isIn(THEME_IDS)
     .withMessage('Invalid theme selection'),
+  body('low_stock_threshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative integer'),
+  body('nav_source')
+    .optional()
+    .isIn(['custom', 'categories'])
+    .withMessage('Navigation source must be custom or categories'),
+  body('delivery_fee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Delivery fee must be a positive number'),
+  body('free_delivery_min_order')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery minimum order must be a positive number (or null for no free delivery)'),
+  body('prices_include_tax')
+    .optional()
+    .isBoolean()
+    .withMessage('prices_include_tax must be true or false'),
+  body('show_sold_out')
+    .optional()
+    .isBoolean()
+    .withMessage('show_sold_out must be true or false'),
+  checkValidation
+];
+
+/**
+ * Stock alert validation rules
+ */
+const validateAlertFilters = [
+  query('status')
+    .optional()
+    .isIn(['open', 'resolved', 'all'])
+    .withMessage('Status must be open, resolved or all'),
+  query('type')
+    .optional()
+    .isIn(STOCK_ALERT_TYPES)
+    .withMessage(`Type must be one of: ${STOCK_ALERT_TYPES.join(', ')}`),
+  query('acknowledged')
+    .optional()
+    .isBoolean()
+    .withMessage('acknowledged must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
   checkValidation
 ];
 
@@ -192,11 +1131,44 @@ const validateUUIDParam = (paramName) => [
 module.exports = {
   validateRegistration,
   validateLogin,
+  productRules,
   validateProduct,
+  validateProductFilters,
+  validateStoreProductFilters,
+  validateStoreProducts,
+  validateStoreProduct,
+  validateProductImport,
+  validateProductExport,
   validateProductUpdate,
+  validateProductLookup,
+  validateBarcodeLabels,
+  validateProductIds,
+  validateProductTrash,
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryList,
+  validateVariant,
+  validateVariantUpdate,
+  validateTaxRate,
+  validateTaxRateUpdate,
+  validateTaxSummary,
+  validateDiscountCode,
+  validateDiscountCodeUpdate,
+  validatePromotion,
+  validatePromotionUpdate,
+  validateImageOrder,
+  validateStockAdjustment,
+  validateStockMovements,
+  validatePriceHistory,
   validateOrder,
+  validateCheckout,
   validateOrderStatus,
+  validateOrderFilters,
+  validateReturnRequest,
+  validateReturnUpdate,
+  validateRefund,
   validateRetailerSettings,
+  validateAlertFilters,
   validateUUIDParam,
   checkValidation
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+// utils/variants.js
+// Product variant helpers - option values and variant labels
+
+/**
+ * Human readable variant label in the product's option order, e.g. "M / red"
+ * options: [{ name, values }], optionValues: { [name]: value }
+ */
+const variantLabel = (options, optionValues) => (options || [])
+  .map(option => optionValues[option.name])
+  .filter(Boolean)
+  .join(' / ');
+
+/**
+ * Check a variant's option values against the product's options
+ * Every option needs exactly one of its allowed values, and nothing else may be set
+ * Returns an error message, or null when valid
+ */
+const checkOptionValues = (options, optionValues) => {
+  if (!options || !options.length) {
+    return 'Define the product options (e.g. size, colour) before adding variants';
+  }
+
+  if (!optionValues || typeof optionValues !== 'object' || Array.isArray(optionValues)) {
+    return 'option_values must be an object like { "size": "M" }';
+  }
+
+  const optionNames = options.map(option => option.name);
+  const unknown = Object.keys(optionValues).filter(name => !optionNames.includes(name));
+
+  if (unknown.length) {
+    return `Unknown option(s): ${unknown.join(', ')}`;
+  }
+
+  for (const option of options) {
+    const value = optionValues[option.name];
+
+    if (value === undefined) {
+      return `Missing value for option "${option.name}"`;
+    }
+
+    if (!option.values.includes(value)) {
+      return `"${value}" is not a valid ${option.name}. Allowed: ${option.values.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  variantLabel,
+  checkOptionValues
+};